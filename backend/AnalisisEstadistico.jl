@@ -22,7 +22,8 @@ function isabs(path::String)
 end
 
 """
-    analizar_estadistico(grupos, pruebas, comparar_por_archivos, tipo_datos)
+    analizar_estadistico(grupos, pruebas, comparar_por_archivos, tipo_datos, indice_volumen=1;
+                         progreso=nothing, cancelado=() -> false, previos=Dict())
 
 Función principal que ejecuta análisis estadístico completo.
 
@@ -31,6 +32,11 @@ Función principal que ejecuta análisis estadístico completo.
 - `pruebas`: Lista de pruebas a realizar (Vector o Array)
 - `comparar_por_archivos`: true = comparar archivos individuales (Bool o Int)
 - `tipo_datos`: "imagenes" o "excel" (String)
+- `indice_volumen`: volumen a usar de las series 4D (Int, los archivos 3D lo ignoran)
+- `progreso(grupo, archivo, evento, dato)`: recibe `:inicio` y `:fin` (con los valores) por archivo
+- `cancelado()`: si devuelve true se detiene antes del siguiente archivo o prueba. Durante la
+  extracción el análisis se interrumpe; durante las pruebas se devuelven las ya terminadas
+- `previos`: valores ya extraídos por (grupo, archivo) en una ejecución anterior
 
 # Retorna
 - `Dict`: Resultados estructurados con todas las pruebas
@@ -39,7 +45,11 @@ function analizar_estadistico(
     grupos,
     pruebas,
     comparar_por_archivos,
-    tipo_datos
+    tipo_datos,
+    indice_volumen::Int=1;
+    progreso=nothing,
+    cancelado=() -> false,
+    previos::AbstractDict=Dict{Tuple{String, String}, Vector{Float64}}()
 )
     tiempo_inicio = time()
     println("\n" * "="^70)
@@ -107,6 +117,7 @@ function analizar_estadistico(
             println("    → $prueba")
         end
         println("  - Tipo: $tipo_datos_str")
+        println("  - Volumen (series 4D): $indice_volumen")
         
         # Validar entrada
         if isempty(grupos_dict)
@@ -119,7 +130,8 @@ function analizar_estadistico(
         
         # Extraer datos de cada grupo
         println("\n📊 Extrayendo datos de $(length(grupos_dict)) grupos...")
-        datos_grupos = extraer_datos_grupos(grupos_dict, tipo_datos_str)
+        datos_grupos = extraer_datos_grupos(grupos_dict, tipo_datos_str, indice_volumen;
+                                            progreso = progreso, cancelado = cancelado, previos = previos)
         
         if isempty(datos_grupos)
             return Dict("success" => false, "error" => "No se pudieron extraer datos")
@@ -135,8 +147,15 @@ function analizar_estadistico(
         # PASO 2: Ejecutar pruebas solicitadas
         println("\n🧪 PASO 2: Ejecutando $(length(pruebas_vec)) pruebas estadísticas...")
         resultados = Dict{String, Any}()
+        pruebas_pendientes = String[]
         
-        for prueba in pruebas_vec
+        for (i, prueba) in enumerate(pruebas_vec)
+            # Las pruebas ya terminadas se conservan en el resultado
+            if cancelado()
+                pruebas_pendientes = pruebas_vec[i:end]
+                println("   ⏹️  Cancelado: $(length(pruebas_pendientes)) prueba(s) sin ejecutar")
+                break
+            end
             try
                 println("   • $prueba...")
                 resultado_prueba = ejecutar_prueba(
@@ -173,10 +192,22 @@ function analizar_estadistico(
             "resultados" => resultados,
             "tiempo_analisis" => tiempo_total,
             "num_grupos" => length(grupos_dict),
-            "nombres_grupos" => collect(keys(grupos_dict))
+            "nombres_grupos" => collect(keys(grupos_dict)),
+            "volumen" => indice_volumen,
+            "cancelado" => !isempty(pruebas_pendientes),
+            "pruebas_pendientes" => pruebas_pendientes
         )
         
     catch e
+        if e isa Main.AnalisisCancelado
+            println("\n⏹️  ANÁLISIS CANCELADO")
+            return Dict(
+                "success" => false,
+                "cancelado" => true,
+                "error" => "Análisis cancelado",
+                "tiempo_analisis" => round(time() - tiempo_inicio, digits=2)
+            )
+        end
         println("\n❌ ERROR GENERAL: $e")
         return Dict(
             "success" => false,
@@ -187,11 +218,14 @@ function analizar_estadistico(
 end
 
 """
-    extraer_datos_grupos(grupos, tipo_datos)
+    extraer_datos_grupos(grupos, tipo_datos, indice_volumen=1; progreso, cancelado, previos)
 
 Extrae valores numéricos de archivos según el tipo.
+Los archivos con valores en `previos` (por grupo y archivo) no se vuelven a leer.
 """
-function extraer_datos_grupos(grupos::Dict{String, Vector{String}}, tipo_datos::String)
+function extraer_datos_grupos(grupos::Dict{String, Vector{String}}, tipo_datos::String, indice_volumen::Int=1;
+                              progreso=nothing, cancelado=() -> false,
+                              previos::AbstractDict=Dict{Tuple{String, String}, Vector{Float64}}())
     datos_grupos = Dict{String, Vector{Float64}}()
     
     # Determinar directorio temporal (debe ser consistente con server.jl)
@@ -215,6 +249,15 @@ function extraer_datos_grupos(grupos::Dict{String, Vector{String}}, tipo_datos::
         datos_grupo = Float64[]
         
         for archivo in archivos
+            if haskey(previos, (nombre_grupo, archivo))
+                println("      ↺ Reutilizando valores de $(basename(archivo))")
+                append!(datos_grupo, previos[(nombre_grupo, archivo)])
+                continue
+            end
+            cancelado() && throw(Main.AnalisisCancelado())
+            isnothing(progreso) || progreso(nombre_grupo, archivo, :inicio)
+            valores = Float64[]
+            
             try
                 # Construir ruta completa si es necesario
                 ruta_archivo = if isabs(archivo)
@@ -243,6 +286,7 @@ function extraer_datos_grupos(grupos::Dict{String, Vector{String}}, tipo_datos::
                     
                     if !encontrado
                         println("        ❌ No se pudo localizar el archivo")
+                        isnothing(progreso) || progreso(nombre_grupo, archivo, :fin, valores)
                         continue
                     end
                 end
@@ -253,7 +297,7 @@ function extraer_datos_grupos(grupos::Dict{String, Vector{String}}, tipo_datos::
                     valores = extraer_datos_excel(ruta_archivo)
                     append!(datos_grupo, valores)
                 elseif tipo_datos == "imagenes"
-                    valores = extraer_datos_imagen(ruta_archivo)
+                    valores = extraer_datos_imagen(ruta_archivo, indice_volumen)
                     append!(datos_grupo, valores)
                 end
             catch e
@@ -265,6 +309,7 @@ function extraer_datos_grupos(grupos::Dict{String, Vector{String}}, tipo_datos::
                     println("         → $frame")
                 end
             end
+            isnothing(progreso) || progreso(nombre_grupo, archivo, :fin, valores)
         end
         
         if !isempty(datos_grupo)
@@ -312,11 +357,12 @@ function extraer_datos_excel(archivo::String)
 end
 
 """
-    extraer_datos_imagen(archivo)
+    extraer_datos_imagen(archivo, indice_volumen=1)
 
 Extrae estadísticas de imagen médica (promedio de voxels).
+En series 4D solo se usan los voxels del volumen `indice_volumen`.
 """
-function extraer_datos_imagen(archivo::String)
+function extraer_datos_imagen(archivo::String, indice_volumen::Int=1)
     if !isfile(archivo)
         println("      ⚠️  Archivo no encontrado: $archivo")
         return Float64[]
@@ -331,6 +377,7 @@ function extraer_datos_imagen(archivo::String)
             if isdefined(Main, :read_nifti)
                 println("        → Usando read_nifti")
                 img, header = Main.read_nifti(archivo)
+                img = Main.seleccionar_volumen(Main.normalizar_dimensiones(img), indice_volumen)
                 
                 # Extraer voxels no nulos
                 voxels = vec(img)
@@ -23,6 +23,25 @@ const NIVELES_GRISES_GLCM = 256  # Niveles para GLCM
 const MAX_RUN_LENGTH = 50        # Longitud máxima de run para GLRLM
 const MAX_ZONE_SIZE = 1000       # Tamaño máximo de zona para GLSZM
 
+# Clases de características en el orden en que se calculan (para informar del progreso)
+const CLASES_CARACTERISTICAS = ["first_order", "shape", "texture_glcm", "texture_glrlm", "texture_glszm"]
+
+# Parámetros de extracción por defecto (se pueden cambiar desde la interfaz).
+# discretizacion: "bins" = número fijo de niveles de gris (num_bins) en el rango de la ROI;
+#                 "ancho" = niveles de ancho fijo (ancho_bin) desde el mínimo de la ROI.
+# umbral_mascara: voxels de la máscara (o de la imagen si no hay máscara) por encima
+#                 de este valor forman la ROI.
+# preprocesamiento: remuestreo, normalización e imágenes filtradas (ver Preprocesamiento.jl).
+const PARAMETROS_EXTRACCION_DEFECTO = Dict{String, Any}(
+    "discretizacion" => "bins",
+    "num_bins" => NIVELES_GRISES_GLCM,
+    "ancho_bin" => 25.0,
+    "max_run_length" => MAX_RUN_LENGTH,
+    "umbral_mascara" => 0.0,
+    "clases" => CLASES_CARACTERISTICAS,
+    "preprocesamiento" => PREPROCESAMIENTO_DEFECTO
+)
+
 # ==============================================================================
 # FUNCIONES DE LECTURA DE ARCHIVOS
 # ==============================================================================
@@ -355,17 +374,34 @@ end
 # ==============================================================================
 
 """
-    calcular_glcm(V_norm::Array{UInt8, 3}, Ng::Int) -> Matrix{Float64}
+    en_mascara(mask, i, j) -> Bool
+
+Indica si el pixel (i, j) de un slice pertenece a la ROI (sin máscara, todos).
+"""
+en_mascara(mask::Nothing, i::Int, j::Int) = true
+en_mascara(mask::AbstractMatrix{Bool}, i::Int, j::Int) = mask[i, j]
+
+"""
+    mascara_slice(mask, slice_idx) -> Union{Nothing, AbstractMatrix{Bool}}
+
+Vista 2D de la máscara 3D para un slice (o nothing si no hay máscara).
+"""
+mascara_slice(mask::Nothing, slice_idx::Int) = nothing
+mascara_slice(mask::BitArray{3}, slice_idx::Int) = @view mask[:, :, slice_idx]
+
+"""
+    calcular_glcm(V_norm::Array{UInt8, 3}, Ng::Int, mask=nothing) -> Matrix{Float64}
 
 Calcula la matriz GLCM acumulada para todo el volumen 3D.
+Con máscara solo cuentan los pares con ambos voxels dentro de la ROI.
 """
-function calcular_glcm(V_norm::Array{UInt8, 3}, Ng::Int)
+function calcular_glcm(V_norm::Array{UInt8, 3}, Ng::Int, mask::Union{Nothing, BitArray{3}}=nothing)
     num_slices = size(V_norm, 3)
     glcm_total = zeros(Float64, Ng, Ng)
     
     for slice_idx in 1:num_slices
         slice = @view V_norm[:, :, slice_idx]
-        glcm_slice = calcular_glcm_slice(slice, Ng)
+        glcm_slice = calcular_glcm_slice(slice, Ng, mascara_slice(mask, slice_idx))
         glcm_total .+= glcm_slice
     end
     
@@ -378,16 +414,20 @@ function calcular_glcm(V_norm::Array{UInt8, 3}, Ng::Int)
 end
 
 """
-    calcular_glcm_slice(slice::AbstractMatrix{UInt8}, Ng::Int) -> Matrix{Float64}
+    calcular_glcm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, mask=nothing) -> Matrix{Float64}
 
 Calcula GLCM para un slice 2D con offset [0,1].
 """
-function calcular_glcm_slice(slice::AbstractMatrix{UInt8}, Ng::Int)
+function calcular_glcm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, mask=nothing)
     rows, cols = size(slice)
     glcm = zeros(Float64, Ng, Ng)
     
     @inbounds for i in 1:rows
         for j in 1:(cols-1)
+            if !(en_mascara(mask, i, j) && en_mascara(mask, i, j+1))
+                continue
+            end
+            
             val1 = Int(slice[i, j]) + 1
             val2 = Int(slice[i, j+1]) + 1
             
@@ -506,17 +546,17 @@ end
 # ==============================================================================
 
 """
-    calcular_glrlm(V_norm::Array{UInt8, 3}, Ng::Int, max_run::Int) -> Matrix{Float64}
+    calcular_glrlm(V_norm::Array{UInt8, 3}, Ng::Int, max_run::Int, mask=nothing) -> Matrix{Float64}
 
 Calcula GLRLM acumulada para todo el volumen.
 """
-function calcular_glrlm(V_norm::Array{UInt8, 3}, Ng::Int, max_run::Int)
+function calcular_glrlm(V_norm::Array{UInt8, 3}, Ng::Int, max_run::Int, mask::Union{Nothing, BitArray{3}}=nothing)
     num_slices = size(V_norm, 3)
     glrlm_total = zeros(Float64, Ng, max_run)
     
     for slice_idx in 1:num_slices
         slice = @view V_norm[:, :, slice_idx]
-        glrlm_slice = calcular_glrlm_slice(slice, Ng, max_run)
+        glrlm_slice = calcular_glrlm_slice(slice, Ng, max_run, mascara_slice(mask, slice_idx))
         glrlm_total .+= glrlm_slice
     end
     
@@ -529,11 +569,12 @@ function calcular_glrlm(V_norm::Array{UInt8, 3}, Ng::Int, max_run::Int)
 end
 
 """
-    calcular_glrlm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, max_run::Int) -> Matrix{Float64}
+    calcular_glrlm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, max_run::Int, mask=nothing) -> Matrix{Float64}
 
 Calcula GLRLM para un slice 2D procesando runs horizontales.
+Con máscara los runs se cortan en el borde de la ROI.
 """
-function calcular_glrlm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, max_run::Int)
+function calcular_glrlm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, max_run::Int, mask=nothing)
     rows, cols = size(slice)
     glrlm = zeros(Float64, Ng, max_run)
     
@@ -542,9 +583,10 @@ function calcular_glrlm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, max_run::In
         while col <= cols
             val = Int(slice[row, col]) + 1
             
-            if val > 0 && val <= Ng
+            if val > 0 && val <= Ng && en_mascara(mask, row, col)
                 run_length = 1
-                while col + run_length <= cols && slice[row, col + run_length] == slice[row, col]
+                while col + run_length <= cols && slice[row, col + run_length] == slice[row, col] &&
+                      en_mascara(mask, row, col + run_length)
                     run_length += 1
                 end
                 
@@ -660,18 +702,18 @@ end
 # ==============================================================================
 
 """
-    calcular_glszm(V_norm::Array{UInt8, 3}, Ng::Int) -> Matrix{Float64}
+    calcular_glszm(V_norm::Array{UInt8, 3}, Ng::Int, mask=nothing) -> Matrix{Float64}
 
 Calcula GLSZM acumulada usando connected components en cada slice.
 """
-function calcular_glszm(V_norm::Array{UInt8, 3}, Ng::Int)
+function calcular_glszm(V_norm::Array{UInt8, 3}, Ng::Int, mask::Union{Nothing, BitArray{3}}=nothing)
     num_slices = size(V_norm, 3)
     max_zone = min(MAX_ZONE_SIZE, prod(size(V_norm)[1:2]))
     glszm_total = zeros(Float64, Ng, max_zone)
     
     for slice_idx in 1:num_slices
         slice = @view V_norm[:, :, slice_idx]
-        glszm_slice = calcular_glszm_slice(slice, Ng)
+        glszm_slice = calcular_glszm_slice(slice, Ng, mascara_slice(mask, slice_idx))
         
         if size(glszm_slice, 2) > size(glszm_total, 2)
             new_size = size(glszm_slice, 2)
@@ -696,15 +738,16 @@ function calcular_glszm(V_norm::Array{UInt8, 3}, Ng::Int)
 end
 
 """
-    calcular_glszm_slice(slice::AbstractMatrix{UInt8}, Ng::Int) -> Matrix{Float64}
+    calcular_glszm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, mask=nothing) -> Matrix{Float64}
 
 Calcula GLSZM para un slice 2D usando flood-fill para encontrar zonas conectadas.
+Los voxels fuera de la máscara se marcan como visitados para que ninguna zona salga de la ROI.
 """
-function calcular_glszm_slice(slice::AbstractMatrix{UInt8}, Ng::Int)
+function calcular_glszm_slice(slice::AbstractMatrix{UInt8}, Ng::Int, mask=nothing)
     rows, cols = size(slice)
     max_size = rows * cols
     glszm = zeros(Float64, Ng, max_size)
-    visited = falses(size(slice))
+    visited = isnothing(mask) ? falses(size(slice)) : .!mask
     
     @inbounds for i in 1:rows, j in 1:cols
         if !visited[i, j]
@@ -881,11 +924,243 @@ end
 # ==============================================================================
 
 """
-    extraer_features_archivo(filepath::String) -> Dict
+    normalizar_parametros_extraccion(entrada=Dict()) -> Dict{String, Any}
+
+Completa los parámetros recibidos con los valores por defecto y los valida.
+Lanza `ArgumentError` con un mensaje para el usuario si alguno no es válido.
+"""
+function normalizar_parametros_extraccion(entrada=Dict())
+    parametros = copy(PARAMETROS_EXTRACCION_DEFECTO)
+    for (clave, valor) in pairs(entrada)
+        clave = string(clave)
+        if !haskey(parametros, clave)
+            throw(ArgumentError("Parámetro de extracción desconocido: $clave"))
+        end
+        parametros[clave] = valor
+    end
+    
+    parametros["discretizacion"] = string(parametros["discretizacion"])
+    if !(parametros["discretizacion"] in ("bins", "ancho"))
+        throw(ArgumentError("Discretización no válida: $(parametros["discretizacion"]) (bins o ancho)"))
+    end
+    
+    parametros["num_bins"] = round(Int, parametros["num_bins"])
+    if !(2 <= parametros["num_bins"] <= 256)
+        throw(ArgumentError("El número de bins debe estar entre 2 y 256"))
+    end
+    
+    parametros["ancho_bin"] = Float64(parametros["ancho_bin"])
+    if !(parametros["ancho_bin"] > 0)
+        throw(ArgumentError("El ancho de bin debe ser mayor que 0"))
+    end
+    
+    parametros["max_run_length"] = round(Int, parametros["max_run_length"])
+    if parametros["max_run_length"] < 1
+        throw(ArgumentError("La longitud máxima de run debe ser al menos 1"))
+    end
+    
+    parametros["umbral_mascara"] = Float64(parametros["umbral_mascara"])
+    
+    clases = String[string(c) for c in parametros["clases"]]
+    desconocidas = setdiff(clases, CLASES_CARACTERISTICAS)
+    if !isempty(desconocidas)
+        throw(ArgumentError("Clases de características desconocidas: $(join(desconocidas, ", "))"))
+    end
+    if isempty(clases)
+        throw(ArgumentError("Selecciona al menos una clase de características"))
+    end
+    # Siempre en el orden de cálculo
+    parametros["clases"] = [c for c in CLASES_CARACTERISTICAS if c in clases]
+    
+    parametros["preprocesamiento"] = normalizar_parametros_preprocesamiento(parametros["preprocesamiento"])
+    
+    return parametros
+end
+
+"""
+    discretizar(volumen::AbstractArray{<:Real, 3}, voxeles::Vector, parametros::Dict) -> (Array{UInt8, 3}, Int)
+
+Niveles de gris 0..Ng-1 para las texturas y el número de niveles Ng, según
+la discretización de `parametros` y el rango de intensidades de la ROI.
+"""
+function discretizar(volumen::AbstractArray{<:Real, 3}, voxeles::AbstractVector, parametros::Dict)
+    min_val, max_val = extrema(voxeles)
+    
+    if parametros["discretizacion"] == "ancho"
+        ancho = parametros["ancho_bin"]
+        Ng = floor(Int, (max_val - min_val) / ancho) + 1
+        if Ng > 256
+            throw(ArgumentError("Con ancho de bin $ancho salen $Ng niveles de gris (máximo 256): aumenta el ancho"))
+        end
+        nivel = v -> UInt8(clamp(floor(Int, (v - min_val) / ancho), 0, Ng - 1))
+    else
+        Ng = parametros["num_bins"]
+        rango = max(max_val - min_val, eps())
+        nivel = v -> UInt8(round(clamp((v - min_val) / rango, 0.0, 1.0) * (Ng - 1)))
+    end
+    
+    return map(v -> isfinite(v) ? nivel(v) : 0x00, volumen), Ng
+end
+
+"""
+    etiquetas_mascara(datos_mascara::AbstractArray, umbral::Real=0) -> Vector{Int}
+
+Valores enteros por encima de `umbral` presentes en una máscara (una etiqueta por estructura).
+"""
+function etiquetas_mascara(datos_mascara::AbstractArray, umbral::Real=0)
+    valores = Set{Int}()
+    for v in datos_mascara
+        if isfinite(v) && v > umbral
+            push!(valores, round(Int, v))
+        end
+    end
+    return sort(collect(valores))
+end
+
+"""
+    calcular_caracteristicas_roi(volumen::AbstractArray{<:Real, 3}, mask::BitArray{3},
+                                 voxel_dims, V_voxel::Float64;
+                                 avance=nothing, parametros=PARAMETROS_EXTRACCION_DEFECTO) -> Union{Nothing, Dict}
+
+Calcula las clases de características activadas en `parametros` dentro de `mask`.
+Devuelve `nothing` si la máscara no contiene voxels válidos.
+`avance(clase, fraccion)` se llama antes de calcular cada clase de características.
+"""
+function calcular_caracteristicas_roi(volumen::AbstractArray{<:Real, 3}, mask::BitArray{3},
+                                      voxel_dims, V_voxel::Float64;
+                                      avance=nothing, parametros=PARAMETROS_EXTRACCION_DEFECTO)
+    clases = parametros["clases"]
+    notificar(clase) = isnothing(avance) || avance(clase, (findfirst(==(clase), clases) - 1) / length(clases))
+    
+    mask = mask .& isfinite.(volumen)
+    voxeles = volumen[mask]
+    
+    if isempty(voxeles)
+        return nothing
+    end
+    
+    # Las texturas se calculan en la caja que contiene la ROI y solo con sus voxels
+    indices = findall(mask)
+    caja = minimum(indices):maximum(indices)
+    mask_roi = mask[caja]
+    num_voxels_total = count(mask_roi)
+    
+    if any(startswith(c, "texture_") for c in clases)
+        println("    🔢 Discretizando ($(parametros["discretizacion"]))...")
+        V_norm, Ng = discretizar(volumen[caja], voxeles, parametros)
+    end
+    
+    caracteristicas = Dict{String, Any}()
+    
+    if "first_order" in clases
+        notificar("first_order")
+        println("    📈 Calculando First Order...")
+        caracteristicas["first_order"] = calcular_first_order(voxeles, V_voxel)
+    end
+    
+    if "shape" in clases
+        notificar("shape")
+        println("    📐 Calculando Shape...")
+        caracteristicas["shape"] = calcular_shape(mask, voxel_dims)
+    end
+    
+    if "texture_glcm" in clases
+        notificar("texture_glcm")
+        println("    🔲 Calculando GLCM ($Ng niveles)...")
+        glcm = calcular_glcm(V_norm, Ng, mask_roi)
+        caracteristicas["texture_glcm"] = calcular_features_glcm(glcm)
+    end
+    
+    if "texture_glrlm" in clases
+        notificar("texture_glrlm")
+        println("    🏃 Calculando GLRLM...")
+        glrlm = calcular_glrlm(V_norm, Ng, parametros["max_run_length"], mask_roi)
+        caracteristicas["texture_glrlm"] = calcular_features_glrlm(glrlm, num_voxels_total)
+    end
+    
+    if "texture_glszm" in clases
+        notificar("texture_glszm")
+        println("    🔳 Calculando GLSZM...")
+        glszm = calcular_glszm(V_norm, Ng, mask_roi)
+        caracteristicas["texture_glszm"] = calcular_features_glszm(glszm, num_voxels_total)
+    end
+    
+    return caracteristicas
+end
+
+"""
+    calcular_caracteristicas_imagenes(imagenes, mascaras::Vector{BitArray{3}}, voxel_dims, V_voxel::Float64;
+                                      nombres_regiones, avance=nothing,
+                                      parametros=PARAMETROS_EXTRACCION_DEFECTO) -> Vector
+
+Características de cada máscara sobre todos los tipos de imagen de `imagenes`
+(ver `imagenes_derivadas`), con el tipo como prefijo del nombre: "original_Mean",
+"wavelet-LLH_Contrast"... Cada imagen se genera una sola vez para todas las máscaras.
+La forma solo depende de la máscara y se calcula únicamente con la original.
+Devuelve `nothing` para las máscaras sin voxels válidos.
+"""
+function calcular_caracteristicas_imagenes(imagenes, mascaras::Vector{BitArray{3}}, voxel_dims, V_voxel::Float64;
+                                           nombres_regiones::Vector{String}=fill("", length(mascaras)),
+                                           avance=nothing, parametros=PARAMETROS_EXTRACCION_DEFECTO)
+    resultados = Vector{Union{Nothing, Dict{String, Any}}}(nothing, length(mascaras))
+    pasos = length(imagenes) * length(mascaras)
+    sin_forma = merge(parametros, Dict("clases" => filter(!=("shape"), parametros["clases"])))
+    
+    for (k, (tipo, generar)) in enumerate(imagenes)
+        parametros_imagen = k == 1 ? parametros : sin_forma
+        isempty(parametros_imagen["clases"]) && continue
+        
+        println("    🖼️  Imagen: $tipo")
+        imagen = generar()
+        
+        for (r, mascara) in enumerate(mascaras)
+            # Las regiones vacías en la original no se calculan en las derivadas
+            k > 1 && isnothing(resultados[r]) && continue
+            
+            paso = (k - 1) * length(mascaras) + r - 1
+            descripcion = join(filter(!isempty, [tipo, nombres_regiones[r]]), " · ")
+            avance_region = isnothing(avance) ? nothing :
+                (clase, f) -> avance("$descripcion: $clase", (paso + f) / pasos)
+            
+            caracteristicas = calcular_caracteristicas_roi(imagen, mascara, voxel_dims, V_voxel;
+                                                           avance = avance_region, parametros = parametros_imagen)
+            isnothing(caracteristicas) && continue
+            
+            destino = something(resultados[r], Dict{String, Any}())
+            for (categoria, features) in caracteristicas
+                por_categoria = get!(destino, categoria, Dict{String, Any}())
+                for (nombre, valor) in features
+                    por_categoria["$(tipo)_$nombre"] = valor
+                end
+            end
+            resultados[r] = destino
+        end
+    end
+    
+    return resultados
+end
+
+"""
+    extraer_features_archivo(filepath::String, indice_volumen::Int=1, ruta_mascara=nothing,
+                             nombres_etiquetas::Dict{Int, String}=Dict{Int, String}();
+                             avance=nothing, parametros=PARAMETROS_EXTRACCION_DEFECTO) -> Dict
 
 Extrae todas las características radiómicas de un archivo individual.
+En series 4D se analiza el volumen `indice_volumen`.
+Con `ruta_mascara` (NIfTI del mismo tamaño) las características describen solo
+la ROI; sin ella se usan todos los voxels > 0.
+Si la máscara tiene varias etiquetas, cada una se analiza por separado y el
+resultado trae `"etiquetas" => Dict(valor => resultado)` en lugar de
+`"caracteristicas"`; `nombres_etiquetas` da el nombre de cada valor.
+`avance(clase, fraccion)` informa de la clase en curso y la fracción del archivo completada.
+`parametros` (ver `normalizar_parametros_extraccion`) se copia en el resultado; su
+"preprocesamiento" se aplica antes de extraer y decide los tipos de imagen
+(original, LoG, wavelet) cuyas características se calculan.
 """
-function extraer_features_archivo(filepath::String)
+function extraer_features_archivo(filepath::String, indice_volumen::Int=1,
+                                  ruta_mascara::Union{Nothing, String}=nothing,
+                                  nombres_etiquetas::Dict{Int, String}=Dict{Int, String}();
+                                  avance=nothing, parametros=PARAMETROS_EXTRACCION_DEFECTO)
     nombre_archivo = basename(filepath)
     
     try
@@ -916,62 +1191,119 @@ function extraer_features_archivo(filepath::String)
             volumen, voxel_dims = leer_volumen_dicom(filepath)
         end
         
-        V_voxel = prod(voxel_dims)
-        
-        println("    🎭 Creando máscara...")
-        mask = volumen .> 0
-        voxeles = volumen[mask]
-        
-        filter!(!isnan, voxeles)
-        filter!(!isinf, voxeles)
-        
-        if isempty(voxeles)
-            return Dict(
-                "archivo" => nombre_archivo,
-                "success" => false,
-                "error" => "No hay voxels válidos en la imagen"
-            )
+        volumen = normalizar_dimensiones(volumen)
+        es_serie = ndims(volumen) == 4
+        if es_serie
+            println("    🎞️  Serie 4D: volumen $indice_volumen de $(size(volumen, 4))")
+            volumen = seleccionar_volumen(volumen, indice_volumen)
         end
         
-        println("    🔢 Normalizando...")
-        min_val, max_val = extrema(volumen)
-        rango = max_val - min_val
-        V_norm = UInt8.(round.((volumen .- min_val) ./ rango .* 255))
-        
-        num_voxels_total = length(V_norm)
-        
-        caracteristicas = Dict{String, Any}()
-        
-        println("    📈 Calculando First Order...")
-        caracteristicas["first_order"] = calcular_first_order(voxeles, V_voxel)
+        preprocesamiento = parametros["preprocesamiento"]
+        umbral = parametros["umbral_mascara"]
+        datos_mascara = nothing
+        if !isnothing(ruta_mascara)
+            println("    🎭 Leyendo máscara: $(basename(ruta_mascara))")
+            datos_mascara, _ = leer_volumen_nifti(ruta_mascara)
+            datos_mascara = seleccionar_volumen(normalizar_dimensiones(datos_mascara), 1)
+            
+            if size(datos_mascara) != size(volumen)
+                return Dict(
+                    "archivo" => nombre_archivo,
+                    "success" => false,
+                    "error" => "La máscara $(basename(ruta_mascara)) mide $(join(size(datos_mascara), "×")) y la imagen $(join(size(volumen), "×"))"
+                )
+            end
+        end
         
-        println("    📐 Calculando Shape...")
-        caracteristicas["shape"] = calcular_shape(mask, voxel_dims)
+        volumen, voxel_dims, datos_mascara = preprocesar_volumen(volumen, voxel_dims, datos_mascara, preprocesamiento)
+        V_voxel = prod(voxel_dims)
         
-        println("    🔲 Calculando GLCM...")
-        glcm = calcular_glcm(V_norm, NIVELES_GRISES_GLCM)
-        caracteristicas["texture_glcm"] = calcular_features_glcm(glcm)
+        etiquetas = Int[]
+        if isnothing(datos_mascara)
+            println("    🎭 Creando máscara (voxels > $umbral)...")
+            mask = volumen .> umbral
+            nombre_mascara = "voxels > $umbral"
+        else
+            mask = datos_mascara .> umbral
+            nombre_mascara = basename(ruta_mascara)
+            etiquetas = etiquetas_mascara(datos_mascara, umbral)
+        end
         
-        println("    🏃 Calculando GLRLM...")
-        glrlm = calcular_glrlm(V_norm, NIVELES_GRISES_GLCM, MAX_RUN_LENGTH)
-        caracteristicas["texture_glrlm"] = calcular_features_glrlm(glrlm, num_voxels_total)
+        # Normalizar después de definir la ROI: el umbral se aplica a las intensidades originales
+        volumen = normalizar_intensidades(volumen, mask, preprocesamiento)
+        imagenes = imagenes_derivadas(volumen, voxel_dims, preprocesamiento)
+        if length(imagenes) > 1
+            println("    🖼️  $(length(imagenes)) tipos de imagen: $(join(first.(imagenes), ", "))")
+        end
         
-        println("    🔳 Calculando GLSZM...")
-        glszm = calcular_glszm(V_norm, NIVELES_GRISES_GLCM)
-        caracteristicas["texture_glszm"] = calcular_features_glszm(glszm, num_voxels_total)
+        resultado = Dict{String, Any}(
+            "archivo" => nombre_archivo,
+            "mascara" => nombre_mascara,
+            # Vacío si la ROI son los voxels sobre el umbral (sin archivo de máscara)
+            "archivo_mascara" => isnothing(datos_mascara) ? "" : nombre_mascara,
+            "parametros" => parametros
+        )
         
-        num_features = sum(length(v) for v in values(caracteristicas))
+        if length(etiquetas) > 1
+            println("    🏷️  $(length(etiquetas)) etiquetas: $(join(etiquetas, ", "))")
+            nombres = [get(nombres_etiquetas, etiqueta, "Etiqueta $etiqueta") for etiqueta in etiquetas]
+            mascaras = [mask .& (v -> isfinite(v) && round(Int, v) == etiqueta).(datos_mascara) for etiqueta in etiquetas]
+            caracteristicas_etiquetas = calcular_caracteristicas_imagenes(imagenes, mascaras, voxel_dims, V_voxel;
+                                                                          nombres_regiones = nombres, avance = avance,
+                                                                          parametros = parametros)
+            
+            por_etiqueta = Dict{String, Any}()
+            for (k, etiqueta) in enumerate(etiquetas)
+                caracteristicas = caracteristicas_etiquetas[k]
+                por_etiqueta[string(etiqueta)] = isnothing(caracteristicas) ? Dict(
+                    "nombre" => nombres[k],
+                    "success" => false,
+                    "error" => "No hay voxels válidos con esta etiqueta"
+                ) : Dict(
+                    "nombre" => nombres[k],
+                    "success" => true,
+                    "num_voxels" => count(mascaras[k]),
+                    "num_caracteristicas" => sum(length(v) for v in values(caracteristicas)),
+                    "caracteristicas" => caracteristicas
+                )
+            end
+            
+            exitosas = [e for e in values(por_etiqueta) if e["success"]]
+            if isempty(exitosas)
+                resultado["success"] = false
+                resultado["error"] = "No hay voxels válidos en ninguna etiqueta"
+                return resultado
+            end
+            
+            num_features = sum(e["num_caracteristicas"] for e in exitosas)
+            resultado["success"] = true
+            resultado["num_caracteristicas"] = num_features
+            resultado["etiquetas"] = por_etiqueta
+        else
+            caracteristicas = calcular_caracteristicas_imagenes(imagenes, [mask], voxel_dims, V_voxel;
+                                                                avance = avance, parametros = parametros)[1]
+            
+            if isnothing(caracteristicas)
+                resultado["success"] = false
+                resultado["error"] = "No hay voxels válidos dentro de la máscara"
+                return resultado
+            end
+            
+            num_features = sum(length(v) for v in values(caracteristicas))
+            resultado["success"] = true
+            resultado["num_caracteristicas"] = num_features
+            resultado["caracteristicas"] = caracteristicas
+        end
         
         println("    ✅ Completado: $num_features características extraídas")
-        
-        return Dict(
-            "archivo" => nombre_archivo,
-            "success" => true,
-            "num_caracteristicas" => num_features,
-            "caracteristicas" => caracteristicas
-        )
+        if es_serie
+            resultado["volumen"] = indice_volumen
+        end
+        return resultado
         
     catch e
+        # La cancelación no es un error del archivo: la gestiona analizar_radiomico
+        e isa AnalisisCancelado && rethrow()
         println("    ❌ Error: $e")
         return Dict(
             "archivo" => nombre_archivo,
@@ -987,16 +1319,47 @@ end
 # ==============================================================================
 
 """
-    analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false) -> Dict
+    analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false, indice_volumen::Int=1,
+                       mascaras::Dict{String, String}=Dict{String, String}(),
+                       nombres_etiquetas::Dict{Int, String}=Dict{Int, String}();
+                       progreso=nothing, cancelado=() -> false,
+                       previos::Dict{Int, Any}=Dict{Int, Any}(),
+                       parametros=PARAMETROS_EXTRACCION_DEFECTO) -> Dict
 
 Función principal de análisis radiómico - 100% Julia puro.
+`indice_volumen` elige el volumen de las series 4D; los archivos 3D lo ignoran.
+`mascaras` asocia la ruta de cada imagen con la de su máscara ROI.
+`nombres_etiquetas` nombra las etiquetas de las máscaras multi-etiqueta.
+`progreso(i, evento, dato)` recibe `:inicio`, `:clase` con (clase, fracción) y
+`:fin` con el resultado de cada archivo `i`.
+`cancelado()` se consulta entre archivos y entre clases de características: si
+devuelve true el análisis para y los archivos sin terminar quedan en
+`"archivos_pendientes"`. `previos` son resultados ya calculados (por índice)
+de una ejecución anterior que se reutilizan sin volver a procesar.
+`parametros` son los de extracción (discretización, clases...) ya normalizados.
 """
-function analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false)
+function analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false, indice_volumen::Int=1,
+                            mascaras::Dict{String, String}=Dict{String, String}(),
+                            nombres_etiquetas::Dict{Int, String}=Dict{Int, String}();
+                            progreso=nothing, cancelado=() -> false,
+                            previos::Dict{Int, Any}=Dict{Int, Any}(),
+                            parametros=PARAMETROS_EXTRACCION_DEFECTO)
     println("\n" * "="^70)
     println(" ANÁLISIS RADIÓMICO - Julia ")
     println("="^70)
     println(" Archivos a procesar: $(length(archivos))")
     println("  Modo: $(modo_paralelo ? "Paralelo ($(nthreads()) threads)" : "Lineal")")
+    println("  Volumen (series 4D): $indice_volumen")
+    if parametros["discretizacion"] == "ancho"
+        println("  Discretización: ancho de bin $(parametros["ancho_bin"])")
+    else
+        println("  Discretización: $(parametros["num_bins"]) bins")
+    end
+    println("  Clases: $(join(parametros["clases"], ", "))")
+    println("  Preprocesamiento: $(describir_preprocesamiento(parametros["preprocesamiento"]))")
+    if !isempty(previos)
+        println("  Reanudando: $(length(previos)) archivo(s) ya procesados")
+    end
     println("="^70 * "\n")
     
     if isempty(archivos)
@@ -1014,14 +1377,38 @@ function analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false)
     
     tiempo_inicio = time()
     
-    resultados = Vector{Dict{String, Any}}(undef, length(archivos))
+    # nothing = archivo sin terminar (cancelado antes o durante su proceso)
+    resultados = Vector{Union{Nothing, Dict{String, Any}}}(nothing, length(archivos))
+    
+    function procesar(i)
+        if haskey(previos, i)
+            resultados[i] = previos[i]
+            return
+        end
+        cancelado() && return
+        
+        isnothing(progreso) || progreso(i, :inicio)
+        avance = function (clase, f)
+            cancelado() && throw(AnalisisCancelado())
+            isnothing(progreso) || progreso(i, :clase, (clase, f))
+        end
+        try
+            resultados[i] = extraer_features_archivo(archivos[i], indice_volumen, get(mascaras, archivos[i], nothing),
+                                                     nombres_etiquetas; avance = avance, parametros = parametros)
+        catch e
+            e isa AnalisisCancelado || rethrow()
+            println(" ⏹️  Cancelado durante $(basename(archivos[i]))")
+            return
+        end
+        isnothing(progreso) || progreso(i, :fin, resultados[i])
+    end
     
     if modo_paralelo && nthreads() > 1
         println("== Iniciando procesamiento paralelo...\n")
         
         @threads for i in 1:length(archivos)
             println(" Thread $(threadid()): Procesando archivo $i de $(length(archivos))")
-            resultados[i] = extraer_features_archivo(archivos[i])
+            procesar(i)
         end
         
     else
@@ -1029,22 +1416,25 @@ function analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false)
         
         for i in 1:length(archivos)
             println(" Procesando archivo $i de $(length(archivos))")
-            resultados[i] = extraer_features_archivo(archivos[i])
+            procesar(i)
         end
     end
     
     tiempo_total = time() - tiempo_inicio
     
+    pendientes = [basename(archivos[i]) for i in eachindex(archivos) if isnothing(resultados[i])]
+    resultados = Dict{String, Any}[r for r in resultados if !isnothing(r)]
+    
     archivos_exitosos = count(r -> r["success"], resultados)
     archivos_fallidos = length(resultados) - archivos_exitosos
     
     success_global = archivos_exitosos > 0
     
     println("\n" * "="^70)
-    println("✅ ANÁLISIS COMPLETADO")
+    println(isempty(pendientes) ? "✅ ANÁLISIS COMPLETADO" : "⏹️  ANÁLISIS CANCELADO ($(length(pendientes)) pendientes)")
     println("="^70)
     println("⏱️  Tiempo total: $(round(tiempo_total, digits=2)) segundos")
-    println("📊 Archivos procesados: $(length(archivos))")
+    println("📊 Archivos procesados: $(length(resultados))")
     println("✅ Exitosos: $archivos_exitosos")
     println("❌ Fallidos: $archivos_fallidos")
     println("⚡ Modo usado: $(modo_paralelo ? "paralelo" : "lineal")")
@@ -1059,9 +1449,13 @@ function analizar_radiomico(archivos::Vector{String}, modo_paralelo::Bool=false)
         "resultados" => resultados,
         "tiempo_total" => round(tiempo_total, digits=2),
         "modo_usado" => modo_paralelo ? "paralelo" : "lineal",
-        "archivos_procesados" => length(archivos),
+        "archivos_procesados" => length(resultados),
         "archivos_exitosos" => archivos_exitosos,
         "archivos_fallidos" => archivos_fallidos,
+        "cancelado" => !isempty(pendientes),
+        "archivos_pendientes" => pendientes,
+        "volumen" => indice_volumen,
+        "parametros_extraccion" => parametros,
         "implementacion" => "Julia Puro (sin PyCall)"
     )
 end
@@ -1070,6 +1464,21 @@ end
 # FUNCIONES AUXILIARES DE UTILIDAD
 # ==============================================================================
 
+"""
+    regiones_resultado(resultado::Dict) -> Vector{Tuple{String, Any}}
+
+Pares (nombre, resultado de la región) de un archivo: uno solo para máscaras
+binarias y uno por etiqueta ("archivo [nombre]") para máscaras multi-etiqueta.
+"""
+function regiones_resultado(resultado::Dict)
+    archivo = get(resultado, "archivo", "Unknown")
+    if !haskey(resultado, "etiquetas")
+        return [(archivo, resultado)]
+    end
+    etiquetas = sort(collect(resultado["etiquetas"]), by = e -> parse(Int, e[1]))
+    return [("$archivo [$(e["nombre"])]", e) for (_, e) in etiquetas]
+end
+
 """
     guardar_resultados_radiomicos_excel(result::Dict, base_resultados::String) -> String
 
@@ -1086,13 +1495,14 @@ function guardar_resultados_radiomicos_excel(result::Dict, base_resultados::Stri
         
         println("📊 Generando archivo Excel: $nombre_archivo")
         
-        resultados = get(result, "resultados", [])
+        # Una columna por archivo, o por archivo × etiqueta en máscaras multi-etiqueta
+        resultados = [region for r in get(result, "resultados", []) for region in regiones_resultado(r)]
         
         # Recopilar TODAS las features únicas con NOMBRES LIMPIOS
         todas_features_list = String[]
         feature_categoria_map = Dict{String, String}()
 
-        for resultado in resultados
+        for (_, resultado) in resultados
             if get(resultado, "success", false)
                 caracteristicas = get(resultado, "caracteristicas", Dict())
                 for (categoria, features) in caracteristicas
@@ -1108,7 +1518,7 @@ function guardar_resultados_radiomicos_excel(result::Dict, base_resultados::Stri
         
         sort!(todas_features_list)
         
-        nombres_archivos = [get(r, "archivo", "Unknown") for r in resultados]
+        nombres_archivos = [nombre for (nombre, _) in resultados]
         
         println("     $(length(todas_features_list)) features × $(length(nombres_archivos)) archivos")
         
@@ -1130,7 +1540,7 @@ function guardar_resultados_radiomicos_excel(result::Dict, base_resultados::Stri
                 sheet_datos[XLSX.CellRef(fila, 1)] = feature_name
                 sheet_datos[XLSX.CellRef(fila, 2)] = get(feature_categoria_map, feature_name, "")
                 
-                for (col_idx, resultado) in enumerate(resultados)
+                for (col_idx, (_, resultado)) in enumerate(resultados)
                     col = col_idx + 2
     
                     if get(resultado, "success", false)
@@ -1195,6 +1605,23 @@ function guardar_resultados_radiomicos_excel(result::Dict, base_resultados::Stri
             sheet_resumen["A$(row)"] = "Total de features"
             sheet_resumen["B$(row)"] = length(todas_features_list)
             
+            parametros = get(result, "parametros_extraccion", nothing)
+            if !isnothing(parametros)
+                row += 2
+                sheet_resumen["A$(row)"] = "PARÁMETROS DE EXTRACCIÓN"
+                for clave in ["discretizacion", "num_bins", "ancho_bin", "max_run_length", "umbral_mascara"]
+                    row += 1
+                    sheet_resumen["A$(row)"] = clave
+                    sheet_resumen["B$(row)"] = parametros[clave]
+                end
+                row += 1
+                sheet_resumen["A$(row)"] = "clases"
+                sheet_resumen["B$(row)"] = join(parametros["clases"], ", ")
+                row += 1
+                sheet_resumen["A$(row)"] = "preprocesamiento"
+                sheet_resumen["B$(row)"] = describir_preprocesamiento(parametros["preprocesamiento"])
+            end
+            
             row += 2
             sheet_resumen["A$(row)"] = "ESTADO POR ARCHIVO"
             
@@ -1203,9 +1630,9 @@ function guardar_resultados_radiomicos_excel(result::Dict, base_resultados::Stri
             sheet_resumen["B$(row)"] = "Estado"
             sheet_resumen["C$(row)"] = "Error (si aplica)"
             
-            for resultado in resultados
+            for (nombre, resultado) in resultados
                 row += 1
-                sheet_resumen["A$(row)"] = get(resultado, "archivo", "")
+                sheet_resumen["A$(row)"] = nombre
                 sheet_resumen["B$(row)"] = get(resultado, "success", false) ? "✓ OK" : "✗ ERROR"
                 sheet_resumen["C$(row)"] = get(resultado, "error", "")
             end
@@ -1238,13 +1665,12 @@ function exportar_resultados_csv(resultados::Dict, output_path::String)
             println(io, "Archivo,Categoria,Feature,Valor")
             
             for resultado in resultados["resultados"]
-                if resultado["success"]
-                    archivo = resultado["archivo"]
-                    caracteristicas = resultado["caracteristicas"]
-                    
-                    for (categoria, features) in caracteristicas
-                        for (feature_name, valor) in features
-                            println(io, "$archivo,$categoria,$feature_name,$valor")
+                for (archivo, region) in regiones_resultado(resultado)
+                    if region["success"]
+                        for (categoria, features) in region["caracteristicas"]
+                            for (feature_name, valor) in features
+                                println(io, "$archivo,$categoria,$feature_name,$valor")
+                            end
                         end
                     end
                 end
@@ -1274,9 +1700,11 @@ function obtener_resumen_features(resultados::Dict)
     categorias_count = Dict{String, Int}()
     
     for resultado in resultados["resultados"]
-        if resultado["success"]
-            for (categoria, features) in resultado["caracteristicas"]
-                categorias_count[categoria] = get(categorias_count, categoria, 0) + length(features)
+        for (_, region) in regiones_resultado(resultado)
+            if region["success"]
+                for (categoria, features) in region["caracteristicas"]
+                    categorias_count[categoria] = get(categorias_count, categoria, 0) + length(features)
+                end
             end
         end
     end
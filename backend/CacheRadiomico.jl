@@ -0,0 +1,164 @@
+# CacheRadiomico.jl - Caché persistente de características radiómicas
+# Guarda el resultado de cada archivo en la carpeta de resultados del proyecto,
+# con una clave que combina el hash del contenido de la imagen (y de su máscara)
+# con los parámetros de extracción. Volver a analizar el proyecto solo calcula
+# los archivos nuevos o modificados.
+# Autor: MSL Process Backend
+# Fecha: 2025
+
+using SHA
+using JSON3
+
+# ==============================================================================
+# CONFIGURACIÓN
+# ==============================================================================
+
+# Cambiarla invalida todas las entradas (p. ej. al corregir el cálculo de una característica)
+const VERSION_CACHE_RADIOMICO = 3
+
+# Hash de contenido por (ruta, fecha de modificación, tamaño) para no releer
+# archivos que no han cambiado entre análisis
+const HASHES_ARCHIVOS = Dict{Tuple{String, Float64, Int}, String}()
+const HASHES_LOCK = ReentrantLock()
+
+# ==============================================================================
+# CLAVES
+# ==============================================================================
+
+"""
+    hash_contenido(ruta::String) -> String
+
+SHA-256 en hexadecimal del contenido del archivo.
+"""
+function hash_contenido(ruta::String)
+    info = stat(ruta)
+    memo = (ruta, info.mtime, Int(info.size))
+    hash = lock(() -> get(HASHES_ARCHIVOS, memo, nothing), HASHES_LOCK)
+    if isnothing(hash)
+        hash = bytes2hex(open(sha256, ruta))
+        lock(() -> HASHES_ARCHIVOS[memo] = hash, HASHES_LOCK)
+    end
+    return hash
+end
+
+"""
+    serializacion_canonica(valor) -> String
+
+JSON con las claves de los diccionarios ordenadas a cualquier profundidad, para que
+parámetros iguales den siempre el mismo texto (el orden de un Dict no es estable).
+"""
+serializacion_canonica(valor::AbstractDict) =
+    "{" * join(["$(JSON3.write(string(k))):$(serializacion_canonica(valor[k]))"
+                for k in sort(collect(keys(valor)), by = string)], ",") * "}"
+serializacion_canonica(valor::AbstractVector) = "[" * join(serializacion_canonica.(valor), ",") * "]"
+serializacion_canonica(valor) = JSON3.write(valor)
+
+"""
+    clave_cache_radiomica(ruta::String, ruta_mascara, indice_volumen::Int, parametros::Dict) -> String
+
+Clave de la caché: contenido de la imagen y la máscara, volumen de la serie 4D y
+parámetros de extracción ya normalizados. Los nombres de etiqueta no forman parte
+de ella; se aplican al leer la entrada.
+"""
+function clave_cache_radiomica(ruta::String, ruta_mascara::Union{Nothing, String},
+                               indice_volumen::Int, parametros::Dict)
+    partes = [
+        "v$VERSION_CACHE_RADIOMICO",
+        hash_contenido(ruta),
+        isnothing(ruta_mascara) ? "" : hash_contenido(ruta_mascara),
+        string(indice_volumen),
+        serializacion_canonica(parametros)
+    ]
+    return bytes2hex(sha256(join(partes, "|")))
+end
+
+# ==============================================================================
+# LECTURA Y ESCRITURA
+# ==============================================================================
+
+"""
+Carpeta de la caché dentro de la carpeta de resultados del proyecto
+"""
+directorio_cache_radiomico(ruta_resultados::String) = joinpath(ruta_resultados, "radiomics", "cache")
+
+"""
+    guardar_en_cache(dir::String, clave::String, resultado::Dict)
+
+Guarda el resultado de un archivo. Los errores no se guardan para reintentarlos.
+"""
+function guardar_en_cache(dir::String, clave::String, resultado::Dict)
+    get(resultado, "success", false) || return
+    try
+        mkpath(dir)
+        write(joinpath(dir, "$clave.json"), JSON3.write(resultado))
+    catch e
+        println("⚠️  No se pudo guardar en caché $(get(resultado, "archivo", clave)): $e")
+    end
+end
+
+"""
+    leer_de_cache(dir::String, clave::String, ruta::String,
+                  nombres_etiquetas::Dict{Int, String}) -> Union{Nothing, Dict}
+
+Resultado guardado con `clave`, marcado con "desde_cache", con el nombre actual
+del archivo y de sus etiquetas. `nothing` si no hay entrada o no se puede leer.
+"""
+function leer_de_cache(dir::String, clave::String, ruta::String, nombres_etiquetas::Dict{Int, String})
+    archivo_cache = joinpath(dir, "$clave.json")
+    isfile(archivo_cache) || return nothing
+
+    resultado = try
+        json_a_dict(JSON3.read(read(archivo_cache, String)))
+    catch e
+        println("⚠️  Entrada de caché ilegible $(basename(archivo_cache)): $e")
+        return nothing
+    end
+
+    # El mismo contenido puede estar con otro nombre o en otra carpeta
+    resultado["archivo"] = basename(ruta)
+    for (valor, region) in get(resultado, "etiquetas", Dict())
+        etiqueta = parse(Int, valor)
+        region["nombre"] = get(nombres_etiquetas, etiqueta, "Etiqueta $etiqueta")
+    end
+    resultado["desde_cache"] = true
+    return resultado
+end
+
+"""
+    buscar_en_cache(dir::String, rutas::Vector{String}, mascaras::Dict{String, String},
+                    indice_volumen::Int, parametros::Dict, nombres_etiquetas::Dict{Int, String};
+                    omitir=()) -> (Vector{Union{Nothing, String}}, Dict{Int, Any})
+
+Clave de cada archivo (`nothing` si no se puede leer) y resultados ya guardados
+por índice. Los índices de `omitir` (ya calculados al reanudar) no se buscan.
+"""
+function buscar_en_cache(dir::String, rutas::Vector{String}, mascaras::Dict{String, String},
+                         indice_volumen::Int, parametros::Dict, nombres_etiquetas::Dict{Int, String};
+                         omitir=())
+    claves = Vector{Union{Nothing, String}}(nothing, length(rutas))
+    encontrados = Dict{Int, Any}()
+
+    for (i, ruta) in enumerate(rutas)
+        claves[i] = try
+            clave_cache_radiomica(ruta, get(mascaras, ruta, nothing), indice_volumen, parametros)
+        catch e
+            println("⚠️  Sin caché para $(basename(ruta)): $e")
+            nothing
+        end
+        if !isnothing(claves[i]) && !(i in omitir)
+            resultado = leer_de_cache(dir, claves[i], ruta, nombres_etiquetas)
+            isnothing(resultado) || (encontrados[i] = resultado)
+        end
+        # Hashear muchos archivos no debe bloquear las consultas de progreso
+        yield()
+    end
+
+    println("💾 Caché: $(length(encontrados)) de $(length(rutas)) archivo(s) ya calculados")
+    return claves, encontrados
+end
+
+# ==============================================================================
+# MENSAJE DE INICIALIZACIÓN
+# ==============================================================================
+
+println("📦 Módulo CacheRadiomico.jl cargado")
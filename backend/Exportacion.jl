@@ -0,0 +1,238 @@
+# Exportacion.jl - Descarga de resultados desde el navegador
+# Al terminar un análisis se generan CSV, JSON y XLSX de ese trabajo (y el CSV
+# al estilo de pyradiomics en radiómica) en el
+# directorio temporal del servidor; /api/descargar/{id}/{formato} los sirve a
+# cualquier cliente de la red local.
+# Autor: MSL Process Backend
+# Fecha: 2025
+#
+# FORMATO DE LOS CSV (columnas fijas; UTF-8, separador coma, comillas dobles RFC 4180)
+#
+# Radiómica, formato largo, una fila por característica y región:
+#   archivo          nombre del archivo de imagen
+#   etiqueta         valor de la etiqueta en máscaras multi-etiqueta (vacío si es binaria)
+#   nombre_etiqueta  nombre asignado a la etiqueta (vacío si es binaria)
+#   categoria        first_order, shape, texture_glcm, texture_glrlm o texture_glszm
+#   caracteristica   nombre de la característica con el tipo de imagen como prefijo
+#                    (original_Mean, log-sigma-1-0-mm-3D_Mean, wavelet-LLH_Mean...)
+#   valor            valor numérico (vacío si no es finito)
+#
+# Estadística, formato largo, una fila por valor:
+#   seccion          normalidad, prueba o resumen
+#   prueba           clave de la prueba (tTest, anova...); shapiro_wilk en normalidad
+#   grupo            grupo al que se refiere la fila (solo en normalidad)
+#   clave            nombre del valor; los anidados se unen con "." (p. ej. tukey.A-B.p_value)
+#   valor            número, texto o lista separada por ";"
+#
+# Radiómica al estilo de pyradiomics (formato "pyradiomics"), ancho, una fila por caso
+# (archivo, o archivo × etiqueta en máscaras multi-etiqueta):
+#   Image, Mask      nombre del archivo de imagen y de su máscara (vacío si no tiene)
+#   Label            valor de la etiqueta (vacío si es binaria)
+#   <tipo>_<clase>_<Nombre>  una columna por característica con nombre en pyradiomics
+#                    (original_glcm_Contrast, wavelet-LLH_firstorder_Mean...); las que
+#                    no tienen equivalente no se incluyen (ver NomenclaturaRadiomica.jl)
+#
+# El JSON es el resultado completo del análisis tal como lo devuelve /api/trabajo/{id};
+# el XLSX es la misma hoja que se guarda en la carpeta Resultados_ del proyecto.
+
+using JSON3
+
+# ==============================================================================
+# CONFIGURACIÓN
+# ==============================================================================
+
+# Un subdirectorio por trabajo con un archivo por formato
+const EXPORTACIONES_DIR = joinpath(TEMP_DIR, "exportaciones")
+
+# Formato => (archivo en el subdirectorio del trabajo, tipo de contenido)
+const FORMATOS_EXPORTACION = Dict(
+    "csv" => ("resultados.csv", "text/csv; charset=utf-8"),
+    "pyradiomics" => ("resultados_pyradiomics.csv", "text/csv; charset=utf-8"),
+    "json" => ("resultados.json", "application/json"),
+    "xlsx" => ("resultados.xlsx", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+)
+
+const COLUMNAS_CSV_RADIOMICA = ["archivo", "etiqueta", "nombre_etiqueta", "categoria", "caracteristica", "valor"]
+const COLUMNAS_CSV_ESTADISTICA = ["seccion", "prueba", "grupo", "clave", "valor"]
+
+# ==============================================================================
+# CSV
+# ==============================================================================
+
+"""
+Celda CSV: números finitos tal cual, el resto como texto entre comillas si hace falta
+"""
+function celda_csv(valor)
+    if isnothing(valor) || (valor isa AbstractFloat && !isfinite(valor))
+        return ""
+    elseif valor isa Number
+        return string(valor)
+    end
+    texto = valor isa AbstractVector ? join(string.(valor), ";") : string(valor)
+    if occursin(r"[\",\r\n]", texto)
+        return "\"" * replace(texto, "\"" => "\"\"") * "\""
+    end
+    return texto
+end
+
+function escribir_csv(ruta::String, columnas::Vector{String}, filas)
+    open(ruta, "w") do io
+        println(io, join(columnas, ","))
+        for fila in filas
+            println(io, join(celda_csv.(fila), ","))
+        end
+    end
+end
+
+"""
+    filas_radiomicas(result::Dict) -> Vector
+
+Filas de COLUMNAS_CSV_RADIOMICA ordenadas por archivo, etiqueta, categoría y característica.
+Los archivos o etiquetas con error no aportan filas (su error queda en el JSON).
+"""
+function filas_radiomicas(result::Dict)
+    filas = []
+    for resultado in get(result, "resultados", [])
+        isnothing(resultado) && continue
+        archivo = get(resultado, "archivo", "")
+        regiones = haskey(resultado, "etiquetas") ?
+            sort([(k, r) for (k, r) in resultado["etiquetas"]], by = e -> parse(Int, string(e[1]))) :
+            [("", resultado)]
+
+        for (etiqueta, region) in regiones
+            get(region, "success", false) || continue
+            nombre = get(region, "nombre", "")
+            for categoria in sort(collect(keys(region["caracteristicas"])))
+                features = region["caracteristicas"][categoria]
+                for caracteristica in sort(collect(keys(features)))
+                    valor = features[caracteristica]
+                    push!(filas, [archivo, etiqueta, nombre, categoria, caracteristica,
+                                  valor isa Real ? Float64(valor) : nothing])
+                end
+            end
+        end
+    end
+    return filas
+end
+
+"""
+Añade a `filas` los valores de `datos` aplanando los diccionarios anidados en la clave
+"""
+function aplanar_valores!(filas, seccion::String, prueba::String, prefijo::String, datos::AbstractDict)
+    for clave in sort(collect(keys(datos)), by = string)
+        valor = datos[clave]
+        nombre = isempty(prefijo) ? string(clave) : "$prefijo.$clave"
+        if valor isa AbstractDict
+            aplanar_valores!(filas, seccion, prueba, nombre, valor)
+        else
+            push!(filas, [seccion, prueba, "", nombre, valor])
+        end
+    end
+    return filas
+end
+
+"""
+    filas_estadisticas(result::Dict) -> Vector
+
+Filas de COLUMNAS_CSV_ESTADISTICA: normalidad por grupo, valores de cada prueba y resumen.
+"""
+function filas_estadisticas(result::Dict)
+    filas = []
+
+    normalidad = get(get(result, "parametricidad", Dict()), "test_normalidad", Dict())
+    for grupo in sort(collect(keys(normalidad)))
+        test = normalidad[grupo]
+        for clave in sort(collect(keys(test)))
+            push!(filas, ["normalidad", "shapiro_wilk", grupo, clave, test[clave]])
+        end
+    end
+
+    pruebas = get(result, "resultados", Dict())
+    for prueba in sort(collect(keys(pruebas)))
+        aplanar_valores!(filas, "prueba", prueba, "", pruebas[prueba])
+    end
+
+    push!(filas, ["resumen", "", "", "es_parametrico", get(get(result, "parametricidad", Dict()), "es_parametrico", nothing)])
+    push!(filas, ["resumen", "", "", "num_grupos", get(result, "num_grupos", nothing)])
+    push!(filas, ["resumen", "", "", "nombres_grupos", sort(string.(get(result, "nombres_grupos", String[])))])
+    push!(filas, ["resumen", "", "", "tiempo_analisis", get(result, "tiempo_analisis", nothing)])
+    return filas
+end
+
+# ==============================================================================
+# EXPORTACIÓN POR TRABAJO
+# ==============================================================================
+
+"""
+    exportar_resultados_trabajo(id::String, tipo::String, result::Dict) -> Vector{String}
+
+Genera los archivos descargables del trabajo `id` ("radiomica" o "estadistica") y
+devuelve los formatos disponibles. El XLSX se copia de result["ruta_excel"] si existe.
+"""
+function exportar_resultados_trabajo(id::String, tipo::String, result::Dict)
+    dir = joinpath(EXPORTACIONES_DIR, id)
+    mkpath(dir)
+    formatos = String[]
+
+    try
+        if tipo == "radiomica"
+            escribir_csv(joinpath(dir, "resultados.csv"), COLUMNAS_CSV_RADIOMICA, filas_radiomicas(result))
+        else
+            escribir_csv(joinpath(dir, "resultados.csv"), COLUMNAS_CSV_ESTADISTICA, filas_estadisticas(result))
+        end
+        push!(formatos, "csv")
+    catch e
+        println("⚠️  Error exportando CSV de $id: $e")
+    end
+
+    if tipo == "radiomica"
+        try
+            columnas, filas = filas_pyradiomics(result)
+            escribir_csv(joinpath(dir, "resultados_pyradiomics.csv"), columnas, filas)
+            push!(formatos, "pyradiomics")
+        catch e
+            println("⚠️  Error exportando CSV de pyradiomics de $id: $e")
+        end
+    end
+
+    try
+        write(joinpath(dir, "resultados.json"), JSON3.write(result))
+        push!(formatos, "json")
+    catch e
+        println("⚠️  Error exportando JSON de $id: $e")
+    end
+
+    ruta_excel = get(result, "ruta_excel", "")
+    if !isempty(ruta_excel) && isfile(ruta_excel)
+        cp(ruta_excel, joinpath(dir, "resultados.xlsx"), force=true)
+        push!(formatos, "xlsx")
+    end
+
+    println("📦 Exportaciones de $id: $(join(formatos, ", "))")
+    return formatos
+end
+
+"""
+    ruta_exportacion(id::String, formato::String) -> Union{Nothing, String}
+
+Archivo descargable de un trabajo, o `nothing` si el ID o el formato no son válidos
+o el archivo no se generó.
+"""
+function ruta_exportacion(id::String, formato::String)
+    if !id_trabajo_valido(id) || !haskey(FORMATOS_EXPORTACION, formato)
+        return nothing
+    end
+    ruta = joinpath(EXPORTACIONES_DIR, id, FORMATOS_EXPORTACION[formato][1])
+    return isfile(ruta) ? ruta : nothing
+end
+
+"""
+Nombre con el que se descarga el archivo: el ID del trabajo en lugar de "resultados"
+"""
+nombre_descarga(id::String, formato::String) = replace(FORMATOS_EXPORTACION[formato][1], "resultados" => id)
+
+# ==============================================================================
+# MENSAJE DE INICIALIZACIÓN
+# ==============================================================================
+
+println("📦 Módulo Exportacion.jl cargado")
@@ -0,0 +1,157 @@
+# HistorialRadiomico.jl - Historial de análisis radiómicos del proyecto
+# Cada análisis terminado se guarda en la carpeta de resultados del proyecto
+# (Resultados_x/radiomics/historial/<proyecto>/<id>/) para volver a abrirlo, compararlo o
+# borrarlo sin recalcular, también después de reiniciar el servidor. Sus archivos
+# descargables se copian a <id>/exportaciones/, que no depende del directorio temporal.
+# Autor: MSL Process Backend
+# Fecha: 2025
+
+using Dates
+using JSON3
+using SHA
+
+# ==============================================================================
+# CONFIGURACIÓN
+# ==============================================================================
+
+# resumen.json es lo que se lista; resultado.json, el análisis completo
+const ARCHIVO_RESUMEN_HISTORIAL = "resumen.json"
+const ARCHIVO_RESULTADO_HISTORIAL = "resultado.json"
+const DIRECTORIO_EXPORTACIONES_HISTORIAL = "exportaciones"
+
+"""
+Carpeta del historial de un proyecto dentro de la carpeta de resultados. Sin proyecto
+abierto en el servidor (modo navegador) la carpeta de resultados es la compartida
+~/Resultados, así que cada proyecto usa una subcarpeta con el hash de su clave
+"""
+directorio_historial_radiomico(ruta_resultados::String, proyecto::String) =
+    joinpath(ruta_resultados, "radiomics", "historial", bytes2hex(sha256(proyecto))[1:16])
+
+# ==============================================================================
+# ESCRITURA
+# ==============================================================================
+
+"""
+    guardar_en_historial(ruta_resultados::String, proyecto::String, id::String,
+                         rutas::Vector{String}, parametros::Dict, result::Dict)
+
+Guarda el análisis `id` del proyecto `proyecto` con su fecha, archivos, máscaras, parámetros, resultados y
+los archivos de result["exportaciones"]. Un análisis reanudado sobrescribe la entrada
+que dejó al cancelarse.
+"""
+function guardar_en_historial(ruta_resultados::String, proyecto::String, id::String,
+                              rutas::Vector{String}, parametros::Dict, result::Dict)
+    dir = joinpath(directorio_historial_radiomico(ruta_resultados, proyecto), id)
+    try
+        mkpath(dir)
+        resumen = Dict{String, Any}(
+            "id" => id,
+            "proyecto" => proyecto,
+            "fecha" => string(now()),
+            "archivos" => basename.(rutas),
+            "num_archivos" => length(rutas),
+            "archivos_exitosos" => get(result, "archivos_exitosos", 0),
+            "archivos_fallidos" => get(result, "archivos_fallidos", 0),
+            "archivos_en_cache" => get(result, "archivos_en_cache", 0),
+            "cancelado" => get(result, "cancelado", false),
+            "volumen" => get(result, "volumen", 1),
+            "parametros_extraccion" => get(result, "parametros_extraccion", Dict()),
+            "tiempo_total" => get(result, "tiempo_total", 0.0)
+        )
+        write(joinpath(dir, ARCHIVO_RESUMEN_HISTORIAL), JSON3.write(resumen))
+        write(joinpath(dir, ARCHIVO_RESULTADO_HISTORIAL), JSON3.write(merge(resumen, Dict(
+            "mascaras" => parametros["mascaras"],
+            "etiquetas" => parametros["etiquetas"],
+            "resultado" => result
+        ))))
+        
+        dir_exportaciones = joinpath(dir, DIRECTORIO_EXPORTACIONES_HISTORIAL)
+        mkpath(dir_exportaciones)
+        for formato in get(result, "exportaciones", String[])
+            archivo = FORMATOS_EXPORTACION[formato][1]
+            cp(joinpath(EXPORTACIONES_DIR, id, archivo), joinpath(dir_exportaciones, archivo), force=true)
+        end
+        println("🗂️  Análisis $id guardado en el historial")
+    catch e
+        println("⚠️  No se pudo guardar $id en el historial: $e")
+    end
+end
+
+# ==============================================================================
+# LECTURA Y BORRADO
+# ==============================================================================
+
+"""
+    listar_historial(ruta_resultados::String, proyecto::String) -> Vector
+
+Resúmenes de los análisis guardados del proyecto, del más reciente al más antiguo. Las
+entradas ilegibles se omiten.
+"""
+function listar_historial(ruta_resultados::String, proyecto::String)
+    dir = directorio_historial_radiomico(ruta_resultados, proyecto)
+    isdir(dir) || return []
+
+    resumenes = []
+    for id in readdir(dir)
+        archivo = joinpath(dir, id, ARCHIVO_RESUMEN_HISTORIAL)
+        (id_trabajo_valido(id) && isfile(archivo)) || continue
+        try
+            push!(resumenes, json_a_dict(JSON3.read(read(archivo, String))))
+        catch e
+            println("⚠️  Entrada de historial ilegible $id: $e")
+        end
+    end
+    return sort(resumenes, by = r -> r["fecha"], rev = true)
+end
+
+"""
+    leer_de_historial(ruta_resultados::String, proyecto::String, id::String) -> Union{Nothing, Dict}
+
+Análisis completo guardado con `id`, o `nothing` si no existe o no se puede leer.
+"""
+function leer_de_historial(ruta_resultados::String, proyecto::String, id::String)
+    id_trabajo_valido(id) || return nothing
+    archivo = joinpath(directorio_historial_radiomico(ruta_resultados, proyecto), id, ARCHIVO_RESULTADO_HISTORIAL)
+    isfile(archivo) || return nothing
+    try
+        return json_a_dict(JSON3.read(read(archivo, String)))
+    catch e
+        println("⚠️  Entrada de historial ilegible $id: $e")
+        return nothing
+    end
+end
+
+"""
+    ruta_exportacion_historial(ruta_resultados::String, proyecto::String, id::String,
+                               formato::String) -> Union{Nothing, String}
+
+Archivo descargable guardado con el análisis `id`, o `nothing` si no está.
+"""
+function ruta_exportacion_historial(ruta_resultados::String, proyecto::String, id::String, formato::String)
+    if !id_trabajo_valido(id) || !haskey(FORMATOS_EXPORTACION, formato)
+        return nothing
+    end
+    ruta = joinpath(directorio_historial_radiomico(ruta_resultados, proyecto), id,
+                    DIRECTORIO_EXPORTACIONES_HISTORIAL, FORMATOS_EXPORTACION[formato][1])
+    return isfile(ruta) ? ruta : nothing
+end
+
+"""
+    borrar_de_historial(ruta_resultados::String, proyecto::String, id::String) -> Bool
+
+Borra el análisis `id` del historial del proyecto; `false` si no existía.
+"""
+function borrar_de_historial(ruta_resultados::String, proyecto::String, id::String)
+    id_trabajo_valido(id) || return false
+    dir = joinpath(directorio_historial_radiomico(ruta_resultados, proyecto), id)
+    isdir(dir) || return false
+    rm(dir, recursive=true)
+    println("🗑️  Análisis $id borrado del historial")
+    return true
+end
+
+# ==============================================================================
+# MENSAJE DE INICIALIZACIÓN
+# ==============================================================================
+
+println("📦 Módulo HistorialRadiomico.jl cargado")
@@ -0,0 +1,229 @@
+# NomenclaturaRadiomica.jl - Nombres estándar de las características radiómicas
+# Relaciona cada característica de AnalisisRadiomico.jl con su identificador y
+# nombre IBSI (Image Biomarker Standardisation Initiative) y con su nombre en
+# pyradiomics, y escribe el CSV al estilo de pyradiomics (una fila por caso).
+# La equivalencia es de definición: los valores pueden diferir por detalles de
+# implementación, indicados en "nota" cuando se conocen.
+# Autor: MSL Process Backend
+# Fecha: 2025
+
+# ==============================================================================
+# TABLA DE EQUIVALENCIAS
+# ==============================================================================
+
+# Clase de pyradiomics de cada categoría
+const CLASES_PYRADIOMICS = Dict(
+    "first_order" => "firstorder",
+    "shape" => "shape",
+    "texture_glcm" => "glcm",
+    "texture_glrlm" => "glrlm",
+    "texture_glszm" => "glszm"
+)
+
+"""
+Entrada de la tabla: `nothing` donde no hay equivalente
+"""
+equivalencia(ibsi, nombre_ibsi, pyradiomics; nota=nothing) = Dict{String, Any}(
+    "ibsi" => ibsi,
+    "nombre_ibsi" => nombre_ibsi,
+    "pyradiomics" => pyradiomics,
+    "nota" => nota
+)
+
+const NOMENCLATURA_RADIOMICA = Dict{String, Dict{String, Dict{String, Any}}}(
+    "first_order" => Dict(
+        "Media" => equivalencia("Q4LE", "Mean intensity", "Mean"),
+        "Varianza" => equivalencia("ECT3", "Intensity variance", "Variance"),
+        "Desviacion_estandar" => equivalencia(nothing, nothing, "StandardDeviation"),
+        "Energia" => equivalencia("N8CA", "Energy", "Energy"),
+        "Max" => equivalencia("84IY", "Maximum intensity", "Maximum"),
+        "Min" => equivalencia("1GSF", "Minimum intensity", "Minimum"),
+        "Energia_total" => equivalencia(nothing, nothing, "TotalEnergy"),
+        "Entropia" => equivalencia("TLU2", "Intensity histogram entropy", "Entropy";
+                                   nota = "Histograma de 256 bins"),
+        "percentil_10" => equivalencia("QG58", "10th intensity percentile", "10Percentile"),
+        "percentil_25" => equivalencia(nothing, nothing, nothing),
+        "Mediana" => equivalencia("Y12H", "Median intensity", "Median"),
+        "percentil_75" => equivalencia(nothing, nothing, nothing),
+        "percentil_90" => equivalencia("8DWT", "90th intensity percentile", "90Percentile"),
+        "Rango_intercuartil" => equivalencia("SALO", "Intensity interquartile range", "InterquartileRange"),
+        "Alcance" => equivalencia("2OJQ", "Intensity range", "Range"),
+        "Desviacion_absoluta_media" => equivalencia("4FUA", "Intensity-based mean absolute deviation", "MeanAbsoluteDeviation"),
+        "Raiz_cuadrada_media" => equivalencia("5ZWQ", "Root mean square intensity", "RootMeanSquared"),
+        "Asimetria" => equivalencia("KE2A", "Intensity skewness", "Skewness"),
+        "Curtosis" => equivalencia("IPH6", "Intensity kurtosis", "Kurtosis";
+                                   nota = "Sin restar 3, como pyradiomics; IBSI define la curtosis en exceso"),
+        "Entropia_Shannon" => equivalencia("TLU2", "Intensity histogram entropy", nothing;
+                                           nota = "Duplicado de Entropia"),
+        "Entropia_Renyi" => equivalencia(nothing, nothing, nothing),
+        "Moda" => equivalencia("AMMC", "Intensity histogram mode", nothing),
+        "Coef_Variacion" => equivalencia("7TET", "Intensity-based coefficient of variation", nothing),
+        "Entropia_Normalizada" => equivalencia(nothing, nothing, nothing),
+        "RMAD" => equivalencia("1128", "Intensity-based robust mean absolute deviation", "RobustMeanAbsoluteDeviation"),
+        "Rango_Robusto" => equivalencia(nothing, nothing, nothing),
+        "Coef_Dispersion_Cuartil" => equivalencia("9S40", "Intensity-based quartile coefficient of dispersion", nothing),
+        "DAM_Mediana" => equivalencia("N72L", "Intensity-based median absolute deviation", nothing)
+    ),
+    "shape" => Dict(
+        "Volumen" => equivalencia("YEKZ", "Volume (voxel counting)", "VoxelVolume"),
+        "Longitud_del_eje_mayor" => equivalencia("TDIC", "Major axis length", "MajorAxisLength"),
+        "Longitud_del_eje_medio" => equivalencia("P9VJ", "Minor axis length", "MinorAxisLength"),
+        "Longitud_del_eje_menor" => equivalencia("7J51", "Least axis length", "LeastAxisLength"),
+        "Elongacion" => equivalencia("Q3CK", "Elongation", "Elongation"),
+        "Planitud" => equivalencia("N17B", "Flatness", "Flatness"),
+        "Area_superficie" => equivalencia("C0JK", "Surface area (mesh)", "SurfaceArea";
+                                          nota = "Suma de caras de voxel expuestas, no una malla"),
+        "Esfericidad" => equivalencia("QCFX", "Sphericity", "Sphericity"),
+        "Compacidad_1" => equivalencia("SKGS", "Compactness 1", "Compactness1"),
+        "Compacidad_2" => equivalencia("BQWJ", "Compactness 2", "Compactness2"),
+        "surface_to_volume_ratio" => equivalencia("2PR5", "Surface to volume ratio", "SurfaceVolumeRatio")
+    ),
+    "texture_glcm" => Dict(
+        "Autocorrelacion" => equivalencia("QWB0", "Autocorrelation", "Autocorrelation"),
+        "Contraste" => equivalencia("ACUI", "Contrast", "Contrast"),
+        "Correlacion" => equivalencia("NI2N", "Correlation", "Correlation"),
+        "Homogeneidad" => equivalencia("IB1Z", "Inverse difference", "Id"),
+        "Energia_Conjunta" => equivalencia("8ZQL", "Angular second moment", "JointEnergy"),
+        "Entropia_Conjunta" => equivalencia("TU9B", "Joint entropy", "JointEntropy"),
+        "Diferencia_Media" => equivalencia("TF7R", "Difference average", "DifferenceAverage"),
+        "Entropia_Diferencia" => equivalencia("NTRS", "Difference entropy", "DifferenceEntropy"),
+        "Varianza_Diferencia" => equivalencia("D3YU", "Difference variance", "DifferenceVariance"),
+        "Prominencia_Cluster" => equivalencia("AE86", "Cluster prominence", "ClusterProminence"),
+        "Sombra_Cluster" => equivalencia("7NFM", "Cluster shade", "ClusterShade"),
+        "IMC1" => equivalencia("R8DG", "Information correlation 1", "Imc1"),
+        "IMC2" => equivalencia("JN9H", "Information correlation 2", "Imc2"),
+        "IDM" => equivalencia("WF0Z", "Inverse difference moment", "Idm"),
+        "IDMN" => equivalencia("1QCO", "Normalised inverse difference moment", "Idmn"),
+        "Probabilidad_Maxima" => equivalencia("GYBY", "Joint maximum", "MaximumProbability")
+    ),
+    "texture_glrlm" => Dict(
+        "SRE" => equivalencia("22OV", "Short runs emphasis", "ShortRunEmphasis"),
+        "LRE" => equivalencia("W4KF", "Long runs emphasis", "LongRunEmphasis"),
+        # La matriz llega normalizada: GLN y RLN son las versiones normalizadas
+        "GLN" => equivalencia("OVBL", "Normalised grey level non-uniformity", "GrayLevelNonUniformityNormalized"),
+        "RLN" => equivalencia("IC23", "Normalised run length non-uniformity", "RunLengthNonUniformityNormalized"),
+        "RP" => equivalencia(nothing, nothing, nothing;
+                             nota = "Calculado sobre la matriz normalizada (1 / número de voxels)"),
+        "LGRE" => equivalencia("V3SW", "Low grey level run emphasis", "LowGrayLevelRunEmphasis"),
+        "HGRE" => equivalencia("G3QZ", "High grey level run emphasis", "HighGrayLevelRunEmphasis"),
+        "GrayLevelVariance" => equivalencia("8CE5", "Grey level variance", "GrayLevelVariance"),
+        "RunLengthVariance" => equivalencia("SXLW", "Run length variance", "RunVariance"),
+        "GrayLevelMean" => equivalencia(nothing, nothing, nothing),
+        "RunLengthMean" => equivalencia(nothing, nothing, nothing),
+        "Entropy" => equivalencia("HJ9O", "Run entropy", "RunEntropy"),
+        "Uniformity" => equivalencia(nothing, nothing, nothing),
+        "LowGrayLevelRunEmphasis2" => equivalencia(nothing, nothing, nothing),
+        "HighGrayLevelRunEmphasis2" => equivalencia(nothing, nothing, nothing),
+        "ShortRunHighGrayLevelEmphasis" => equivalencia(nothing, nothing, nothing;
+                                                        nota = "Pondera con Ng - i + 1 en lugar de i²"),
+        "LongRunLowGrayLevelEmphasis" => equivalencia(nothing, nothing, nothing;
+                                                      nota = "Pondera con i en lugar de 1/i²"),
+        "ShortRunLowGrayLevelEmphasis" => equivalencia("HTZT", "Short run low grey level emphasis", "ShortRunLowGrayLevelEmphasis"),
+        "LongRunHighGrayLevelEmphasis" => equivalencia("3KUM", "Long run high grey level emphasis", "LongRunHighGrayLevelEmphasis")
+    ),
+    "texture_glszm" => Dict(
+        "SZE" => equivalencia("5QRC", "Small zone emphasis", "SmallAreaEmphasis"),
+        "LZE" => equivalencia("48P8", "Large zone emphasis", "LargeAreaEmphasis"),
+        # Igual que en GLRLM, GLN y ZSN salen de la matriz normalizada
+        "GLN_GLSZM" => equivalencia("Y1RO", "Normalised grey level non-uniformity", "GrayLevelNonUniformityNormalized"),
+        "ZSN" => equivalencia("VB3A", "Normalised zone size non-uniformity", "SizeZoneNonUniformityNormalized"),
+        "LGZE" => equivalencia("XMSY", "Low grey level zone emphasis", "LowGrayLevelZoneEmphasis"),
+        "HGZE" => equivalencia("5GN9", "High grey level zone emphasis", "HighGrayLevelZoneEmphasis"),
+        "ZonePercentage" => equivalencia(nothing, nothing, nothing;
+                                         nota = "Calculado sobre la matriz normalizada (1 / número de voxels)"),
+        "GrayLevelVariance_GLSZM" => equivalencia("BYLV", "Grey level variance", "GrayLevelVariance"),
+        "ZoneSizeVariance" => equivalencia("3NSA", "Zone size variance", "ZoneVariance"),
+        "Entropy_GLSZM" => equivalencia("GU8N", "Zone size entropy", "ZoneEntropy"),
+        "Uniformity_GLSZM" => equivalencia(nothing, nothing, nothing),
+        "SmallZoneHighGrayLevelEmphasis" => equivalencia(nothing, nothing, nothing;
+                                                         nota = "Pondera con Ng - i + 1 en lugar de i²"),
+        "LargeZoneLowGrayLevelEmphasis" => equivalencia(nothing, nothing, nothing;
+                                                        nota = "Pondera con i en lugar de 1/i²"),
+        "SmallZoneLowGrayLevelEmphasis" => equivalencia("5RAI", "Small zone low grey level emphasis", "SmallAreaLowGrayLevelEmphasis"),
+        "LargeZoneHighGrayLevelEmphasis" => equivalencia("J17V", "Large zone high grey level emphasis", "LargeAreaHighGrayLevelEmphasis"),
+        "GrayLevelNonUniformityNormalized" => equivalencia("Y1RO", "Normalised grey level non-uniformity", nothing;
+                                                           nota = "Duplicado de GLN_GLSZM")
+    )
+)
+
+# ==============================================================================
+# NOMBRES COMPLETOS
+# ==============================================================================
+
+"""
+    separar_tipo_imagen(nombre::String) -> (String, String)
+
+Tipo de imagen y nombre base de una característica ("wavelet-LLH_Contraste" ->
+("wavelet-LLH", "Contraste")). Los resultados anteriores al preprocesamiento no
+llevan prefijo y se consideran de la imagen original. Los LoG guardados antes de
+usar el sufijo -3D de pyradiomics (log-sigma-1-0-mm_) se leen con él.
+"""
+function separar_tipo_imagen(nombre::String)
+    m = match(r"^(original|log-sigma-[0-9-]+-mm(?:-3D)?|wavelet-[LH]{3})_(.+)$", nombre)
+    isnothing(m) && return ("original", nombre)
+    return (replace(String(m.captures[1]), r"-mm$" => "-mm-3D"), String(m.captures[2]))
+end
+
+"""
+    nombre_pyradiomics(categoria::String, nombre::String) -> Union{Nothing, String}
+
+Nombre completo en pyradiomics (p. ej. "original_glcm_Contrast"), o `nothing` si
+la característica no tiene equivalente.
+"""
+function nombre_pyradiomics(categoria::String, nombre::String)
+    tipo, base = separar_tipo_imagen(nombre)
+    entrada = get(get(NOMENCLATURA_RADIOMICA, categoria, Dict()), base, nothing)
+    if isnothing(entrada) || isnothing(entrada["pyradiomics"])
+        return nothing
+    end
+    return "$(tipo)_$(CLASES_PYRADIOMICS[categoria])_$(entrada["pyradiomics"])"
+end
+
+# ==============================================================================
+# CSV AL ESTILO DE PYRADIOMICS
+# ==============================================================================
+
+"""
+    filas_pyradiomics(result::Dict) -> (Vector{String}, Vector)
+
+Columnas y filas del CSV de pyradiomics: Image, Mask, Label y una columna por
+característica con equivalente, una fila por caso (archivo, o archivo × etiqueta).
+Label queda vacío en máscaras binarias.
+"""
+function filas_pyradiomics(result::Dict)
+    casos = []
+    columnas = Set{String}()
+
+    for resultado in get(result, "resultados", [])
+        isnothing(resultado) && continue
+        regiones = haskey(resultado, "etiquetas") ?
+            sort([(k, r) for (k, r) in resultado["etiquetas"]], by = e -> parse(Int, string(e[1]))) :
+            [("", resultado)]
+
+        for (etiqueta, region) in regiones
+            get(region, "success", false) || continue
+            valores = Dict{String, Any}()
+            for (categoria, features) in region["caracteristicas"]
+                for (nombre, valor) in features
+                    columna = nombre_pyradiomics(string(categoria), string(nombre))
+                    isnothing(columna) && continue
+                    valores[columna] = valor isa Real ? Float64(valor) : nothing
+                    push!(columnas, columna)
+                end
+            end
+            push!(casos, (get(resultado, "archivo", ""), get(resultado, "archivo_mascara", ""), etiqueta, valores))
+        end
+    end
+
+    # Orden de pyradiomics: tipo de imagen, clase y característica
+    caracteristicas = sort(collect(columnas))
+    filas = [[imagen, mascara, etiqueta, (get(valores, c, nothing) for c in caracteristicas)...]
+             for (imagen, mascara, etiqueta, valores) in casos]
+    return ["Image", "Mask", "Label", caracteristicas...], filas
+end
+
+# ==============================================================================
+# MENSAJE DE INICIALIZACIÓN
+# ==============================================================================
+
+println("📦 Módulo NomenclaturaRadiomica.jl cargado")
@@ -0,0 +1,364 @@
+# Preprocesamiento.jl - Preparación de la imagen antes de la extracción radiómica
+# Remuestreo a voxel isotrópico, corrección del campo de sesgo, normalización de
+# intensidades e imágenes filtradas (LoG, wavelet). Las características se calculan
+# sobre cada imagen derivada y llevan su tipo como prefijo (original_, log-sigma-..., wavelet-...).
+# Autor: MSL Process Backend
+# Fecha: 2025
+
+using Statistics
+
+# ==============================================================================
+# CONFIGURACIÓN
+# ==============================================================================
+
+# Preprocesamiento por defecto: ninguno, solo la imagen original.
+# voxel_isotropico:   tamaño en mm del voxel tras remuestrear (0 = sin remuestreo)
+# correccion_sesgo:   elimina el campo de sesgo de baja frecuencia (tipo N4)
+# recorte_percentiles: limita las intensidades a [percentil_inferior, percentil_superior] de la ROI
+# normalizacion:      "ninguna" o "zscore" (media y desviación de toda la imagen)
+# log_sigmas:         sigmas en mm de los filtros Laplaciano de Gaussiana
+# wavelet:            las 8 subbandas de una descomposición Haar no diezmada
+const PREPROCESAMIENTO_DEFECTO = Dict{String, Any}(
+    "voxel_isotropico" => 0.0,
+    "correccion_sesgo" => false,
+    "recorte_percentiles" => false,
+    "percentil_inferior" => 1.0,
+    "percentil_superior" => 99.0,
+    "normalizacion" => "ninguna",
+    "log_sigmas" => Float64[],
+    "wavelet" => false
+)
+
+# Tamaño máximo por eje de la rejilla reducida en la que se estima el campo de sesgo
+const TAMANO_REJILLA_SESGO = 48
+
+"""
+    normalizar_parametros_preprocesamiento(entrada=Dict()) -> Dict{String, Any}
+
+Completa la configuración de preprocesamiento con los valores por defecto y la valida.
+Lanza `ArgumentError` con un mensaje para el usuario si algún valor no es válido.
+"""
+function normalizar_parametros_preprocesamiento(entrada=Dict())
+    parametros = copy(PREPROCESAMIENTO_DEFECTO)
+    for (clave, valor) in pairs(entrada)
+        clave = string(clave)
+        if !haskey(parametros, clave)
+            throw(ArgumentError("Parámetro de preprocesamiento desconocido: $clave"))
+        end
+        parametros[clave] = valor
+    end
+
+    parametros["voxel_isotropico"] = Float64(parametros["voxel_isotropico"])
+    if parametros["voxel_isotropico"] < 0
+        throw(ArgumentError("El tamaño del voxel isotrópico no puede ser negativo"))
+    end
+
+    parametros["correccion_sesgo"] = Bool(parametros["correccion_sesgo"])
+    parametros["recorte_percentiles"] = Bool(parametros["recorte_percentiles"])
+    parametros["percentil_inferior"] = Float64(parametros["percentil_inferior"])
+    parametros["percentil_superior"] = Float64(parametros["percentil_superior"])
+    if !(0 <= parametros["percentil_inferior"] < parametros["percentil_superior"] <= 100)
+        throw(ArgumentError("Los percentiles de recorte deben cumplir 0 ≤ inferior < superior ≤ 100"))
+    end
+
+    parametros["normalizacion"] = string(parametros["normalizacion"])
+    if !(parametros["normalizacion"] in ("ninguna", "zscore"))
+        throw(ArgumentError("Normalización no válida: $(parametros["normalizacion"]) (ninguna o zscore)"))
+    end
+
+    sigmas = Float64[Float64(s) for s in parametros["log_sigmas"]]
+    if any(s -> !(s > 0), sigmas)
+        throw(ArgumentError("Los sigmas del filtro LoG deben ser mayores que 0"))
+    end
+    parametros["log_sigmas"] = sort(unique(sigmas))
+
+    parametros["wavelet"] = Bool(parametros["wavelet"])
+    return parametros
+end
+
+# ==============================================================================
+# OPERACIONES POR EJE
+# ==============================================================================
+
+"""
+Remuestrea `A` a lo largo de `eje` a `n_nuevo` muestras separadas `paso` muestras
+originales (interpolación lineal, o vecino más próximo para máscaras)
+"""
+function remuestrear_eje(A::AbstractArray{<:Real, 3}, eje::Int, n_nuevo::Int, paso::Float64, vecino::Bool)
+    n = size(A, eje)
+    dims = collect(size(A))
+    dims[eje] = n_nuevo
+    B = Array{Float64, 3}(undef, dims...)
+
+    for k in 1:n_nuevo
+        # Centro del voxel nuevo en índices continuos de la rejilla original
+        x = clamp((k - 0.5) * paso + 0.5, 1.0, Float64(n))
+        if vecino
+            selectdim(B, eje, k) .= selectdim(A, eje, round(Int, x))
+        else
+            i0 = floor(Int, x)
+            i1 = min(i0 + 1, n)
+            w = x - i0
+            selectdim(B, eje, k) .= (1 - w) .* selectdim(A, eje, i0) .+ w .* selectdim(A, eje, i1)
+        end
+    end
+    return B
+end
+
+"""
+Convolución de `A` con `kernel` (longitud impar) a lo largo de `eje`, replicando el borde
+"""
+function convolucionar_eje(A::AbstractArray{<:Real, 3}, eje::Int, kernel::Vector{Float64})
+    r = length(kernel) ÷ 2
+    n = size(A, eje)
+    B = zeros(Float64, size(A))
+
+    for (j, peso) in enumerate(kernel)
+        desplazamiento = j - r - 1
+        for k in 1:n
+            selectdim(B, eje, k) .+= peso .* selectdim(A, eje, clamp(k + desplazamiento, 1, n))
+        end
+    end
+    return B
+end
+
+"""
+Núcleos gaussiano y de segunda derivada (en mm⁻²) con `sigma` mm y muestras cada `espaciado` mm
+"""
+function nucleos_gaussianos(sigma::Float64, espaciado::Float64)
+    r = max(ceil(Int, 4 * sigma / espaciado), 1)
+    x = (-r:r) .* espaciado
+    g = exp.(-x .^ 2 ./ (2 * sigma^2))
+    g ./= sum(g)
+    d2 = (x .^ 2 ./ sigma^4 .- 1 / sigma^2) .* g
+    # Sin respuesta a regiones de intensidad constante
+    d2 .-= sum(d2) / length(d2)
+    return collect(g), collect(d2)
+end
+
+function suavizar_gaussiano(A::AbstractArray{<:Real, 3}, sigmas_voxel::NTuple{3, Float64})
+    B = Float64.(A)
+    for eje in 1:3
+        if size(B, eje) > 1 && sigmas_voxel[eje] > 0
+            B = convolucionar_eje(B, eje, nucleos_gaussianos(sigmas_voxel[eje], 1.0)[1])
+        end
+    end
+    return B
+end
+
+# ==============================================================================
+# PASOS DEL PREPROCESAMIENTO
+# ==============================================================================
+
+"""
+    remuestrear_isotropico(volumen, voxel_dims, tamano; vecino=false) -> (Array{Float64, 3}, NTuple{3, Float64})
+
+Remuestrea el volumen a voxels de `tamano` mm en los tres ejes.
+"""
+function remuestrear_isotropico(volumen::AbstractArray{<:Real, 3}, voxel_dims, tamano::Float64; vecino::Bool=false)
+    V = Float64.(volumen)
+    for eje in 1:3
+        paso = tamano / voxel_dims[eje]
+        n_nuevo = max(round(Int, size(V, eje) / paso), 1)
+        V = remuestrear_eje(V, eje, n_nuevo, paso, vecino)
+    end
+    return V, (tamano, tamano, tamano)
+end
+
+"""
+    corregir_sesgo(volumen, voxel_dims; iteraciones=4) -> Array{Float64, 3}
+
+Corrección del campo de sesgo al estilo de N4: el logaritmo de las intensidades
+positivas se descompone en la imagen y un campo suave (gaussiana amplia estimada
+en una rejilla reducida) que se divide. La media de la intensidad se conserva.
+"""
+function corregir_sesgo(volumen::AbstractArray{<:Real, 3}, voxel_dims; iteraciones::Int=4)
+    fondo = .!(isfinite.(volumen) .& (volumen .> 0))
+    if count(!, fondo) < 10
+        return Float64.(volumen)
+    end
+
+    L = map(v -> isfinite(v) && v > 0 ? log(v) : 0.0, volumen)
+    peso = Float64.(.!fondo)
+    dims = size(volumen)
+
+    # Rejilla reducida y sigma de un cuarto del campo de visión
+    factor = max(maximum(dims) / TAMANO_REJILLA_SESGO, 1.0)
+    dims_reducidas = Tuple(max(round(Int, d / factor), 1) for d in dims)
+    reducir(A) = foldl((B, eje) -> remuestrear_eje(B, eje, dims_reducidas[eje], dims[eje] / dims_reducidas[eje], false), 1:3; init = A)
+    ampliar(A) = foldl((B, eje) -> remuestrear_eje(B, eje, dims[eje], dims_reducidas[eje] / dims[eje], false), 1:3; init = A)
+    extension_mm = maximum(dims .* voxel_dims)
+    sigmas = Tuple(extension_mm / 4 / (voxel_dims[eje] * dims[eje] / dims_reducidas[eje]) for eje in 1:3)
+
+    den = suavizar_gaussiano(reducir(peso), sigmas)
+    campo = zeros(Float64, dims)
+    for _ in 1:iteraciones
+        residuo = (L .- campo) .* peso
+        incremento = ampliar(suavizar_gaussiano(reducir(residuo), sigmas) ./ max.(den, eps()))
+        campo .+= incremento .- mean(incremento[.!fondo])
+    end
+
+    return map((v, c) -> isfinite(v) ? v / exp(c) : v, volumen, campo)
+end
+
+"""
+    normalizar_intensidades(volumen, mask, parametros) -> Array{Float64, 3}
+
+Recorte por percentiles de la ROI y normalización z-score con la media y la
+desviación de todos los voxels finitos de la imagen.
+"""
+function normalizar_intensidades(volumen::AbstractArray{<:Real, 3}, mask::BitArray{3}, parametros::Dict)
+    V = Float64.(volumen)
+
+    if parametros["recorte_percentiles"]
+        voxeles = filter(isfinite, V[mask])
+        if !isempty(voxeles)
+            inferior, superior = quantile(voxeles, [parametros["percentil_inferior"], parametros["percentil_superior"]] ./ 100)
+            V = map(v -> isfinite(v) ? clamp(v, inferior, superior) : v, V)
+        end
+    end
+
+    if parametros["normalizacion"] == "zscore"
+        finitos = filter(isfinite, V)
+        if length(finitos) > 1
+            media = mean(finitos)
+            desviacion = std(finitos)
+            V = desviacion > 0 ? (V .- media) ./ desviacion : V .- media
+        end
+    end
+
+    return V
+end
+
+"""
+    filtro_log(volumen, voxel_dims, sigma) -> Array{Float64, 3}
+
+Laplaciano de Gaussiana con `sigma` mm, normalizado por sigma² para que las
+respuestas a distintas escalas sean comparables.
+"""
+function filtro_log(volumen::AbstractArray{<:Real, 3}, voxel_dims, sigma::Float64)
+    V = map(v -> isfinite(v) ? Float64(v) : 0.0, volumen)
+    nucleos = [nucleos_gaussianos(sigma, Float64(voxel_dims[eje])) for eje in 1:3]
+    resultado = zeros(Float64, size(V))
+
+    # ∇²(G * V) = Σ_eje G'' en ese eje y G en los demás
+    for eje_derivada in 1:3
+        size(V, eje_derivada) > 1 || continue
+        B = V
+        for eje in 1:3
+            if size(V, eje) > 1
+                g, d2 = nucleos[eje]
+                B = convolucionar_eje(B, eje, eje == eje_derivada ? d2 : g)
+            end
+        end
+        resultado .+= B
+    end
+
+    return resultado .* sigma^2
+end
+
+"""
+Paso bajo o alto de Haar no diezmado a lo largo de `eje` (mismo tamaño que la entrada)
+"""
+function filtrar_haar(A::AbstractArray{<:Real, 3}, eje::Int, paso_alto::Bool)
+    n = size(A, eje)
+    B = Array{Float64, 3}(undef, size(A))
+    signo = paso_alto ? -1.0 : 1.0
+    for k in 1:n
+        selectdim(B, eje, k) .= (selectdim(A, eje, k) .+ signo .* selectdim(A, eje, min(k + 1, n))) ./ sqrt(2)
+    end
+    return B
+end
+
+"""
+    subbanda_wavelet(volumen, nombre::String) -> Array{Float64, 3}
+
+Subbanda de la descomposición Haar no diezmada de un nivel. `nombre` tiene una
+letra por eje (x, y, z): L = paso bajo, H = paso alto (p. ej. "LLH").
+"""
+function subbanda_wavelet(volumen::AbstractArray{<:Real, 3}, nombre::String)
+    V = map(v -> isfinite(v) ? Float64(v) : 0.0, volumen)
+    for (eje, tipo) in enumerate(nombre)
+        V = filtrar_haar(V, eje, tipo == 'H')
+    end
+    return V
+end
+
+# ==============================================================================
+# PIPELINE
+# ==============================================================================
+
+"""
+    preprocesar_volumen(volumen, voxel_dims, datos_mascara, parametros::Dict)
+        -> (volumen, voxel_dims, datos_mascara)
+
+Remuestreo (la máscara por vecino más próximo) y corrección de sesgo. La
+normalización de intensidades se aplica después, con la ROI ya definida
+(`normalizar_intensidades`).
+"""
+function preprocesar_volumen(volumen::AbstractArray{<:Real, 3}, voxel_dims, datos_mascara, parametros::Dict)
+    tamano = parametros["voxel_isotropico"]
+    if tamano > 0
+        println("    📏 Remuestreando a voxel isotrópico de $tamano mm...")
+        dims_originales = size(volumen)
+        volumen, nuevas_dims = remuestrear_isotropico(volumen, voxel_dims, tamano)
+        if !isnothing(datos_mascara)
+            datos_mascara, _ = remuestrear_isotropico(datos_mascara, voxel_dims, tamano; vecino = true)
+        end
+        voxel_dims = nuevas_dims
+        println("       $(join(dims_originales, "×")) → $(join(size(volumen), "×"))")
+    end
+
+    if parametros["correccion_sesgo"]
+        println("    🌗 Corrigiendo campo de sesgo...")
+        volumen = corregir_sesgo(volumen, voxel_dims)
+    end
+
+    return volumen, voxel_dims, datos_mascara
+end
+
+"""
+    imagenes_derivadas(volumen, voxel_dims, parametros::Dict) -> Vector{Tuple{String, Function}}
+
+Tipos de imagen sobre los que se calculan características, empezando siempre por
+"original". Cada uno lleva una función que genera la imagen al pedirla, para no
+tener todas en memoria a la vez.
+"""
+function imagenes_derivadas(volumen::AbstractArray{<:Real, 3}, voxel_dims, parametros::Dict)
+    imagenes = Tuple{String, Function}[("original", () -> volumen)]
+
+    for sigma in parametros["log_sigmas"]
+        # Mismo nombre que pyradiomics: log-sigma-1-5-mm-3D para sigma 1.5
+        nombre = "log-sigma-" * replace(string(round(sigma, digits=2)), "." => "-") * "-mm-3D"
+        push!(imagenes, (nombre, () -> filtro_log(volumen, voxel_dims, sigma)))
+    end
+
+    if parametros["wavelet"]
+        for bandas in Iterators.product("LH", "LH", "LH")
+            subbanda = join(bandas)
+            push!(imagenes, ("wavelet-$subbanda", () -> subbanda_wavelet(volumen, subbanda)))
+        end
+    end
+
+    return imagenes
+end
+
+"""
+Texto breve de la configuración para el registro y el resumen del Excel
+"""
+function describir_preprocesamiento(parametros::Dict)
+    pasos = String[]
+    parametros["voxel_isotropico"] > 0 && push!(pasos, "voxel $(parametros["voxel_isotropico"]) mm")
+    parametros["correccion_sesgo"] && push!(pasos, "corrección de sesgo")
+    parametros["recorte_percentiles"] && push!(pasos, "recorte p$(parametros["percentil_inferior"])-p$(parametros["percentil_superior"])")
+    parametros["normalizacion"] == "zscore" && push!(pasos, "z-score")
+    isempty(parametros["log_sigmas"]) || push!(pasos, "LoG σ=$(join(parametros["log_sigmas"], ", ")) mm")
+    parametros["wavelet"] && push!(pasos, "wavelet")
+    return isempty(pasos) ? "ninguno" : join(pasos, " · ")
+end
+
+# ==============================================================================
+# MENSAJE DE INICIALIZACIÓN
+# ==============================================================================
+
+println("📦 Módulo Preprocesamiento.jl cargado")
@@ -5,6 +5,7 @@ using FileIO
 using ImageIO
 using Base64
 using CodecZlib
+using Statistics
 
 # ══════════════════════════════════════════════════════════════════════
 # CONFIGURACIÓN DE RUTAS - MODIFICAR AQUÍ PARA CAMBIAR UBICACIÓN
@@ -25,6 +26,17 @@ const RESULTADOS_BASE_DIR = Sys.iswindows() ? joinpath(homedir(), "Desktop") : h
 
 # ══════════════════════════════════════════════════════════════════════
 
+# Paleta para overlays de etiquetas (RGB 0-255), se repite cíclicamente
+const PALETA_ETIQUETAS = [
+    (230, 25, 75), (60, 180, 75), (255, 225, 25), (0, 130, 200), (245, 130, 48),
+    (145, 30, 180), (70, 240, 240), (240, 50, 230), (210, 245, 60), (250, 190, 212),
+    (0, 128, 128), (220, 190, 255), (170, 110, 40), (255, 250, 200), (128, 0, 0),
+    (170, 255, 195), (128, 128, 0), (255, 215, 180), (0, 0, 128), (128, 128, 128)
+]
+
+# Máximo de etiquetas distintas para considerar un volumen como máscara
+const MAX_ETIQUETAS_OVERLAY = 255
+
 """
 Inicializa el directorio temporal
 """
@@ -135,8 +147,14 @@ function read_nifti(filepath::String)
         header = Dict(
             "dimensions" => size(data),
             "datatype" => string(eltype(data)),
-            "voxel_size" => length(nii.header.pixdim) >= 4 ? nii.header.pixdim[2:4] : [1.0, 1.0, 1.0]
+            "voxel_size" => length(nii.header.pixdim) >= 4 ? nii.header.pixdim[2:4] : [1.0, 1.0, 1.0],
+            "affine" => calcular_afin_nifti(nii.header),
+            "metadatos" => metadatos_nifti(nii.header)
         )
+        if ndims(data) >= 4 && length(nii.header.pixdim) >= 5
+            # pixdim[5]: separación entre volúmenes (TR en fMRI)
+            header["intervalo_volumenes"] = Float64(nii.header.pixdim[5])
+        end
         return data, header
     catch e
         println("Error leyendo NIfTI: $e")
@@ -163,8 +181,13 @@ function read_nifti(filepath::String)
                     header = Dict(
                         "dimensions" => size(data),
                         "datatype" => string(eltype(data)),
-                        "voxel_size" => [1.0, 1.0, 1.0]
+                        "voxel_size" => [1.0, 1.0, 1.0],
+                        "affine" => calcular_afin_nifti(nii.header),
+                        "metadatos" => metadatos_nifti(nii.header)
                     )
+                    if ndims(data) >= 4 && length(nii.header.pixdim) >= 5
+                        header["intervalo_volumenes"] = Float64(nii.header.pixdim[5])
+                    end
                     return data, header
                 end
             catch e2
@@ -176,6 +199,177 @@ function read_nifti(filepath::String)
     end
 end
 
+"""
+Calcula la matriz afín voxel -> mundo (mm) de un header NIfTI
+Prioridad: sform (método 3), qform (método 2), escala por pixdim (método 1)
+Retorna 4 filas (vector de vectores) para que se serialice igual en JSON
+"""
+function calcular_afin_nifti(h)
+    if h.sform_code > 0
+        filas = [Float64.(collect(h.srow_x)), Float64.(collect(h.srow_y)), Float64.(collect(h.srow_z))]
+    elseif h.qform_code > 0
+        b, c, d = Float64(h.quatern_b), Float64(h.quatern_c), Float64(h.quatern_d)
+        a = sqrt(max(0.0, 1.0 - (b^2 + c^2 + d^2)))
+        R = [a^2+b^2-c^2-d^2   2(b*c-a*d)        2(b*d+a*c);
+             2(b*c+a*d)        a^2+c^2-b^2-d^2   2(c*d-a*b);
+             2(b*d-a*c)        2(c*d+a*b)        a^2+d^2-b^2-c^2]
+        qfac = h.pixdim[1] < 0 ? -1.0 : 1.0
+        escala = [Float64(h.pixdim[2]), Float64(h.pixdim[3]), qfac * Float64(h.pixdim[4])]
+        offset = [Float64(h.qoffset_x), Float64(h.qoffset_y), Float64(h.qoffset_z)]
+        filas = [vcat(R[f, :] .* escala, offset[f]) for f in 1:3]
+    else
+        escala = [Float64(h.pixdim[i]) for i in 2:4]
+        filas = [[f == col ? escala[f] : 0.0 for col in 1:3] for f in 1:3]
+        filas = [vcat(fila, 0.0) for fila in filas]
+    end
+    
+    return vcat(filas, [[0.0, 0.0, 0.0, 1.0]])
+end
+
+# ============================================================================
+# METADATOS (CABECERA NIfTI / TAGS DICOM)
+# ============================================================================
+
+# Grupo en el que se muestra cada campo de la cabecera NIfTI (el resto va a "Otros")
+const GRUPOS_NIFTI = Dict(
+    :dim => "Dimensiones", :pixdim => "Dimensiones", :dim_info => "Dimensiones",
+    :xyzt_units => "Dimensiones", :slice_start => "Dimensiones", :slice_end => "Dimensiones",
+    :slice_code => "Dimensiones", :slice_duration => "Dimensiones", :toffset => "Dimensiones",
+    :datatype => "Datos", :bitpix => "Datos", :scl_slope => "Datos", :scl_inter => "Datos",
+    :cal_max => "Datos", :cal_min => "Datos", :glmax => "Datos", :glmin => "Datos",
+    :vox_offset => "Datos",
+    :qform_code => "Orientación", :sform_code => "Orientación",
+    :quatern_b => "Orientación", :quatern_c => "Orientación", :quatern_d => "Orientación",
+    :qoffset_x => "Orientación", :qoffset_y => "Orientación", :qoffset_z => "Orientación",
+    :srow_x => "Orientación", :srow_y => "Orientación", :srow_z => "Orientación",
+    :descrip => "Descripción", :aux_file => "Descripción", :intent_name => "Descripción",
+    :intent_code => "Descripción", :intent_p1 => "Descripción", :intent_p2 => "Descripción",
+    :intent_p3 => "Descripción", :magic => "Descripción"
+)
+
+# Códigos de la especificación NIfTI-1
+const TIPOS_DATOS_NIFTI = Dict(
+    2 => "UINT8", 4 => "INT16", 8 => "INT32", 16 => "FLOAT32", 32 => "COMPLEX64",
+    64 => "FLOAT64", 128 => "RGB24", 256 => "INT8", 512 => "UINT16", 768 => "UINT32",
+    1024 => "INT64", 1280 => "UINT64"
+)
+
+const CODIGOS_XFORM_NIFTI = Dict(
+    0 => "UNKNOWN", 1 => "SCANNER_ANAT", 2 => "ALIGNED_ANAT", 3 => "TALAIRACH",
+    4 => "MNI_152", 5 => "TEMPLATE_OTHER"
+)
+
+"""
+Convierte un valor de cabecera a algo serializable en JSON
+Cadenas de bytes (NTuple{N, UInt8}) -> String, tuplas -> vectores,
+flotantes no finitos -> texto (JSON no admite NaN/Inf)
+"""
+function valor_metadato(v)
+    if v isa AbstractString
+        return strip(replace(v, '\0' => ""))
+    elseif v isa Tuple && all(x -> x isa UInt8, v)
+        return strip(String(UInt8[b for b in v if b != 0x00]))
+    elseif v isa AbstractFloat
+        return isfinite(v) ? v : string(v)
+    elseif v isa Number
+        return v
+    elseif (v isa Tuple || v isa AbstractVector) && length(v) <= 64 && all(x -> x isa Number, v)
+        return [valor_metadato(x) for x in v]
+    elseif v isa AbstractVector && all(x -> x isa AbstractString, v)
+        return join(strip.(v), "\\")
+    elseif v isa AbstractArray || v isa Tuple
+        return "<$(typeof(v)), $(length(v)) elementos>"
+    else
+        return string(v)
+    end
+end
+
+"""
+Lista completa de campos de la cabecera NIfTI en el orden del archivo
+Cada entrada: grupo, campo, valor (los códigos se acompañan de su nombre)
+"""
+function metadatos_nifti(h)
+    metadatos = Dict{String, Any}[]
+    
+    for campo in fieldnames(typeof(h))
+        valor = valor_metadato(getfield(h, campo))
+        
+        if campo == :datatype
+            valor = "$valor ($(get(TIPOS_DATOS_NIFTI, Int(valor), "desconocido")))"
+        elseif campo in (:qform_code, :sform_code)
+            valor = "$valor ($(get(CODIGOS_XFORM_NIFTI, Int(valor), "desconocido")))"
+        elseif campo == :xyzt_units
+            espacial = Dict(1 => "m", 2 => "mm", 3 => "µm")
+            temporal = Dict(8 => "s", 16 => "ms", 24 => "µs")
+            valor = "$valor ($(get(espacial, Int(valor) & 0x07, "?")), $(get(temporal, Int(valor) & 0x38, "?")))"
+        end
+        
+        push!(metadatos, Dict(
+            "grupo" => get(GRUPOS_NIFTI, campo, "Otros"),
+            "campo" => string(campo),
+            "valor" => valor
+        ))
+    end
+    
+    return metadatos
+end
+
+"""
+Nombre estándar de un tag DICOM según el diccionario de DICOM.jl ("" si no existe)
+"""
+function nombre_tag_dicom(tag::Tuple{UInt16, UInt16})
+    try
+        entrada = get(DICOM.dcm_dict, tag, nothing)
+        return isnothing(entrada) ? "" : string(first(entrada))
+    catch
+        return ""
+    end
+end
+
+"""
+Lista de todos los tags del archivo DICOM ordenados por (grupo, elemento),
+sin los datos de píxel. Los tags impares son privados del fabricante
+"""
+function metadatos_dicom(dcm)
+    metadatos = Dict{String, Any}[]
+    
+    for tag in sort(collect(keys(dcm.meta)))
+        tag == (0x7fe0, 0x0010) && continue
+        
+        valor = dcm.meta[tag]
+        if valor isa AbstractVector && !isempty(valor) && first(valor) isa DICOM.DICOMData
+            valor = "Secuencia ($(length(valor)) elementos)"
+        end
+        
+        nombre = nombre_tag_dicom(tag)
+        push!(metadatos, Dict(
+            "grupo" => isodd(tag[1]) ? "Privados" : "DICOM",
+            "tag" => "(" * uppercase(string(tag[1], base=16, pad=4)) * "," *
+                     uppercase(string(tag[2], base=16, pad=4)) * ")",
+            "campo" => isempty(nombre) ? "Desconocido" : nombre,
+            "valor" => valor_metadato(valor)
+        ))
+    end
+    
+    return metadatos
+end
+
+"""
+Convierte un índice de voxel (1-indexed, como en Julia) a coordenada física en mm
+usando la matriz afín guardada en el header
+"""
+function voxel_a_coordenada_fisica(header::Dict, i::Int, j::Int, k::Int)
+    affine = get(header, "affine", nothing)
+    if isnothing(affine)
+        voxel_size = get(header, "voxel_size", [1.0, 1.0, 1.0])
+        return [(i - 1) * voxel_size[1], (j - 1) * voxel_size[2], (k - 1) * voxel_size[3]]
+    end
+    
+    # La afín de NIfTI usa índices 0-based
+    v = [i - 1, j - 1, k - 1, 1]
+    return [sum(affine[f][c] * v[c] for c in 1:4) for f in 1:3]
+end
+
 """
 Lee un archivo DICOM y devuelve los datos
 """
@@ -191,10 +385,22 @@ function read_dicom_file(filepath::String)
         # Reshape a matriz 2D
         img_data = reshape(data, (cols, rows))
         
+        pixel_spacing = get(dcm, (0x0028, 0x0030), [1.0, 1.0])
+        slice_thickness = get(dcm, (0x0018, 0x0050), 1.0)
+        voxel_size = [Float64(pixel_spacing[1]), Float64(pixel_spacing[2]), Float64(slice_thickness)]
+        
         header = Dict(
             "dimensions" => (cols, rows),
             "datatype" => string(eltype(data)),
-            "patient_name" => get(dcm, (0x0010, 0x0010), "Unknown")
+            "patient_name" => get(dcm, (0x0010, 0x0010), "Unknown"),
+            "voxel_size" => voxel_size,
+            "metadatos" => metadatos_dicom(dcm),
+            "affine" => [
+                [voxel_size[1], 0.0, 0.0, 0.0],
+                [0.0, voxel_size[2], 0.0, 0.0],
+                [0.0, 0.0, voxel_size[3], 0.0],
+                [0.0, 0.0, 0.0, 1.0]
+            ]
         )
         
         return img_data, header
@@ -203,31 +409,73 @@ function read_dicom_file(filepath::String)
     end
 end
 
+# Modos de proyección que acepta extract_slice
+const PROYECCIONES = ("ninguna", "mip", "minip", "media")
+
+"""
+Corte simple o proyección de intensidad a lo largo de un eje del volumen
+proyeccion: "ninguna", "mip" (máximo), "minip" (mínimo) o "media"
+grosor: cortes del slab centrado en slice_num (0 = todo el eje)
+Retorna la matriz sin rotar, como data[slice_num, :, :] para el eje 1
+"""
+function proyectar_corte(data::Array{T, 3}, eje::Int, slice_num::Int,
+                         proyeccion::String, grosor::Int) where T
+    n = size(data, eje)
+    
+    if proyeccion == "ninguna"
+        return collect(selectdim(data, eje, slice_num))
+    end
+    
+    if grosor > 0
+        # El slab se desplaza en los bordes para conservar su grosor
+        inicio = clamp(slice_num - (grosor - 1) ÷ 2, 1, max(n - grosor + 1, 1))
+        fin = min(inicio + grosor - 1, n)
+    else
+        inicio, fin = 1, n
+    end
+    
+    bloque = selectdim(data, eje, inicio:fin)
+    
+    reducido = if proyeccion == "mip"
+        maximum(bloque, dims=eje)
+    elseif proyeccion == "minip"
+        minimum(bloque, dims=eje)
+    elseif proyeccion == "media"
+        mean(bloque, dims=eje)
+    else
+        throw(ArgumentError("Proyección inválida: $proyeccion"))
+    end
+    
+    return dropdims(reducido, dims=eje)
+end
+
 """
 Extrae un corte específico de un volumen 3D con orientación correcta
 orientation: "sagittal", "coronal", "axial"
 slice_num: número del corte (1-indexed)
+proyeccion/grosor: proyección MIP, MinIP o media sobre un slab (ver proyectar_corte)
 """
-function extract_slice(data::Array{T, 3}, orientation::String, slice_num::Int) where T
+function extract_slice(data::Array{T, 3}, orientation::String, slice_num::Int;
+                       proyeccion::String="ninguna", grosor::Int=0) where T
     dims = size(data)
     
     if orientation == "sagittal"
         # Corte en el eje X (vista lateral)
         slice_num = clamp(slice_num, 1, dims[1])
-        slice = data[slice_num, :, :]
+        slice = proyectar_corte(data, 1, slice_num, proyeccion, grosor)
         # Rotar 90° antihorario y luego flip vertical
         rotated = rotr90(slice)
         return reverse(rotated, dims=1)
     elseif orientation == "coronal"
         # Corte en el eje Y (vista frontal)
         slice_num = clamp(slice_num, 1, dims[2])
-        slice = data[:, slice_num, :]
+        slice = proyectar_corte(data, 2, slice_num, proyeccion, grosor)
         # Rotar 90° antihorario
         return rotr90(slice)
     elseif orientation == "axial"
         # Corte en el eje Z (vista superior)
         slice_num = clamp(slice_num, 1, dims[3])
-        slice = data[:, :, slice_num]
+        slice = proyectar_corte(data, 3, slice_num, proyeccion, grosor)
         # Rotar 90° a la derecha (antihorario)
         return rotr90(slice)
     else
@@ -250,6 +498,29 @@ function normalize_for_display(slice::Matrix{T}) where T
     return UInt8.(round.(normalized .* 255))
 end
 
+"""
+Calcula el rango de intensidades de un volumen (ignorando NaN/Inf)
+Retorna mínimo, máximo y percentiles 1 y 99 (estimados sobre una muestra)
+"""
+function calcular_rango_intensidad(data::AbstractArray)
+    paso = max(1, length(data) ÷ 1_000_000)
+    muestra = Float64[Float64(data[i]) for i in 1:paso:length(data) if isfinite(data[i])]
+    
+    if isempty(muestra)
+        return Dict("min" => 0.0, "max" => 0.0, "p1" => 0.0, "p99" => 0.0)
+    end
+    
+    valores_finitos = (Float64(x) for x in data if isfinite(x))
+    p1, p99 = quantile(muestra, [0.01, 0.99])
+    
+    return Dict(
+        "min" => minimum(valores_finitos),
+        "max" => maximum(valores_finitos),
+        "p1" => p1,
+        "p99" => p99
+    )
+end
+
 """
 Convierte una matriz de imagen a Base64 PNG para enviar al frontend
 """
@@ -276,6 +547,114 @@ function matrix_to_base64_png(img_matrix::Matrix)
     end
 end
 
+"""
+Color RGB (0-255) asignado a una etiqueta
+"""
+color_etiqueta(valor::Integer) = PALETA_ETIQUETAS[mod1(valor, length(PALETA_ETIQUETAS))]
+
+"""
+Color de una etiqueta en formato hexadecimal (#rrggbb) para el frontend
+"""
+color_etiqueta_hex(valor::Integer) = "#" * join(string(c, base=16, pad=2) for c in color_etiqueta(valor))
+
+"""
+Convierte un volumen de máscara a etiquetas enteras
+Si todos los valores son enteros se conservan (multi-etiqueta), si no se binariza con > 0
+Retorna el volumen de etiquetas y la lista ordenada de etiquetas distintas de 0
+"""
+function preparar_mascara_etiquetas(data::AbstractArray)
+    if all(x -> isfinite(x) && isinteger(x), data)
+        etiquetas = Int32.(data)
+    else
+        etiquetas = Int32.(data .> 0)
+    end
+    
+    valores = sort(unique(etiquetas))
+    filter!(v -> v != 0, valores)
+    
+    return etiquetas, valores
+end
+
+# Nombre del TypedArray de JavaScript para cada tipo que envía /api/get-volume
+const DTYPES_BINARIO = Dict(
+    UInt8 => "uint8",
+    Int16 => "int16",
+    UInt16 => "uint16",
+    Int32 => "int32",
+    Float32 => "float32"
+)
+
+"""
+Serializa un volumen completo para enviarlo como binario al frontend
+Orden column-major de Julia (x varía más rápido) y bytes little-endian
+Los enteros se reducen al tipo más pequeño que contiene su rango y los
+flotantes se envían como Float32 para reducir la transferencia
+Retorna (bytes, dtype)
+"""
+function volumen_a_binario(data::AbstractArray)
+    T = eltype(data)
+    
+    destino = if T <: Integer
+        min_val, max_val = isempty(data) ? (0, 0) : extrema(data)
+        if min_val >= 0 && max_val <= typemax(UInt8)
+            UInt8
+        elseif min_val >= typemin(Int16) && max_val <= typemax(Int16)
+            Int16
+        elseif min_val >= 0 && max_val <= typemax(UInt16)
+            UInt16
+        elseif min_val >= typemin(Int32) && max_val <= typemax(Int32)
+            Int32
+        else
+            Float32
+        end
+    else
+        Float32
+    end
+    
+    convertido = Array{destino}(data)
+    bytes = collect(reinterpret(UInt8, vec(convertido)))
+    
+    return bytes, DTYPES_BINARIO[destino]
+end
+
+"""
+Deja los datos como volumen 3D o serie 4D (x, y, z, volumen).
+Las dimensiones a partir de la 4ª se aplanan en una sola; si solo hay
+un volumen se devuelve 3D
+"""
+function normalizar_dimensiones(data::AbstractArray)
+    if ndims(data) <= 3
+        return data
+    end
+    
+    n = prod(size(data)[4:end])
+    if n == 1
+        return reshape(data, size(data)[1:3])
+    end
+    return reshape(data, (size(data)[1:3]..., n))
+end
+
+"""
+Número de volúmenes de una serie (1 para datos 3D)
+"""
+num_volumenes(data::AbstractArray) = ndims(data) >= 4 ? size(data, 4) : 1
+
+"""
+Devuelve el volumen 3D `indice` (empezando en 1) de una serie 4D.
+Los datos 3D se devuelven sin cambios sea cual sea el índice
+"""
+function seleccionar_volumen(data::AbstractArray, indice::Int=1)
+    if ndims(data) < 4
+        return data
+    end
+    
+    n = size(data, 4)
+    if !(1 <= indice <= n)
+        throw(ArgumentError("Volumen $indice fuera de rango (la serie tiene $n)"))
+    end
+    return data[:, :, :, indice]
+end
+
 """
 Procesa un archivo médico y devuelve información completa
 """
@@ -296,13 +675,18 @@ function process_medical_image(filepath::String)
         if endswith(lowercase(filename), ".nii.gz") || endswith(lowercase(filename), ".nii")
             println("Tipo detectado: NIfTI")
             data, header = read_nifti(filepath)
+            # Series 4D (fMRI, DWI, dinámicos) se guardan completas; cada
+            # endpoint elige el volumen con seleccionar_volumen
+            data = normalizar_dimensiones(data)
             
             return Dict(
                 "success" => true,
                 "type" => "nifti",
                 "data" => data,
                 "header" => header,
-                "dimensions" => size(data)
+                "dimensions" => size(data),
+                "num_volumenes" => num_volumenes(data),
+                "intensity_range" => calcular_rango_intensidad(data)
             )
         elseif occursin(r"\.(dcm|dicom|ima)$"i, filename)
             println("Tipo detectado: DICOM")
@@ -315,7 +699,9 @@ function process_medical_image(filepath::String)
                 "type" => "dicom",
                 "data" => data_3d,
                 "header" => header,
-                "dimensions" => size(data_3d)
+                "dimensions" => size(data_3d),
+                "num_volumenes" => 1,
+                "intensity_range" => calcular_rango_intensidad(data_3d)
             )
         else
             return Dict(
@@ -341,6 +727,9 @@ function limpiar_cache()
         if isdir(TEMP_DIR)
             for file in readdir(TEMP_DIR)
                 filepath = joinpath(TEMP_DIR, file)
+                # Los subdirectorios (trabajos/, exportaciones/) guardan el estado de los
+                # análisis en curso o reanudables y sus descargas: no son caché
+                isdir(filepath) && continue
                 rm(filepath, force=true)
             end
             return Dict("success" => true, "message" => "Cache limpiado")
@@ -405,4 +794,54 @@ function guardar_imagen_resultado(ruta_proyecto::String, nombre_archivo::String,
             "error" => string(e)
         )
     end
-end
\ No newline at end of file
+end
+
+# ============================================================================
+# MÁSCARAS ROI DIBUJADAS EN EL VISOR
+# ============================================================================
+
+# Sufijo de las máscaras ROI dibujadas en el visor: imagen.nii.gz -> imagen_roi.nii
+const SUFIJO_ROI = "_roi"
+
+# Campos del header NIfTI que fijan la geometría voxel -> mundo
+const CAMPOS_GEOMETRIA_NIFTI = (
+    :pixdim, :xyzt_units, :qform_code, :sform_code,
+    :quatern_b, :quatern_c, :quatern_d, :qoffset_x, :qoffset_y, :qoffset_z,
+    :srow_x, :srow_y, :srow_z
+)
+
+"""
+Nombre base de un archivo médico sin extensión (.nii.gz, .nii, .dcm, ...)
+"""
+function nombre_sin_extension(filename::String)
+    return replace(filename, r"\.(nii\.gz|nii|dcm|dicom|ima)$"i => "")
+end
+
+"""
+Nombre del archivo de máscara ROI asociado a una imagen
+"""
+nombre_mascara_roi(filename::String) = nombre_sin_extension(filename) * SUFIJO_ROI * ".nii"
+
+"""
+Guarda una máscara binaria como NIfTI UInt8 (0/1).
+Copia la geometría de la imagen original para que ambas queden alineadas
+en cualquier visor; si no se puede leer su header se guarda con la identidad
+"""
+function guardar_mascara_nifti(ruta_salida::String, mascara::Array{UInt8, 3}, ruta_imagen::String)
+    volumen = NIVolume(mascara)
+    
+    if endswith(lowercase(ruta_imagen), ".nii") || endswith(lowercase(ruta_imagen), ".nii.gz")
+        try
+            h = niread(ruta_imagen).header
+            for campo in CAMPOS_GEOMETRIA_NIFTI
+                setfield!(volumen.header, campo, getfield(h, campo))
+            end
+        catch e
+            println("⚠️  No se pudo copiar la geometría de $(basename(ruta_imagen)): $e")
+        end
+    end
+    
+    niwrite(ruta_salida, volumen)
+    println("✅ Máscara guardada: $ruta_salida ($(count(!iszero, mascara)) voxels)")
+    return ruta_salida
+end
@@ -0,0 +1,430 @@
+# Trabajos.jl - Análisis en segundo plano
+# Registro de trabajos (radiómica, estadística) que se ejecutan fuera de la
+# petición HTTP: el cliente recibe un ID y consulta el progreso con /api/trabajo/{id}
+# Cada trabajo guarda en disco sus parámetros y el resultado de cada archivo
+# terminado, de modo que puede reanudarse tras cancelarlo o tras una caída.
+# Autor: MSL Process Backend
+# Fecha: 2025
+
+using Dates
+using JSON3
+using Base.Threads
+
+# ==============================================================================
+# REGISTRO DE TRABAJOS
+# ==============================================================================
+
+const TRABAJOS = Dict{String, Dict{String, Any}}()
+const TRABAJOS_LOCK = ReentrantLock()
+const CONTADOR_TRABAJOS = Ref(0)
+
+# Trabajos terminados que se conservan en memoria
+const MAX_TRABAJOS_TERMINADOS = 20
+
+# Un subdirectorio por trabajo: trabajo.json (parámetros) y <índice>.json por archivo.
+# Se borra cuando el trabajo se completa; los que quedan son reanudables.
+const TRABAJOS_DIR = joinpath(TEMP_DIR, "trabajos")
+
+# Estados en los que el trabajo aún no ha terminado
+const ESTADOS_ACTIVOS = ("en_cola", "ejecutando", "cancelando")
+
+"""
+Excepción con la que un análisis interrumpe su trabajo al detectar la cancelación.
+"""
+struct AnalisisCancelado <: Exception end
+
+"""
+    crear_trabajo(tipo::String, archivos::Vector{String}, parametros::Dict=Dict()) -> String
+
+Registra un trabajo nuevo con un estado por archivo y devuelve su ID.
+`parametros` se guarda en disco para poder reanudarlo con los mismos ajustes.
+"""
+function crear_trabajo(tipo::String, archivos::Vector{String}, parametros::Dict=Dict())
+    id = lock(TRABAJOS_LOCK) do
+        purgar_trabajos_terminados!()
+        CONTADOR_TRABAJOS[] += 1
+        "$(tipo)_$(Dates.format(now(), "yyyymmdd_HHMMSS"))_$(CONTADOR_TRABAJOS[])"
+    end
+
+    dir = joinpath(TRABAJOS_DIR, id)
+    mkpath(dir)
+    write(joinpath(dir, "trabajo.json"), JSON3.write(Dict(
+        "id" => id,
+        "tipo" => tipo,
+        "fecha" => string(now()),
+        "archivos" => archivos,
+        "parametros" => parametros
+    )))
+
+    registrar_trabajo!(id, tipo, archivos)
+    return id
+end
+
+"""
+Da de alta el trabajo en memoria con todos sus archivos pendientes.
+"""
+function registrar_trabajo!(id::String, tipo::String, archivos::Vector{String})
+    lock(TRABAJOS_LOCK) do
+        TRABAJOS[id] = Dict{String, Any}(
+            "id" => id,
+            "tipo" => tipo,
+            "estado" => "en_cola",
+            "cancelar" => false,
+            "inicio" => time(),
+            "fin" => nothing,
+            "error" => nothing,
+            "resultado" => nothing,
+            "archivos" => [Dict{String, Any}(
+                "archivo" => basename(archivo),
+                "estado" => "pendiente",
+                "clase" => nothing,
+                "progreso" => 0.0,
+                "tiempo" => nothing,
+                "error" => nothing
+            ) for archivo in archivos]
+        )
+    end
+end
+
+"""
+Elimina los trabajos terminados más antiguos si se supera MAX_TRABAJOS_TERMINADOS.
+Se llama con TRABAJOS_LOCK tomado.
+"""
+function purgar_trabajos_terminados!()
+    terminados = [t for t in values(TRABAJOS) if !isnothing(t["fin"])]
+    if length(terminados) > MAX_TRABAJOS_TERMINADOS
+        sort!(terminados, by = t -> t["fin"])
+        for t in terminados[1:end - MAX_TRABAJOS_TERMINADOS]
+            delete!(TRABAJOS, t["id"])
+        end
+    end
+end
+
+"""
+    actualizar_archivo_trabajo!(id::String, indice::Int; cambios...)
+
+Actualiza el estado de un archivo del trabajo. Cede el turno para que el
+servidor pueda responder consultas de progreso aunque Julia tenga un solo thread.
+"""
+function actualizar_archivo_trabajo!(id::String, indice::Int; cambios...)
+    lock(TRABAJOS_LOCK) do
+        trabajo = get(TRABAJOS, id, nothing)
+        if !isnothing(trabajo)
+            for (campo, valor) in cambios
+                trabajo["archivos"][indice][string(campo)] = valor
+            end
+        end
+    end
+    yield()
+end
+
+# ==============================================================================
+# RESULTADOS PARCIALES EN DISCO
+# ==============================================================================
+
+"""
+    guardar_resultado_parcial(id::String, indice::Int, resultado)
+
+Guarda el resultado de un archivo terminado para no repetirlo al reanudar.
+"""
+function guardar_resultado_parcial(id::String, indice::Int, resultado)
+    dir = joinpath(TRABAJOS_DIR, id)
+    if isdir(dir)
+        write(joinpath(dir, "$indice.json"), JSON3.write(resultado))
+    end
+end
+
+"""
+Convierte lo leído con JSON3 en Dict{String, Any} / Vector{Any}, como los
+resultados que devuelven los análisis.
+"""
+json_a_dict(x::JSON3.Object) = Dict{String, Any}(string(k) => json_a_dict(v) for (k, v) in x)
+json_a_dict(x::JSON3.Array) = Any[json_a_dict(v) for v in x]
+json_a_dict(x) = x
+
+"""
+    resultados_parciales(id::String) -> Dict{Int, Any}
+
+Resultados ya guardados del trabajo, por índice de archivo.
+"""
+function resultados_parciales(id::String)
+    parciales = Dict{Int, Any}()
+    dir = joinpath(TRABAJOS_DIR, id)
+    isdir(dir) || return parciales
+
+    for nombre in readdir(dir)
+        indice = tryparse(Int, replace(nombre, ".json" => ""))
+        if !isnothing(indice)
+            try
+                parciales[indice] = json_a_dict(JSON3.read(read(joinpath(dir, nombre), String)))
+            catch e
+                # Un archivo a medio escribir (caída del servidor) se vuelve a procesar
+                println("⚠️  Resultado parcial ilegible $nombre en $id: $e")
+            end
+        end
+    end
+    return parciales
+end
+
+"""
+Los IDs llegan del cliente y se usan como nombre de directorio: solo se aceptan
+los generados por `crear_trabajo`.
+"""
+id_trabajo_valido(id::String) = occursin(r"^[a-z]+_\d{8}_\d{6}_\d+$", id)
+
+"""
+    leer_trabajo_guardado(id::String) -> Union{Nothing, Dict}
+
+Parámetros con los que se creó un trabajo que sigue en disco.
+"""
+function leer_trabajo_guardado(id::String)
+    id_trabajo_valido(id) || return nothing
+    ruta = joinpath(TRABAJOS_DIR, id, "trabajo.json")
+    isfile(ruta) || return nothing
+    return json_a_dict(JSON3.read(read(ruta, String)))
+end
+
+"""
+    trabajos_reanudables() -> Vector{Dict}
+
+Trabajos cancelados, fallidos o interrumpidos por una caída que aún tienen
+archivos sin procesar.
+"""
+function trabajos_reanudables()
+    reanudables = Dict{String, Any}[]
+    isdir(TRABAJOS_DIR) || return reanudables
+
+    for id in readdir(TRABAJOS_DIR)
+        activo = lock(TRABAJOS_LOCK) do
+            haskey(TRABAJOS, id) && TRABAJOS[id]["estado"] in ESTADOS_ACTIVOS
+        end
+        guardado = try leer_trabajo_guardado(id) catch; nothing end
+        if activo || isnothing(guardado)
+            continue
+        end
+
+        push!(reanudables, Dict(
+            "id" => id,
+            "tipo" => guardado["tipo"],
+            "fecha" => guardado["fecha"],
+            "total" => length(guardado["archivos"]),
+            "completados" => length(resultados_parciales(id))
+        ))
+    end
+    return sort(reanudables, by = t -> t["fecha"], rev = true)
+end
+
+"""
+    restaurar_trabajo!(id::String) -> Tuple{Dict, Dict{Int, Any}}
+
+Vuelve a registrar un trabajo guardado marcando como completados los archivos
+que ya tienen resultado. Devuelve sus parámetros y esos resultados.
+"""
+function restaurar_trabajo!(id::String)
+    guardado = leer_trabajo_guardado(id)
+    archivos = String[string(a) for a in guardado["archivos"]]
+    parciales = resultados_parciales(id)
+
+    registrar_trabajo!(id, guardado["tipo"], archivos)
+    for (indice, resultado) in parciales
+        if haskey(resultado, "valores")
+            actualizar_archivo_trabajo!(id, indice; estado = "completado", progreso = 1.0,
+                                        num_valores = length(resultado["valores"]))
+        else
+            actualizar_archivo_trabajo!(id, indice; estado = "completado", progreso = 1.0,
+                                        num_caracteristicas = get(resultado, "num_caracteristicas", 0))
+        end
+    end
+    return guardado["parametros"], parciales
+end
+
+"""
+    descartar_trabajo!(id::String)
+
+Borra de disco un trabajo que no se va a reanudar.
+"""
+function descartar_trabajo!(id::String)
+    id_trabajo_valido(id) || return
+    rm(joinpath(TRABAJOS_DIR, id), recursive = true, force = true)
+end
+
+# ==============================================================================
+# CANCELACIÓN
+# ==============================================================================
+
+"""
+    cancelar_trabajo!(id::String) -> Bool
+
+Pide al trabajo que se detenga. El análisis lo comprueba entre archivos y entre
+clases de características, así que termina el paso en curso antes de parar.
+"""
+function cancelar_trabajo!(id::String)
+    lock(TRABAJOS_LOCK) do
+        trabajo = get(TRABAJOS, id, nothing)
+        if isnothing(trabajo) || !(trabajo["estado"] in ESTADOS_ACTIVOS)
+            return false
+        end
+        trabajo["cancelar"] = true
+        trabajo["estado"] = "cancelando"
+        return true
+    end
+end
+
+"""
+    trabajo_cancelado(id::String) -> Bool
+"""
+function trabajo_cancelado(id::String)
+    lock(TRABAJOS_LOCK) do
+        get(get(TRABAJOS, id, Dict()), "cancelar", false)
+    end
+end
+
+# ==============================================================================
+# CALLBACKS DE PROGRESO
+# ==============================================================================
+
+"""
+    progreso_radiomico_trabajo(id::String) -> Function
+
+Callback para `analizar_radiomico` que vuelca cada evento en el trabajo `id`
+y guarda el resultado de cada archivo terminado.
+"""
+function progreso_radiomico_trabajo(id::String)
+    inicios = Dict{Int, Float64}()
+    return function (indice::Int, evento::Symbol, dato=nothing)
+        if evento == :inicio
+            lock(TRABAJOS_LOCK) do
+                inicios[indice] = time()
+            end
+            actualizar_archivo_trabajo!(id, indice; estado = "procesando")
+        elseif evento == :clase
+            clase, fraccion = dato
+            actualizar_archivo_trabajo!(id, indice; clase = clase, progreso = fraccion)
+        elseif evento == :fin
+            inicio = lock(() -> get(inicios, indice, time()), TRABAJOS_LOCK)
+            exito = get(dato, "success", false)
+            if exito
+                guardar_resultado_parcial(id, indice, dato)
+            end
+            actualizar_archivo_trabajo!(id, indice;
+                estado = exito ? "completado" : "error",
+                clase = nothing,
+                progreso = 1.0,
+                tiempo = round(time() - inicio, digits=2),
+                num_caracteristicas = get(dato, "num_caracteristicas", 0),
+                error = get(dato, "error", nothing))
+        end
+    end
+end
+
+"""
+    pares_grupo_archivo(grupos) -> Vector{Tuple{String, String}}
+
+Archivos de un análisis estadístico como (grupo, archivo), con los grupos por
+nombre para que el orden (y el índice de cada archivo en el trabajo) sea el
+mismo al reanudar. Un archivo puede estar en varios grupos.
+"""
+function pares_grupo_archivo(grupos::AbstractDict)
+    return [(string(grupo), string(archivo))
+            for grupo in sort(collect(keys(grupos)), by = string)
+            for archivo in grupos[grupo]]
+end
+
+"""
+    progreso_estadistico_trabajo(id::String, grupos::AbstractDict) -> Function
+
+Callback para `analizar_estadistico`: cada archivo se identifica por (grupo, archivo)
+según `pares_grupo_archivo` y sus valores extraídos se guardan para reanudar.
+"""
+function progreso_estadistico_trabajo(id::String, grupos::AbstractDict)
+    indices = Dict(par => i for (i, par) in enumerate(pares_grupo_archivo(grupos)))
+    return function (grupo::String, archivo::String, evento::Symbol, dato=nothing)
+        indice = get(indices, (grupo, archivo), nothing)
+        isnothing(indice) && return
+
+        if evento == :inicio
+            actualizar_archivo_trabajo!(id, indice; estado = "procesando")
+        elseif evento == :fin
+            valores = dato
+            if !isempty(valores)
+                guardar_resultado_parcial(id, indice, Dict("valores" => valores))
+            end
+            actualizar_archivo_trabajo!(id, indice;
+                estado = isempty(valores) ? "error" : "completado",
+                progreso = 1.0,
+                num_valores = length(valores),
+                error = isempty(valores) ? "No se extrajeron valores" : nothing)
+        end
+    end
+end
+
+"""
+    lanzar_trabajo(tarea::Function, id::String)
+
+Ejecuta `tarea()` en segundo plano. Su valor de retorno queda como resultado
+del trabajo; una excepción lo marca como fallido. Si se completa sin cancelarse,
+sus resultados parciales se borran de disco.
+"""
+function lanzar_trabajo(tarea::Function, id::String)
+    lock(() -> TRABAJOS[id]["estado"] = "ejecutando", TRABAJOS_LOCK)
+
+    Threads.@spawn begin
+        try
+            resultado = tarea()
+            cancelado = trabajo_cancelado(id)
+            exito = get(resultado, "success", false)
+            lock(TRABAJOS_LOCK) do
+                TRABAJOS[id]["resultado"] = resultado
+                TRABAJOS[id]["estado"] = cancelado ? "cancelado" : exito ? "completado" : "error"
+                TRABAJOS[id]["error"] = get(resultado, "error", nothing)
+                TRABAJOS[id]["fin"] = time()
+            end
+            if exito && !cancelado
+                descartar_trabajo!(id)
+            end
+        catch e
+            println("❌ Error en trabajo $id: $e")
+            lock(TRABAJOS_LOCK) do
+                TRABAJOS[id]["estado"] = "error"
+                TRABAJOS[id]["error"] = string(e)
+                TRABAJOS[id]["fin"] = time()
+            end
+        end
+    end
+end
+
+"""
+    estado_trabajo(id::String) -> Union{Nothing, Dict}
+
+Copia del estado del trabajo para enviarla al cliente: progreso global (0-100),
+tiempo transcurrido y estado por archivo. El resultado solo se incluye al terminar.
+"""
+function estado_trabajo(id::String)
+    lock(TRABAJOS_LOCK) do
+        trabajo = get(TRABAJOS, id, nothing)
+        if isnothing(trabajo)
+            return nothing
+        end
+
+        archivos = [copy(a) for a in trabajo["archivos"]]
+        progreso = isempty(archivos) ? 0.0 : sum(a["progreso"] for a in archivos) / length(archivos)
+        fin = something(trabajo["fin"], time())
+
+        return Dict{String, Any}(
+            "id" => trabajo["id"],
+            "tipo" => trabajo["tipo"],
+            "estado" => trabajo["estado"],
+            "progreso" => round(100 * progreso, digits=1),
+            "transcurrido" => round(fin - trabajo["inicio"], digits=1),
+            "archivos" => archivos,
+            "error" => trabajo["error"],
+            "resultado" => trabajo["resultado"]
+        )
+    end
+end
+
+# ==============================================================================
+# MENSAJE DE INICIALIZACIÓN
+# ==============================================================================
+
+println("📦 Módulo Trabajos.jl cargado")
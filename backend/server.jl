@@ -23,8 +23,14 @@ end
 
 # Incluir módulos de procesamiento
 include("ProcesamientoImagenes.jl")
+include("Trabajos.jl")
+include("Preprocesamiento.jl")
 include("AnalisisRadiomico.jl")
+include("NomenclaturaRadiomica.jl")
+include("CacheRadiomico.jl")
+include("HistorialRadiomico.jl")
 include("AnalisisEstadistico.jl")
+include("Exportacion.jl")
 
 # ==============================================================================
 # CONFIGURACIÓN GLOBAL
@@ -53,12 +59,15 @@ init_temp_dir()
 
 """
 Agrega headers CORS a la respuesta
+content_type: tipo del cuerpo (JSON por defecto, binario para /api/get-volume
+y el de cada formato en /api/descargar)
 """
-function add_cors_headers(response)
+function add_cors_headers(response; content_type::String="application/json")
     HTTP.setheader(response, "Access-Control-Allow-Origin" => "*")
     HTTP.setheader(response, "Access-Control-Allow-Methods" => "GET, POST, OPTIONS, DELETE")
     HTTP.setheader(response, "Access-Control-Allow-Headers" => "Content-Type")
-    HTTP.setheader(response, "Content-Type" => "application/json")
+    HTTP.setheader(response, "Access-Control-Expose-Headers" => "X-Dtype, X-Dims, X-Spacing, Content-Disposition")
+    HTTP.setheader(response, "Content-Type" => content_type)
     return response
 end
 
@@ -190,6 +199,35 @@ function determinar_ruta_guardado(nombre_proyecto::String="")
     end
 end
 
+"""
+Clave del proyecto con la que se guarda y consulta el historial radiómico: la ruta del
+proyecto abierto en el servidor o, en modo navegador (sin ruta en el servidor), la que
+envía el cliente. `nothing` si no hay proyecto o el cliente pide el de otro proyecto
+"""
+function clave_proyecto_historial(proyecto_cliente::AbstractString)
+    ruta = PROYECTO_ACTUAL["ruta"]
+    if !isempty(ruta) && isdir(ruta)
+        return normpath(proyecto_cliente) == normpath(ruta) ? ruta : nothing
+    end
+    return isempty(proyecto_cliente) ? nothing : String(proyecto_cliente)
+end
+
+"""
+Carpeta del proyecto actual que contiene un archivo, a partir de su ruta
+relativa en el árbol de FolderTree (en modo navegador empieza por el nombre
+del proyecto). `nothing` si la ruta sale del proyecto (p. ej. con "..")
+"""
+function carpeta_en_proyecto(ruta_relativa::String)
+    raiz = normpath(PROYECTO_ACTUAL["ruta"])
+    partes = splitpath(replace(ruta_relativa, "\\" => "/"))
+    if !isempty(partes) && partes[1] == basename(PROYECTO_ACTUAL["ruta"])
+        partes = partes[2:end]
+    end
+    carpeta = normpath(joinpath(raiz, partes[1:end-1]...))
+    dentro = rstrip(carpeta, ['/', '\\']) == rstrip(raiz, ['/', '\\']) || startswith(carpeta, joinpath(raiz, ""))
+    return dentro ? carpeta : nothing
+end
+
 """
 Guarda resultados de análisis estadístico en Excel
 """
@@ -286,6 +324,128 @@ function guardar_resultados_estadisticos_excel(result::Dict, base_resultados::St
     end
 end
 
+# ==============================================================================
+# TRABAJOS EN SEGUNDO PLANO
+# ==============================================================================
+
+"""
+    iniciar_trabajo_radiomico(id::String, rutas::Vector{String}, parametros::Dict,
+                              previos::Dict{Int, Any}=Dict{Int, Any}())
+
+Lanza el análisis radiómico del trabajo `id`. `parametros` es lo guardado al
+crearlo (modo_paralelo, volumen, mascaras, etiquetas, extraccion, proyecto); `previos` los
+resultados ya calculados al reanudar. Los archivos que ya están en la caché del
+proyecto no se recalculan, y cada archivo terminado se añade a ella.
+"""
+function iniciar_trabajo_radiomico(id::String, rutas::Vector{String}, parametros::Dict,
+                                   previos::Dict{Int, Any}=Dict{Int, Any}())
+    rutas_mascaras = Dict{String, String}(string(k) => string(v) for (k, v) in parametros["mascaras"])
+    nombres_etiquetas = Dict{Int, String}(parse(Int, string(k)) => string(v) for (k, v) in parametros["etiquetas"])
+    extraccion = normalizar_parametros_extraccion(get(parametros, "extraccion", Dict()))
+    ruta_resultados = determinar_ruta_guardado()
+    proyecto = string(get(parametros, "proyecto", PROYECTO_ACTUAL["ruta"]))
+    
+    lanzar_trabajo(id) do
+        dir_cache = directorio_cache_radiomico(ruta_resultados)
+        claves, en_cache = buscar_en_cache(dir_cache, rutas, rutas_mascaras, parametros["volumen"],
+                                           extraccion, nombres_etiquetas; omitir = keys(previos))
+        for (i, resultado) in en_cache
+            actualizar_archivo_trabajo!(id, i; estado = "completado", progreso = 1.0, desde_cache = true,
+                                        num_caracteristicas = get(resultado, "num_caracteristicas", 0))
+        end
+        
+        progreso_trabajo = progreso_radiomico_trabajo(id)
+        progreso = function (i, evento, dato=nothing)
+            if evento == :fin && !isnothing(claves[i])
+                guardar_en_cache(dir_cache, claves[i], dato)
+            end
+            progreso_trabajo(i, evento, dato)
+        end
+        
+        result = analizar_radiomico(rutas, parametros["modo_paralelo"], parametros["volumen"],
+                                    rutas_mascaras, nombres_etiquetas;
+                                    progreso = progreso,
+                                    cancelado = () -> trabajo_cancelado(id),
+                                    previos = merge(en_cache, previos),
+                                    parametros = extraccion)
+        result["archivos_en_cache"] = length(en_cache)
+        
+        # También con cancelación: el Excel recoge los archivos terminados
+        if result["success"]
+            println(result["cancelado"] ? "⏹️  Análisis cancelado" : "✅ Análisis completado")
+            
+            try
+                ruta_excel = guardar_resultados_radiomicos_excel(result, ruta_resultados)
+                result["ruta_excel"] = ruta_excel
+                println("📊 Excel guardado: $ruta_excel")
+            catch e
+                println("⚠️  Error guardando Excel: $e")
+            end
+            result["exportaciones"] = exportar_resultados_trabajo(id, "radiomica", result)
+            guardar_en_historial(ruta_resultados, proyecto, id, rutas, parametros, result)
+        end
+        
+        result
+    end
+end
+
+"""
+    iniciar_trabajo_estadistico(id::String, parametros::Dict,
+                                previos::Dict{Tuple{String, String}, Vector{Float64}}=Dict{Tuple{String, String}, Vector{Float64}}())
+
+Lanza el análisis estadístico del trabajo `id` (grupos, pruebas, comparar_por_archivos,
+tipo_datos, volumen). `previos` son los valores ya extraídos por (grupo, archivo) al reanudar.
+"""
+function iniciar_trabajo_estadistico(id::String, parametros::Dict,
+                                     previos::Dict{Tuple{String, String}, Vector{Float64}}=Dict{Tuple{String, String}, Vector{Float64}}())
+    ruta_resultados = determinar_ruta_guardado()
+    
+    lanzar_trabajo(id) do
+        result = analizar_estadistico(parametros["grupos"], parametros["pruebas"],
+                                      parametros["comparar_por_archivos"], parametros["tipo_datos"],
+                                      parametros["volumen"];
+                                      progreso = progreso_estadistico_trabajo(id, parametros["grupos"]),
+                                      cancelado = () -> trabajo_cancelado(id),
+                                      previos = previos)
+        
+        # Guardar resultados en Excel
+        if result["success"]
+            try
+                ruta_excel = guardar_resultados_estadisticos_excel(result, ruta_resultados)
+                result["ruta_excel"] = ruta_excel
+                println("📊 Excel guardado: $ruta_excel")
+            catch e
+                println("⚠️  Error guardando Excel: $e")
+            end
+            result["exportaciones"] = exportar_resultados_trabajo(id, "estadistica", result)
+        end
+        
+        result
+    end
+end
+
+"""
+    reanudar_trabajo(id::String)
+
+Vuelve a lanzar un trabajo guardado en disco saltando los archivos que ya
+tienen resultado.
+"""
+function reanudar_trabajo(id::String)
+    parametros, parciales = restaurar_trabajo!(id)
+    guardado = leer_trabajo_guardado(id)
+    archivos = String[string(a) for a in guardado["archivos"]]
+    println("↺ Reanudando $id: $(length(parciales)) de $(length(archivos)) archivo(s) ya procesados")
+    
+    if guardado["tipo"] == "radiomica"
+        iniciar_trabajo_radiomico(id, archivos, parametros, parciales)
+    else
+        pares = pares_grupo_archivo(parametros["grupos"])
+        previos = Dict{Tuple{String, String}, Vector{Float64}}(
+            pares[i] => Float64.(r["valores"]) for (i, r) in parciales)
+        iniciar_trabajo_estadistico(id, parametros, previos)
+    end
+end
+
 # ==============================================================================
 # ROUTER PRINCIPAL
 # ==============================================================================
@@ -323,9 +483,22 @@ function handle_request(req::HTTP.Request)
                     "/api/upload-file",
                     "/api/check-file",
                     "/api/load-image",
+                    "/api/load-overlay",
                     "/api/get-slice",
+                    "/api/get-volume",
+                    "/api/get-voxel",
                     "/api/guardar-imagen",
+                    "/api/guardar-roi",
+                    "/api/nomenclatura-radiomica",
                     "/api/analisis-radiomico",
+                    "/api/trabajo/{id}",
+                    "/api/cancelar-trabajo",
+                    "/api/trabajos-reanudables",
+                    "/api/reanudar-trabajo",
+                    "/api/descartar-trabajo",
+                    "/api/descargar/{id}/{formato}",
+                    "/api/historial-radiomico",
+                    "/api/historial-radiomico/{id}",
                     "/api/limpiar-cache"
                 ]
             )
@@ -667,6 +840,7 @@ function handle_request(req::HTTP.Request)
             pruebas = get(request_data, "pruebas", String[])
             comparar_por_archivos = get(request_data, "comparar_por_archivos", true)
             tipo_datos = get(request_data, "tipo_datos", "imagenes")
+            indice_volumen = Int(get(request_data, "volumen", 1))
             
             if isempty(grupos) || length(grupos) < 2
                 result = Dict(
@@ -682,22 +856,24 @@ function handle_request(req::HTTP.Request)
             println("   Pruebas seleccionadas: $(length(pruebas))")
             println("   Tipo de datos: $tipo_datos")
             
-            # Llamar al módulo de estadísticas
-            result = analizar_estadistico(grupos, pruebas, comparar_por_archivos, tipo_datos)
-            
-            # Guardar resultados en Excel
-            if result["success"]
-                try
-                    ruta_resultados = determinar_ruta_guardado()
-                    ruta_excel = guardar_resultados_estadisticos_excel(result, ruta_resultados)
-                    result["ruta_excel"] = ruta_excel
-                    println("📊 Excel guardado: $ruta_excel")
-                catch e
-                    println("⚠️  Error guardando Excel: $e")
-                end
-            end
+            # Se ejecuta en segundo plano como el radiómico: progreso en /api/trabajo/{id}
+            parametros = Dict(
+                "grupos" => Dict(string(k) => String[string(a) for a in v] for (k, v) in pairs(grupos)),
+                "pruebas" => String[string(p) for p in pruebas],
+                "comparar_por_archivos" => comparar_por_archivos,
+                "tipo_datos" => string(tipo_datos),
+                "volumen" => indice_volumen
+            )
+            archivos = last.(pares_grupo_archivo(parametros["grupos"]))
+            trabajo_id = crear_trabajo("estadistica", archivos, parametros)
+            iniciar_trabajo_estadistico(trabajo_id, parametros)
             
-            response = HTTP.Response(result["success"] ? 200 : 500, JSON3.write(result))
+            result = Dict(
+                "success" => true,
+                "trabajo_id" => trabajo_id,
+                "archivos" => length(archivos)
+            )
+            response = HTTP.Response(202, JSON3.write(result))
             return add_cors_headers(response)
         
         # ======================================================================
@@ -773,7 +949,9 @@ function handle_request(req::HTTP.Request)
                     "filename" => filename,
                     "type" => img_data["type"],
                     "dimensions" => img_data["dimensions"],
-                    "header" => img_data["header"]
+                    "num_volumenes" => img_data["num_volumenes"],
+                    "header" => img_data["header"],
+                    "intensity_range" => img_data["intensity_range"]
                 )
             else
                 result = img_data
@@ -782,6 +960,85 @@ function handle_request(req::HTTP.Request)
             response = HTTP.Response(result["success"] ? 200 : 400, JSON3.write(result))
             return add_cors_headers(response)
         
+        # ======================================================================
+        # LOAD-OVERLAY - Cargar máscara/segmentación sobre la imagen base
+        # ======================================================================
+        elseif path == "/api/load-overlay" && req.method == "POST"
+            body = String(req.body)
+            request_data = JSON3.read(body)
+            
+            filename = get(request_data, "filename", "")
+            base_filename = get(request_data, "base_filename", "")
+            filepath = joinpath(TEMP_DIR, filename)
+            
+            if !haskey(LOADED_IMAGES, base_filename)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Imagen base no cargada"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            if !isfile(filepath)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Archivo no encontrado",
+                    "searched_path" => filepath
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            img_data = process_medical_image(filepath)
+            
+            if !img_data["success"]
+                response = HTTP.Response(400, JSON3.write(img_data))
+                return add_cors_headers(response)
+            end
+            
+            # Las máscaras son 3D: en series 4D se compara solo la parte espacial
+            dims_base = size(LOADED_IMAGES[base_filename]["data"])[1:3]
+            mascara_3d = seleccionar_volumen(img_data["data"], 1)
+            dims_overlay = size(mascara_3d)
+            
+            if dims_base != dims_overlay
+                result = Dict(
+                    "success" => false,
+                    "error" => "Las dimensiones no coinciden: imagen $(join(dims_base, "×")), máscara $(join(dims_overlay, "×"))"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            etiquetas_data, etiquetas = preparar_mascara_etiquetas(mascara_3d)
+            
+            if length(etiquetas) > MAX_ETIQUETAS_OVERLAY
+                result = Dict(
+                    "success" => false,
+                    "error" => "El archivo tiene $(length(etiquetas)) valores distintos, no parece una máscara"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            img_data["data"] = etiquetas_data
+            img_data["num_volumenes"] = 1
+            img_data["etiquetas"] = etiquetas
+            LOADED_IMAGES[filename] = img_data
+            
+            result = Dict(
+                "success" => true,
+                "filename" => filename,
+                "dimensions" => dims_overlay,
+                "etiquetas" => [Dict("valor" => v, "color" => color_etiqueta_hex(v)) for v in etiquetas]
+            )
+            
+            println("✅ Overlay cargado: $filename ($(length(etiquetas)) etiquetas)")
+            
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
         # ======================================================================
         # GET-SLICE - Obtener corte específico
         # ======================================================================
@@ -792,6 +1049,21 @@ function handle_request(req::HTTP.Request)
             filename = get(request_data, "filename", "")
             orientation = get(request_data, "orientation", "axial")
             slice_num = get(request_data, "slice", 1)
+            proyeccion = get(request_data, "proyeccion", "ninguna")
+            grosor = Int(get(request_data, "grosor", 0))
+            # "png" = imagen normalizada, "binario" = valores reales para dibujar en el cliente
+            formato = get(request_data, "formato", "png")
+            # Índice del volumen en series 4D (se ignora en imágenes 3D)
+            volumen = Int(get(request_data, "volumen", 1))
+            
+            if !(proyeccion in PROYECCIONES)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Proyección inválida: $proyeccion"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
             
             if !haskey(LOADED_IMAGES, filename)
                 result = Dict(
@@ -803,9 +1075,31 @@ function handle_request(req::HTTP.Request)
             end
             
             img_data = LOADED_IMAGES[filename]
-            data_3d = img_data["data"]
             
-            slice_matrix = extract_slice(data_3d, orientation, slice_num)
+            if !(1 <= volumen <= img_data["num_volumenes"])
+                result = Dict(
+                    "success" => false,
+                    "error" => "Volumen fuera de rango: $volumen (la serie tiene $(img_data["num_volumenes"]))"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            data_3d = seleccionar_volumen(img_data["data"], volumen)
+            
+            slice_matrix = extract_slice(data_3d, orientation, slice_num;
+                proyeccion=proyeccion, grosor=grosor)
+            
+            if formato == "binario"
+                # Filas de arriba a abajo (row-major), como las dibuja un canvas
+                bytes, dtype = volumen_a_binario(permutedims(slice_matrix))
+                response = HTTP.Response(200, bytes)
+                add_cors_headers(response; content_type="application/octet-stream")
+                HTTP.setheader(response, "X-Dtype" => dtype)
+                HTTP.setheader(response, "X-Dims" => "$(size(slice_matrix, 2)),$(size(slice_matrix, 1))")
+                return response
+            end
+            
             img_base64 = matrix_to_base64_png(slice_matrix)
             
             result = Dict(
@@ -815,12 +1109,121 @@ function handle_request(req::HTTP.Request)
                 "slice" => slice_num,
                 "max_slices" => size(data_3d)[orientation == "sagittal" ? 1 : 
                                               orientation == "coronal" ? 2 : 3],
+                "proyeccion" => proyeccion,
+                "grosor" => grosor,
+                "volumen" => volumen,
                 "image" => img_base64
             )
             
             response = HTTP.Response(200, JSON3.write(result))
             return add_cors_headers(response)
         
+        # ======================================================================
+        # GET-VOLUME - Volumen completo en binario para renderizado en cliente
+        # ======================================================================
+        elseif path == "/api/get-volume" && req.method == "POST"
+            body = String(req.body)
+            request_data = JSON3.read(body)
+            
+            filename = get(request_data, "filename", "")
+            volumen = Int(get(request_data, "volumen", 1))
+            
+            if !haskey(LOADED_IMAGES, filename)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Imagen no cargada"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            img_data = LOADED_IMAGES[filename]
+            
+            if !(1 <= volumen <= img_data["num_volumenes"])
+                result = Dict(
+                    "success" => false,
+                    "error" => "Volumen fuera de rango: $volumen (la serie tiene $(img_data["num_volumenes"]))"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            data_3d = seleccionar_volumen(img_data["data"], volumen)
+            voxel_size = get(img_data["header"], "voxel_size", [1.0, 1.0, 1.0])
+            
+            bytes, dtype = volumen_a_binario(data_3d)
+            
+            println("📦 Enviando volumen $filename: $(join(size(data_3d), "×")) $dtype ($(round(length(bytes) / 1024^2, digits=1)) MB)")
+            
+            response = HTTP.Response(200, bytes)
+            add_cors_headers(response; content_type="application/octet-stream")
+            HTTP.setheader(response, "X-Dtype" => dtype)
+            HTTP.setheader(response, "X-Dims" => join(size(data_3d), ","))
+            HTTP.setheader(response, "X-Spacing" => join(voxel_size, ","))
+            return response
+        
+        # ======================================================================
+        # GET-VOXEL - Valor e información de un voxel
+        # ======================================================================
+        elseif path == "/api/get-voxel" && req.method == "POST"
+            body = String(req.body)
+            request_data = JSON3.read(body)
+            
+            filename = get(request_data, "filename", "")
+            x = Int(get(request_data, "x", 1))
+            y = Int(get(request_data, "y", 1))
+            z = Int(get(request_data, "z", 1))
+            volumen = Int(get(request_data, "volumen", 1))
+            
+            if !haskey(LOADED_IMAGES, filename)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Imagen no cargada"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            img_data = LOADED_IMAGES[filename]
+            
+            if !(1 <= volumen <= img_data["num_volumenes"])
+                result = Dict(
+                    "success" => false,
+                    "error" => "Volumen fuera de rango: $volumen (la serie tiene $(img_data["num_volumenes"]))"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            data = img_data["data"]
+            dims = size(data)
+            
+            if !(1 <= x <= dims[1] && 1 <= y <= dims[2] && 1 <= z <= dims[3])
+                result = Dict(
+                    "success" => false,
+                    "error" => "Voxel fuera del volumen: ($x, $y, $z)"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            result = Dict(
+                "success" => true,
+                "filename" => filename,
+                "voxel" => [x, y, z],
+                "volumen" => volumen,
+                "valor" => Float64(ndims(data) >= 4 ? data[x, y, z, volumen] : data[x, y, z]),
+                "coordenada_mm" => voxel_a_coordenada_fisica(img_data["header"], x, y, z)
+            )
+            
+            # Curva temporal del voxel en series 4D
+            if ndims(data) >= 4
+                result["serie_temporal"] = Float64.(vec(data[x, y, z, :]))
+            end
+            
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
         # ======================================================================
         # GUARDAR-IMAGEN - Guardar imagen en carpeta de resultados
         # ======================================================================
@@ -867,6 +1270,100 @@ function handle_request(req::HTTP.Request)
             response = HTTP.Response(result["success"] ? 200 : 500, JSON3.write(result))
             return add_cors_headers(response)
         
+        # ======================================================================
+        # GUARDAR-ROI - Guardar ROI dibujada como máscara NIfTI
+        # ======================================================================
+        elseif path == "/api/guardar-roi" && req.method == "POST"
+            body = String(req.body)
+            request_data = JSON3.read(body)
+            
+            filename = get(request_data, "filename", "")
+            # Nombre del archivo en el proyecto: filename es el de TEMP_DIR, que lleva la
+            # ruta cuando hay nombres repetidos (imagenes__p01.nii.gz)
+            nombre_archivo = get(request_data, "nombre_archivo", filename)
+            ruta_relativa = get(request_data, "ruta_relativa", "")
+            # Bytes 0/1 en orden x, y, z (el mismo que /api/get-volume)
+            mascara_base64 = get(request_data, "mascara", "")
+            
+            if !haskey(LOADED_IMAGES, filename)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Imagen no cargada"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            dims = size(LOADED_IMAGES[filename]["data"])[1:3]
+            bytes = base64decode(mascara_base64)
+            
+            if length(bytes) != prod(dims)
+                result = Dict(
+                    "success" => false,
+                    "error" => "La máscara tiene $(length(bytes)) voxels y la imagen $(prod(dims))"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            # La ruta relativa viene del cliente: no se escribe fuera del proyecto
+            carpeta = nothing
+            if !isempty(PROYECTO_ACTUAL["ruta"]) && isdir(PROYECTO_ACTUAL["ruta"]) && !isempty(ruta_relativa)
+                carpeta = carpeta_en_proyecto(ruta_relativa)
+                if isnothing(carpeta)
+                    result = Dict(
+                        "success" => false,
+                        "error" => "La ruta $ruta_relativa está fuera del proyecto"
+                    )
+                    response = HTTP.Response(400, JSON3.write(result))
+                    return add_cors_headers(response)
+                end
+            end
+            
+            try
+                nombre_mascara = nombre_mascara_roi(filename)
+                # En caché para usarla como overlay o en radiómica por nombre
+                ruta_cache = joinpath(TEMP_DIR, nombre_mascara)
+                guardar_mascara_nifti(ruta_cache, reshape(bytes, dims), joinpath(TEMP_DIR, filename))
+                
+                result = Dict{String, Any}(
+                    "success" => true,
+                    "nombre_mascara" => nombre_mascara,
+                    "num_voxels" => count(!iszero, bytes)
+                )
+                
+                # Copia junto a la imagen dentro del proyecto
+                if !isnothing(carpeta)
+                    mkpath(carpeta)
+                    ruta_completa = joinpath(carpeta, nombre_mascara_roi(nombre_archivo))
+                    cp(ruta_cache, ruta_completa, force=true)
+                    result["ruta_completa"] = ruta_completa
+                    result["estructura"] = escanear_directorio_recursivo(PROYECTO_ACTUAL["ruta"])
+                    println("📁 ROI copiada al proyecto: $ruta_completa")
+                end
+            catch e
+                println("❌ Error guardando ROI: $e")
+                result = Dict(
+                    "success" => false,
+                    "error" => string(e)
+                )
+            end
+            
+            response = HTTP.Response(result["success"] ? 200 : 500, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        # ======================================================================
+        # NOMENCLATURA-RADIOMICA - Nombres IBSI y pyradiomics de cada característica
+        # ======================================================================
+        elseif path == "/api/nomenclatura-radiomica" && req.method == "GET"
+            result = Dict(
+                "success" => true,
+                "clases_pyradiomics" => CLASES_PYRADIOMICS,
+                "nomenclatura" => NOMENCLATURA_RADIOMICA
+            )
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
         # ======================================================================
         # ANALISIS-RADIOMICO - Análisis radiómico de archivos
         # ======================================================================
@@ -876,6 +1373,29 @@ function handle_request(req::HTTP.Request)
             
             archivos = get(request_data, "archivos", String[])
             modo_paralelo = get(request_data, "modo_paralelo", false)
+            # Volumen a analizar en series 4D (los archivos 3D lo ignoran)
+            indice_volumen = Int(get(request_data, "volumen", 1))
+            # Máscara explícita por imagen: {archivo: mascara}. Sin ella se usan los voxels > 0
+            mascaras = get(request_data, "mascaras", Dict())
+            # Nombres de las etiquetas de máscaras multi-etiqueta: {"1": "Necrosis", ...}
+            nombres_etiquetas = Dict{Int, String}()
+            for (valor, nombre) in get(request_data, "etiquetas", Dict())
+                etiqueta = tryparse(Int, String(valor))
+                if !isnothing(etiqueta) && !isempty(String(nombre))
+                    nombres_etiquetas[etiqueta] = String(nombre)
+                end
+            end
+            # Discretización, umbral de máscara y clases de características
+            extraccion = try
+                normalizar_parametros_extraccion(get(request_data, "parametros", Dict()))
+            catch e
+                result = Dict(
+                    "success" => false,
+                    "error" => e isa ArgumentError ? e.msg : "Parámetros de extracción no válidos: $e"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
             
             if isempty(archivos)
                 result = Dict(
@@ -886,6 +1406,17 @@ function handle_request(req::HTTP.Request)
                 return add_cors_headers(response)
             end
             
+            # El análisis terminado se guarda en el historial de este proyecto
+            proyecto = clave_proyecto_historial(get(request_data, "proyecto", ""))
+            if isnothing(proyecto)
+                result = Dict(
+                    "success" => false,
+                    "error" => "El análisis no es del proyecto abierto en el servidor"
+                )
+                response = HTTP.Response(409, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
             # Convertir a rutas completas
             rutas_completas = [joinpath(TEMP_DIR, archivo) for archivo in archivos]
             
@@ -900,28 +1431,228 @@ function handle_request(req::HTTP.Request)
                 return add_cors_headers(response)
             end
             
+            rutas_mascaras = Dict{String, String}()
+            for (archivo, ruta) in zip(archivos, rutas_completas)
+                mascara = get(mascaras, archivo, nothing)
+                if !isnothing(mascara) && !isempty(mascara)
+                    rutas_mascaras[ruta] = joinpath(TEMP_DIR, mascara)
+                end
+            end
+            
+            mascaras_faltantes = [basename(m) for m in values(rutas_mascaras) if !isfile(m)]
+            if !isempty(mascaras_faltantes)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Máscaras no encontradas: $(join(mascaras_faltantes, ", "))"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            # Una imagen no puede ser su propia máscara (p. ej. dos archivos con el mismo nombre)
+            autoemparejadas = [basename(r) for (r, m) in rutas_mascaras if normpath(r) == normpath(m)]
+            if !isempty(autoemparejadas)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Imágenes emparejadas consigo mismas como máscara: $(join(autoemparejadas, ", "))"
+                )
+                response = HTTP.Response(400, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
             println("\n🔬 Iniciando análisis radiómico...")
             println("   Archivos: $(length(archivos))")
             println("   Modo: $(modo_paralelo ? "PARALELO" : "LINEAL")")
+            println("   Con máscara explícita: $(length(rutas_mascaras))")
+            
+            # El análisis corre en segundo plano; el progreso se consulta en /api/trabajo/{id}
+            parametros = Dict(
+                "modo_paralelo" => modo_paralelo,
+                "volumen" => indice_volumen,
+                "mascaras" => rutas_mascaras,
+                "etiquetas" => Dict(string(k) => v for (k, v) in nombres_etiquetas),
+                "extraccion" => extraccion,
+                "proyecto" => proyecto
+            )
+            trabajo_id = crear_trabajo("radiomica", rutas_completas, parametros)
+            iniciar_trabajo_radiomico(trabajo_id, rutas_completas, parametros)
+            
+            result = Dict(
+                "success" => true,
+                "trabajo_id" => trabajo_id,
+                "archivos" => length(rutas_completas)
+            )
+            response = HTTP.Response(202, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        # ======================================================================
+        # TRABAJO - Progreso de un análisis en segundo plano
+        # ======================================================================
+        elseif startswith(path, "/api/trabajo/") && req.method == "GET"
+            trabajo_id = String(split(path, "/")[end])
+            trabajo = estado_trabajo(trabajo_id)
             
-            # Llamar módulo de radiómca
-            result = analizar_radiomico(rutas_completas, modo_paralelo)
+            if isnothing(trabajo)
+                result = Dict(
+                    "success" => false,
+                    "error" => "Trabajo no encontrado: $trabajo_id"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
             
-            if result["success"]
-                println("✅ Análisis completado")
-                
-                # Guardar Excel en carpeta de resultados
-                try
-                    ruta_resultados = determinar_ruta_guardado()
-                    ruta_excel = guardar_resultados_radiomicos_excel(result, ruta_resultados)
-                    result["ruta_excel"] = ruta_excel
-                    println("📊 Excel guardado: $ruta_excel")
-                catch e
-                    println("⚠️  Error guardando Excel: $e")
-                end
+            result = Dict(
+                "success" => true,
+                "trabajo" => trabajo
+            )
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        # ======================================================================
+        # CANCELAR-TRABAJO - Detener un análisis en curso
+        # ======================================================================
+        elseif path == "/api/cancelar-trabajo" && req.method == "POST"
+            request_data = JSON3.read(String(req.body))
+            trabajo_id = string(get(request_data, "trabajo_id", ""))
+            
+            if !cancelar_trabajo!(trabajo_id)
+                result = Dict(
+                    "success" => false,
+                    "error" => "No hay ningún análisis en curso con ID $trabajo_id"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
             end
             
-            response = HTTP.Response(result["success"] ? 200 : 500, JSON3.write(result))
+            println("⏹️  Cancelación solicitada: $trabajo_id")
+            result = Dict("success" => true, "trabajo_id" => trabajo_id)
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        # ======================================================================
+        # TRABAJOS-REANUDABLES - Análisis cancelados o interrumpidos
+        # ======================================================================
+        elseif path == "/api/trabajos-reanudables" && req.method == "GET"
+            result = Dict(
+                "success" => true,
+                "trabajos" => trabajos_reanudables()
+            )
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        # ======================================================================
+        # REANUDAR-TRABAJO / DESCARTAR-TRABAJO
+        # ======================================================================
+        elseif path in ("/api/reanudar-trabajo", "/api/descartar-trabajo") && req.method == "POST"
+            request_data = JSON3.read(String(req.body))
+            trabajo_id = string(get(request_data, "trabajo_id", ""))
+            estado = estado_trabajo(trabajo_id)
+            
+            if !isnothing(estado) && estado["estado"] in ESTADOS_ACTIVOS
+                result = Dict(
+                    "success" => false,
+                    "error" => "El análisis $trabajo_id sigue en curso"
+                )
+                response = HTTP.Response(409, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            if isempty(trabajo_id) || isnothing(leer_trabajo_guardado(trabajo_id))
+                result = Dict(
+                    "success" => false,
+                    "error" => "No hay datos guardados del análisis $trabajo_id"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            if path == "/api/descartar-trabajo"
+                descartar_trabajo!(trabajo_id)
+            else
+                reanudar_trabajo(trabajo_id)
+            end
+            
+            result = Dict("success" => true, "trabajo_id" => trabajo_id)
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        # ======================================================================
+        # DESCARGAR - Resultados de un análisis en CSV, JSON, XLSX o CSV de pyradiomics
+        # ======================================================================
+        elseif startswith(path, "/api/descargar/") && req.method == "GET"
+            partes = split(path, "/")
+            trabajo_id = length(partes) == 5 ? String(partes[4]) : ""
+            formato = length(partes) == 5 ? lowercase(String(partes[5])) : ""
+            # Los análisis del historial conservan sus descargas aunque se vacíe el directorio temporal
+            ruta = ruta_exportacion(trabajo_id, formato)
+            proyecto = clave_proyecto_historial(get(HTTP.queryparams(uri), "proyecto", ""))
+            if isnothing(ruta) && !isnothing(proyecto)
+                ruta = ruta_exportacion_historial(determinar_ruta_guardado(), proyecto, trabajo_id, formato)
+            end
+            
+            if isnothing(ruta)
+                result = Dict(
+                    "success" => false,
+                    "error" => "No hay resultados en formato '$formato' del análisis $trabajo_id"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            response = HTTP.Response(200, read(ruta))
+            HTTP.setheader(response, "Content-Disposition" => "attachment; filename=\"$(nombre_descarga(trabajo_id, formato))\"")
+            return add_cors_headers(response; content_type=FORMATOS_EXPORTACION[formato][2])
+        
+        # ======================================================================
+        # HISTORIAL-RADIOMICO - Análisis radiómicos guardados en el proyecto
+        # ======================================================================
+        # El proyecto va en ?proyecto=: el historial de otro proyecto no se lista ni se borra
+        elseif (path == "/api/historial-radiomico" || startswith(path, "/api/historial-radiomico/")) &&
+               isnothing(clave_proyecto_historial(get(HTTP.queryparams(uri), "proyecto", "")))
+            result = Dict(
+                "success" => false,
+                "error" => "El historial pedido no es del proyecto abierto en el servidor"
+            )
+            response = HTTP.Response(409, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        elseif path == "/api/historial-radiomico" && req.method == "GET"
+            proyecto = clave_proyecto_historial(get(HTTP.queryparams(uri), "proyecto", ""))
+            result = Dict(
+                "success" => true,
+                "proyecto" => PROYECTO_ACTUAL["nombre"],
+                "ejecuciones" => listar_historial(determinar_ruta_guardado(), proyecto)
+            )
+            response = HTTP.Response(200, JSON3.write(result))
+            return add_cors_headers(response)
+        
+        elseif startswith(path, "/api/historial-radiomico/") && req.method in ("GET", "DELETE")
+            trabajo_id = String(split(path, "/")[end])
+            proyecto = clave_proyecto_historial(get(HTTP.queryparams(uri), "proyecto", ""))
+            ruta_resultados = determinar_ruta_guardado()
+            
+            if req.method == "DELETE"
+                borrado = borrar_de_historial(ruta_resultados, proyecto, trabajo_id)
+                result = borrado ? Dict("success" => true, "trabajo_id" => trabajo_id) : Dict(
+                    "success" => false,
+                    "error" => "No hay ningún análisis $trabajo_id en el historial"
+                )
+                response = HTTP.Response(borrado ? 200 : 404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            ejecucion = leer_de_historial(ruta_resultados, proyecto, trabajo_id)
+            if isnothing(ejecucion)
+                result = Dict(
+                    "success" => false,
+                    "error" => "No hay ningún análisis $trabajo_id en el historial"
+                )
+                response = HTTP.Response(404, JSON3.write(result))
+                return add_cors_headers(response)
+            end
+            
+            result = Dict("success" => true, "ejecucion" => ejecucion)
+            response = HTTP.Response(200, JSON3.write(result))
             return add_cors_headers(response)
         
         # ======================================================================
@@ -0,0 +1,61 @@
+# runtests.jl - Pruebas del backend que no necesitan el servidor ni imágenes
+# Uso: julia --project=backend backend/test/runtests.jl
+# Autor: MSL Process Backend
+# Fecha: 2025
+
+using Test
+
+include(joinpath(@__DIR__, "..", "NomenclaturaRadiomica.jl"))
+
+# Códigos del manual de referencia IBSI para una muestra de cada categoría
+const CODIGOS_IBSI_CONOCIDOS = [
+    ("first_order", "Media", "Q4LE"),
+    ("first_order", "Varianza", "ECT3"),
+    ("first_order", "Energia", "N8CA"),
+    ("first_order", "Raiz_cuadrada_media", "5ZWQ"),
+    ("first_order", "Asimetria", "KE2A"),
+    ("first_order", "Curtosis", "IPH6"),
+    ("first_order", "RMAD", "1128"),
+    ("shape", "Volumen", "YEKZ"),
+    ("shape", "Esfericidad", "QCFX"),
+    ("shape", "Longitud_del_eje_mayor", "TDIC"),
+    ("texture_glcm", "Contraste", "ACUI"),
+    ("texture_glcm", "Energia_Conjunta", "8ZQL"),
+    ("texture_glcm", "IMC2", "JN9H"),
+    ("texture_glrlm", "SRE", "22OV"),
+    ("texture_glrlm", "GLN", "OVBL"),
+    ("texture_glrlm", "RLN", "IC23"),
+    ("texture_glszm", "SZE", "5QRC"),
+    ("texture_glszm", "GLN_GLSZM", "Y1RO"),
+    ("texture_glszm", "ZSN", "VB3A")
+]
+
+@testset "Nomenclatura radiómica" begin
+    @testset "códigos IBSI conocidos" begin
+        for (categoria, nombre, codigo) in CODIGOS_IBSI_CONOCIDOS
+            @test NOMENCLATURA_RADIOMICA[categoria][nombre]["ibsi"] == codigo
+        end
+    end
+
+    @testset "un código IBSI corresponde a un solo nombre" begin
+        nombres = Dict{String, String}()
+        for (categoria, entradas) in NOMENCLATURA_RADIOMICA, (nombre, entrada) in entradas
+            codigo = entrada["ibsi"]
+            isnothing(codigo) && continue
+            @test occursin(r"^[0-9A-Z]{4}$", codigo)
+            # El mismo código solo se repite dentro de una categoría (duplicados como Entropia_Shannon)
+            clave = "$categoria/$codigo"
+            @test get!(nombres, clave, entrada["nombre_ibsi"]) == entrada["nombre_ibsi"]
+        end
+    end
+
+    @testset "nombres de pyradiomics" begin
+        @test nombre_pyradiomics("first_order", "Raiz_cuadrada_media") == "original_firstorder_RootMeanSquared"
+        @test nombre_pyradiomics("texture_glcm", "wavelet-LLH_Contraste") == "wavelet-LLH_glcm_Contrast"
+        @test isnothing(nombre_pyradiomics("first_order", "Entropia_Renyi"))
+        @test separar_tipo_imagen("Media") == ("original", "Media")
+        # LoG con el sufijo -3D de pyradiomics, también en resultados guardados sin él
+        @test nombre_pyradiomics("first_order", "log-sigma-1-5-mm-3D_Media") == "log-sigma-1-5-mm-3D_firstorder_Mean"
+        @test separar_tipo_imagen("log-sigma-1-0-mm_Media") == ("log-sigma-1-0-mm-3D", "Media")
+    end
+end
@@ -1,5 +1,290 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { FolderOpen, FolderPlus, ArrowLeft, Activity, Upload, Plus } from 'lucide-react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import { FolderOpen, FolderPlus, ArrowLeft, Activity, Upload, Plus, Download } from 'lucide-react';
+import { encodeGif } from './gifEncoder';
+import { buildFeatureMatrix, zScoreColumns, hierarchicalOrder, zScoreColor, formatFeatureValue } from './featureMatrix';
+import { sliceDisplaySize, displayToVoxel, voxelToDisplay, voxelIndex, extractSliceData } from './sliceGeometry';
+import { hexToRgb, COLORMAPS, colormapGradient, COLORMAP_LUTS } from './colormaps';
+import { HISTOGRAM_BIN_OPTIONS, computeHistogram } from './histogram';
+import { WINDOW_PRESETS, windowFromPreset, fillWindowedPixels } from './windowLevel';
+import {
+  JOB_POLL_MS, JOB_FILE_ICONS, ACTIVE_JOB_STATES, formatDuration, finishedFileCount, remainingSeconds, jobFileDetail
+} from './jobs';
+import { parseLabelTable, expandRadiomicsResults, RUN_DIFF_TOLERANCE, compareRadiomicsRuns } from './radiomicsResults';
+import { displaySpacing, ellipseFromCorners, pointInPolygon, computeMeasurement } from './measurements';
+import {
+  ROI_SUFFIX, toPosixPath, fileBaseName, projectFileNodes, withServerNames, serverNameChanges, pairImagesWithMasks
+} from './projectFiles';
+
+// Orientaciones de los visores ortogonales (eje = dimensión del volumen que recorren)
+const ORIENTATIONS = {
+  sagittal: { titulo: 'Corte Sagital', alt: 'Sagital', eje: 0 },
+  coronal: { titulo: 'Corte Coronal', alt: 'Coronal', eje: 1 },
+  axial: { titulo: 'Corte Axial', alt: 'Axial', eje: 2 }
+};
+
+// Tipos de /api/get-volume (cabecera X-Dtype) y su TypedArray equivalente
+const VOLUME_DTYPES = {
+  uint8: Uint8Array,
+  int16: Int16Array,
+  uint16: Uint16Array,
+  int32: Int32Array,
+  float32: Float32Array
+};
+
+// Pasos de navegación por teclado
+const SLICE_KEY_STEPS = {
+  ArrowUp: 1,
+  ArrowRight: 1,
+  ArrowDown: -1,
+  ArrowLeft: -1,
+  PageUp: 10,
+  PageDown: -10
+};
+
+// Ref de un visor que cambia de corte con la rueda. React registra onWheel como pasivo y
+// ahí preventDefault no evita que la página se desplace: el listener se añade a mano
+const sliceWheelRef = (handler) => (element) => {
+  if (!element) return undefined;
+  const listener = (event) => {
+    event.preventDefault();
+    handler(event);
+  };
+  element.addEventListener('wheel', listener, { passive: false });
+  return () => element.removeEventListener('wheel', listener);
+};
+
+// Reproducción cine: límites de fps y modos al llegar al último corte
+const CINE_FPS = { min: 1, max: 30, defecto: 10 };
+
+const CINE_MODES = [
+  { id: 'bucle', nombre: 'Bucle' },
+  { id: 'rebote', nombre: 'Rebote' }
+];
+
+// Zoom de los visores: límites y factor por paso (botones o teclas +/-)
+const ZOOM_LIMITS = { min: 1, max: 8, step: 1.25 };
+
+const ZOOM_KEYS = {
+  '+': ZOOM_LIMITS.step,
+  '=': ZOOM_LIMITS.step,
+  '-': 1 / ZOOM_LIMITS.step,
+  '0': null
+};
+
+// Modos de proyección de cada visor (los calcula extract_slice en el backend)
+const PROJECTION_MODES = [
+  { id: 'ninguna', nombre: 'Corte' },
+  { id: 'mip', nombre: 'MIP' },
+  { id: 'minip', nombre: 'MinIP' },
+  { id: 'media', nombre: 'Media' }
+];
+
+// Lee una respuesta binaria de /api/get-volume o /api/get-slice (cabeceras X-Dtype y X-Dims)
+const readBinaryResponse = async (response) => {
+  if (!response.ok) {
+    const result = await response.json();
+    throw new Error(result.error);
+  }
+
+  const dtype = response.headers.get('X-Dtype');
+  const TypedArray = VOLUME_DTYPES[dtype];
+  if (!TypedArray) {
+    throw new Error(`Tipo de datos no soportado: ${dtype}`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  return {
+    data: new TypedArray(buffer),
+    dtype,
+    dims: response.headers.get('X-Dims').split(',').map(Number)
+  };
+};
+
+// Pinta un corte con ventana y mapa de color en un canvas del tamaño del corte
+const paintWindowedSlice = (canvas, { width, height, values }, viewWindow, lut) => {
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  fillWindowedPixels(image.data, values, viewWindow, lut);
+  ctx.putImageData(image, 0, 0);
+};
+
+// Corte equivalente en otro volumen: mismo índice si el eje mide igual,
+// misma posición relativa si no
+const mapSliceNum = (num, fromMax, toMax) => {
+  if (fromMax === toMax) return num;
+  return Math.min(Math.max(Math.round((num - 0.5) * toMax / fromMax + 0.5), 1), toMax);
+};
+
+// Etiquetas de la máscara con su color; fondo y etiquetas ocultas transparentes
+const fillLabelPixels = (pixels, values, colors) => {
+  for (let i = 0; i < values.length; i++) {
+    const color = values[i] !== 0 ? colors.get(values[i]) : undefined;
+    if (color) {
+      pixels[i * 4] = color[0];
+      pixels[i * 4 + 1] = color[1];
+      pixels[i * 4 + 2] = color[2];
+      pixels[i * 4 + 3] = 255;
+    }
+  }
+};
+
+// Colores RGB de las etiquetas visibles de una máscara
+const labelColors = (etiquetas, hiddenLabels) => new Map(etiquetas
+  .filter(({ valor }) => !hiddenLabels.includes(valor))
+  .map(({ valor, color }) => [valor, hexToRgb(color)]));
+
+// Pinta las etiquetas de un corte de la máscara en un canvas del tamaño del corte
+const paintLabelSlice = (canvas, { width, height, values }, colors) => {
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  fillLabelPixels(image.data, values, colors);
+  ctx.putImageData(image, 0, 0);
+};
+
+// Descarga un Blob generado en el navegador con el nombre indicado
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Herramientas de medición sobre los cortes (puntos: clics necesarios, null = arrastre)
+const MEASURE_TOOLS = [
+  { id: 'navegar', nombre: 'Navegar', icono: '✛' },
+  { id: 'regla', nombre: 'Regla', icono: '📏', unidad: 'mm' },
+  { id: 'angulo', nombre: 'Ángulo', icono: '∠', unidad: '°', puntos: 3 },
+  { id: 'elipse', nombre: 'Elipse', icono: '⬭', unidad: 'mm²' },
+  { id: 'libre', nombre: 'ROI libre', icono: '✎', unidad: 'mm²' }
+];
+
+const MEASURE_COLOR = '#22d3ee';
+
+// Dibujo de ROI 3D corte a corte (se guarda como máscara NIfTI)
+const ROI_TOOLS = [
+  { id: 'pincel', nombre: 'Pincel', icono: '🖌' },
+  { id: 'borrador', nombre: 'Borrador', icono: '⌫' },
+  { id: 'poligono', nombre: 'Polígono', icono: '⬠' }
+];
+
+const ROI_COLOR = '#ef4444';
+const ROI_COLORS = new Map([[1, hexToRgb(ROI_COLOR)]]);
+
+// Reglas para emparejar cada imagen con su máscara de segmentación
+const PAIRING_MODES = [
+  { id: 'sufijo', nombre: 'Sufijo', ayuda: 'paciente01.nii.gz ↔ paciente01_seg.nii.gz' },
+  { id: 'carpeta', nombre: 'Carpeta hermana', ayuda: 'imagenes/paciente01.nii.gz ↔ mascaras/paciente01.nii.gz' },
+  { id: 'manual', nombre: 'Tabla manual', ayuda: 'Elige la máscara de cada imagen' }
+];
+
+// Clases de características y parámetros de extracción por defecto
+// (CLASES_CARACTERISTICAS y PARAMETROS_EXTRACCION_DEFECTO en AnalisisRadiomico.jl)
+const FEATURE_CLASSES = [
+  { id: 'first_order', nombre: 'First order' },
+  { id: 'shape', nombre: 'Shape' },
+  { id: 'texture_glcm', nombre: 'GLCM' },
+  { id: 'texture_glrlm', nombre: 'GLRLM' },
+  { id: 'texture_glszm', nombre: 'GLSZM' }
+];
+
+// Preprocesamiento antes de extraer (ver Preprocesamiento.jl): por defecto ninguno
+const DEFAULT_PREPROCESSING = {
+  voxel_isotropico: 0,
+  correccion_sesgo: false,
+  recorte_percentiles: false,
+  percentil_inferior: 1,
+  percentil_superior: 99,
+  normalizacion: 'ninguna',
+  log_sigmas: [],
+  wavelet: false
+};
+
+const DEFAULT_EXTRACTION_PARAMS = {
+  discretizacion: 'bins',
+  num_bins: 256,
+  ancho_bin: 25,
+  max_run_length: 50,
+  umbral_mascara: 0,
+  clases: FEATURE_CLASSES.map(c => c.id),
+  preprocesamiento: DEFAULT_PREPROCESSING
+};
+
+// Sigmas en mm escritos como "1, 2.5, 3": solo los números positivos
+const parseSigmaList = (text) => [...new Set(text.split(/[\s,;]+/)
+  .map(parseFloat)
+  .filter(sigma => sigma > 0))]
+  .sort((a, b) => a - b);
+
+const describePreprocessing = (pre) => [
+  pre.voxel_isotropico > 0 && `voxel ${pre.voxel_isotropico} mm`,
+  pre.correccion_sesgo && 'corrección de sesgo',
+  pre.recorte_percentiles && `recorte p${pre.percentil_inferior}-p${pre.percentil_superior}`,
+  pre.normalizacion === 'zscore' && 'z-score',
+  pre.log_sigmas.length > 0 && `LoG σ=${pre.log_sigmas.join(', ')} mm`,
+  pre.wavelet && 'wavelet'
+].filter(Boolean).join(' · ') || 'ninguno';
+
+// Resumen de los parámetros con que se calculó un resultado
+const describeExtractionParams = (params) => [
+  params.discretizacion === 'ancho' ? `ancho de bin ${params.ancho_bin}` : `${params.num_bins} bins`,
+  `run máx. ${params.max_run_length}`,
+  `umbral ${params.umbral_mascara}`,
+  params.clases.map(id => FEATURE_CLASSES.find(c => c.id === id)?.nombre || id).join(', '),
+  params.preprocesamiento && `preprocesamiento: ${describePreprocessing(params.preprocesamiento)}`
+].filter(Boolean).join(' · ');
+
+// Nombres IBSI y pyradiomics de una característica según /api/nomenclatura-radiomica;
+// null si no hay tabla o la característica no aparece en ella
+const describeFeatureNaming = (naming, categoria, nombre) => {
+  // Los LoG de análisis anteriores no llevan el sufijo -3D de pyradiomics (separar_tipo_imagen)
+  const match = nombre.match(/^(original|log-sigma-[0-9-]+-mm(?:-3D)?|wavelet-[LH]{3})_(.+)$/);
+  const [tipo, base] = match ? [match[1].replace(/-mm$/, '-mm-3D'), match[2]] : ['original', nombre];
+  const entry = naming?.nomenclatura[categoria]?.[base];
+  if (!entry) return null;
+  return [
+    entry.ibsi ? `IBSI: ${entry.nombre_ibsi} (${entry.ibsi})` : 'IBSI: sin equivalente',
+    entry.pyradiomics
+      ? `pyradiomics: ${tipo}_${naming.clases_pyradiomics[categoria]}_${entry.pyradiomics}`
+      : 'pyradiomics: sin equivalente',
+    entry.nota
+  ].filter(Boolean).join(' · ');
+};
+
+// Radio del pincel en píxeles del corte
+const BRUSH_RADIUS = { min: 0, max: 20, defecto: 2 };
+
+// Base64 de bytes binarios, por trozos para no desbordar la pila con volúmenes grandes
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+// Texto de un valor de metadatos (los vectores vienen como arrays del backend)
+const metadataValueText = (valor) =>
+  Array.isArray(valor) ? valor.join(' ') : String(valor);
+
+const formatNumber = (value, digits = 2) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(digits);
+
+// Coordenada física en mm de un voxel (1-indexed), igual que voxel_a_coordenada_fisica
+const voxelToPhysical = (geometry, voxel) => {
+  const ijk = voxel.map(v => v - 1);
+  if (geometry?.affine) {
+    return geometry.affine.slice(0, 3).map(row =>
+      row[0] * ijk[0] + row[1] * ijk[1] + row[2] * ijk[2] + row[3]);
+  }
+  const voxelSize = geometry?.voxelSize || [1, 1, 1];
+  return ijk.map((v, i) => v * voxelSize[i]);
+};
 
 export default function LabMedicoApp() {
   const [currentView, setCurrentView] = useState('home');
@@ -11,23 +296,111 @@ export default function LabMedicoApp() {
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageDimensions, setImageDimensions] = useState(null);
   const [slices, setSlices] = useState({
-    sagittal: { num: 1, image: null },
-    coronal: { num: 1, image: null },
-    axial: { num: 1, image: null }
+    sagittal: { num: 1 },
+    coronal: { num: 1 },
+    axial: { num: 1 }
+  });
+  const [intensityRange, setIntensityRange] = useState(null);
+  const [windowLevel, setWindowLevel] = useState(null);
+  const [windowPreset, setWindowPreset] = useState('completo');
+  const [activeView, setActiveView] = useState('axial');
+  const [imageGeometry, setImageGeometry] = useState(null);
+  const [showCrosshair, setShowCrosshair] = useState(true);
+  const [cursorInfo, setCursorInfo] = useState(null);
+  const [overlayInfo, setOverlayInfo] = useState(null);
+  const [overlayHiddenLabels, setOverlayHiddenLabels] = useState([]);
+  const [overlayOpacity, setOverlayOpacity] = useState(0.5);
+  const [volumeData, setVolumeData] = useState(null);
+  const [overlayVolume, setOverlayVolume] = useState(null);
+  const [projections, setProjections] = useState({
+    sagittal: { modo: 'ninguna', grosor: 0 },
+    coronal: { modo: 'ninguna', grosor: 0 },
+    axial: { modo: 'ninguna', grosor: 0 }
   });
+  const [projectionSlices, setProjectionSlices] = useState({});
+  const [viewZoom, setViewZoom] = useState(1);
+  const [compareMode, setCompareMode] = useState(false);
+  const [compareFile, setCompareFile] = useState(null);
+  const [compareVolume, setCompareVolume] = useState(null);
+  const [compareSlices, setCompareSlices] = useState({ sagittal: 1, coronal: 1, axial: 1 });
+  const [compareWindowLevel, setCompareWindowLevel] = useState(null);
+  const [compareZoom, setCompareZoom] = useState(1);
+  const [compareLinked, setCompareLinked] = useState(true);
+  const [compareOrientation, setCompareOrientation] = useState('axial');
+  const [measureTool, setMeasureTool] = useState('navegar');
+  const [measureDraft, setMeasureDraft] = useState(null);
+  const [roiTool, setRoiTool] = useState(null);
+  const [brushRadius, setBrushRadius] = useState(BRUSH_RADIUS.defecto);
+  const [roiPolygon, setRoiPolygon] = useState(null);
+  const [roiCursor, setRoiCursor] = useState(null);
+  // Por archivo: { voxeles, modificada, guardada (nombre de la máscara NIfTI) }
+  const [roiStatus, setRoiStatus] = useState({});
+  // Las máscaras se modifican en sitio; el contador fuerza el redibujado
+  const [roiVersion, setRoiVersion] = useState(0);
+  const [measurements, setMeasurements] = useState({});
+  const [imageMetadata, setImageMetadata] = useState([]);
+  const [showMetadata, setShowMetadata] = useState(false);
+  const [metadataQuery, setMetadataQuery] = useState('');
+  const [histogram, setHistogram] = useState(null);
+  const [histogramBins, setHistogramBins] = useState(128);
+  const [histogramExcludeZero, setHistogramExcludeZero] = useState(false);
+  const [histogramLog, setHistogramLog] = useState(false);
+  const [cinePlaying, setCinePlaying] = useState({ sagittal: false, coronal: false, axial: false });
+  const [cineFps, setCineFps] = useState(CINE_FPS.defecto);
+  const [cineMode, setCineMode] = useState('bucle');
+  const [cineExporting, setCineExporting] = useState(null);
+  const [colormap, setColormap] = useState('gris');
+  const [showColorBar, setShowColorBar] = useState(true);
+  const colormapLut = COLORMAP_LUTS[colormap];
+  // Series 4D: número de volúmenes e intervalo entre ellos (null en imágenes 3D)
+  const [seriesInfo, setSeriesInfo] = useState(null);
+  const [timepoint, setTimepoint] = useState(1);
+  const [timeCourse, setTimeCourse] = useState(null);
+  // Volumen de las series 4D que usan radiómica y estadística
+  const [analysisVolume, setAnalysisVolume] = useState(1);
   const [projectPath, setProjectPath] = useState('');
   
   // Estados para Radiómica y selección
   const [multipleFilesMode, setMultipleFilesMode] = useState(true);
   const [parallelMode, setParallelMode] = useState(false);
+  const [extractionParams, setExtractionParams] = useState(DEFAULT_EXTRACTION_PARAMS);
+  // Tabla de nombres IBSI / pyradiomics, cargada al entrar en radiómica
+  const [featureNaming, setFeatureNaming] = useState(null);
+  // Texto del campo de sigmas LoG; los valores válidos van a extractionParams
+  const [logSigmasText, setLogSigmasText] = useState('');
+  // Regla imagen -> máscara; manual: { ruta imagen: ruta máscara }
+  const [pairingRule, setPairingRule] = useState({ modo: 'sufijo', sufijo: '_seg', carpeta: 'mascaras', manual: {} });
+  // Nombres de las etiquetas de las máscaras multi-etiqueta: { valor: nombre }
+  const [labelNames, setLabelNames] = useState({});
   const [radiomicsRunning, setRadiomicsRunning] = useState(false);
   const [radiomicsResults, setRadiomicsResults] = useState(null);
+  // Vista de resultados: 'tabla' (detalle por archivo) o 'matriz' (archivos × características)
+  const [resultsView, setResultsView] = useState('tabla');
+  const [matrixOptions, setMatrixOptions] = useState({
+    clase: 'todas',
+    filtro: '',
+    orden: null,          // { columna: key, asc: bool }
+    heatmap: false,
+    agrupar: false
+  });
   const [selectedFiles, setSelectedFiles] = useState([]);
   const [selectedFolders, setSelectedFolders] = useState([]);
-  const [radiomicsProgress, setRadiomicsProgress] = useState(0);
+  // Último estado del trabajo radiómico en curso: progreso global y por archivo
+  const [radiomicsJob, setRadiomicsJob] = useState(null);
+  // Trabajos cancelados o interrumpidos que el backend puede reanudar
+  const [resumableJobs, setResumableJobs] = useState([]);
   
   // Estados para Estadísticas
   const [statisticsRunning, setStatisticsRunning] = useState(false);
+  const [statisticsJob, setStatisticsJob] = useState(null);
+  // Archivos descargables del último resultado mostrado: { radiomica|estadistica: { id, formatos } }
+  const [resultDownloads, setResultDownloads] = useState({});
+  // Historial de análisis radiómicos del proyecto: resúmenes, análisis mostrado y comparación abierta
+  const [radiomicsHistory, setRadiomicsHistory] = useState([]);
+  const [radiomicsRunId, setRadiomicsRunId] = useState(null);
+  // Nombres de etiqueta guardados con el análisis reabierto (null: los del panel de etiquetas)
+  const [radiomicsRunLabels, setRadiomicsRunLabels] = useState(null);
+  const [runComparison, setRunComparison] = useState(null);
   const [statisticsResults, setStatisticsResults] = useState(null);
   const [compareByFiles, setCompareByFiles] = useState(true); // Para Excel: true = entre archivos, false = entre carpetas
   const [selectedTests, setSelectedTests] = useState({
@@ -49,7 +422,25 @@ export default function LabMedicoApp() {
   
   const fileInputRef = useRef(null);
   const addFilesInputRef = useRef(null);
-  const progressIntervalRef = useRef(null);
+  const labelTableInputRef = useRef(null);
+  // Consulta de progreso en curso por tipo de trabajo: { radiomica: timeoutId, ... }
+  const progressIntervalRef = useRef({});
+  const windowDragRef = useRef(null);
+  const volumeRequestRef = useRef(0);
+  const baseCanvasRef = useRef({});
+  const overlayCanvasRef = useRef({});
+  const roiCanvasRef = useRef({});
+  // Máscaras ROI de la sesión por archivo: { data: Uint8Array, dims }
+  const roiMasksRef = useRef({});
+  const roiStrokeRef = useRef(null);
+  const projectionRequestRef = useRef({});
+  const compareCanvasRef = useRef(null);
+  const compareRequestRef = useRef(0);
+  const measureIdRef = useRef(0);
+  const histogramDragRef = useRef(null);
+  const cineTickRef = useRef(null);
+  const cineDirectionRef = useRef({});
+  const sliceKeyHandlerRef = useRef(null);
   // Detectar si estamos en modo servidor o escritorio
   const JULIA_API = (() => {
   // Si hay variable de entorno del servidor (configurada en build)
@@ -68,12 +459,11 @@ console.log('🔌 Backend Julia:', JULIA_API);
     checkJuliaConnection();
   }, []);
 
-  // Limpiar interval de progreso al desmontar
+  // Detener la consulta de progreso al desmontar
   useEffect(() => {
+    const timeouts = progressIntervalRef.current;
     return () => {
-      if (progressIntervalRef.current) {
-        clearInterval(progressIntervalRef.current);
-      }
+      Object.values(timeouts).forEach(clearTimeout);
     };
   }, []);
 
@@ -115,12 +505,13 @@ console.log('🔌 Backend Julia:', JULIA_API);
       const result = await response.json();
       
       if (result.success) {
+        const estructura = withServerNames(result.estructura);
         setProjectPath(result.ruta_proyecto);
-        setProjectStructure(result.estructura);
+        setProjectStructure(estructura);
         setCurrentView('workspace');
         
         // Subir archivos a TEMP y auto-cargar primera imagen
-        const allFiles = extractAllCompatibleFiles(result.estructura);
+        const allFiles = extractAllCompatibleFiles(estructura);
         if (allFiles.length > 0) {
           setLoadingMessage(`Subiendo ${allFiles.length} archivos al servidor...`);
           
@@ -132,7 +523,7 @@ console.log('🔌 Backend Julia:', JULIA_API);
             // Leer archivo desde disco usando fullPath
             const response = await fetch(fileNode.fullPath);
             const blob = await response.blob();
-            const file = new File([blob], fileNode.name);
+            const file = new File([blob], fileNode.serverName);
             await uploadFileToServer(file);
           }
           
@@ -168,19 +559,21 @@ console.log('🔌 Backend Julia:', JULIA_API);
       const folderName = pathParts[0];
       
       setLoadingMessage('Construyendo estructura de carpetas...');
-      const tree = buildTreeFromFiles(fileList, folderName);
+      const tree = withServerNames(buildTreeFromFiles(fileList, folderName));
       setProjectStructure(tree);
       
       // Subir todos los archivos a TEMP_DIR
       setLoadingMessage(`Subiendo ${fileList.length} archivos...`);
-      for (let i = 0; i < fileList.length; i++) {
-        setLoadingMessage(`Subiendo ${i + 1}/${fileList.length}: ${fileList[i].name}`);
-        await uploadFileToServer(fileList[i]);
+      const fileNodes = projectFileNodes(tree);
+      for (let i = 0; i < fileNodes.length; i++) {
+        setLoadingMessage(`Subiendo ${i + 1}/${fileNodes.length}: ${fileNodes[i].name}`);
+        await uploadFileToServer(new File([fileNodes[i].file], fileNodes[i].serverName));
       }
       
       // Detectar ruta absoluta
       try {
-        const uploadResult = await uploadFileToServer(firstFile);
+        const firstNode = fileNodes.find(f => f.file === firstFile);
+        const uploadResult = await uploadFileToServer(new File([firstFile], firstNode.serverName));
         if (uploadResult.success && uploadResult.absolute_path) {
           const absolutePath = uploadResult.absolute_path;
           const projectPathDetected = absolutePath.substring(0, absolutePath.lastIndexOf(firstFile.name) - 1);
@@ -298,7 +691,7 @@ console.log('🔌 Backend Julia:', JULIA_API);
       if (result.success) {
         alert(`✅ Proyecto creado:\n${result.ruta_proyecto}\n\nGrupos: ${result.carpetas_creadas.join(', ')}`);
         setProjectPath(result.ruta_proyecto);
-        setProjectStructure(result.estructura);
+        setProjectStructure(withServerNames(result.estructura));
         setCurrentView('workspace');
       } else {
         alert(`❌ Error: ${result.error}`);
@@ -335,7 +728,7 @@ console.log('🔌 Backend Julia:', JULIA_API);
 
       if (result.success) {
         alert(`✅ Grupos agregados:\n${result.carpetas_creadas.join(', ')}`);
-        setProjectStructure(result.estructura);
+        setProjectStructure(withServerNames(result.estructura));
       } else {
         alert(`❌ Error: ${result.error}`);
       }
@@ -395,27 +788,19 @@ console.log('🔌 Backend Julia:', JULIA_API);
         alert(`✅ ${result.archivos_agregados.length} archivos agregados:\n${result.archivos_agregados.join(', ')}`);
         
         // Re-escanear estructura
-        setProjectStructure(result.estructura);
+        const estructura = withServerNames(result.estructura);
+        setProjectStructure(estructura);
         
         // 🔥 CRÍTICO: Subir archivos renombrados a TEMP_DIR
         setLoadingMessage('Sincronizando archivos con servidor...');
         
-        for (let i = 0; i < result.archivos_agregados.length; i++) {
-          const nombreArchivo = result.archivos_agregados[i]; // "Base_1.nii.gz"
-          const archivoOriginal = fileList[i]; // File object original
-          
-          setLoadingMessage(`Subiendo ${i + 1}/${result.archivos_agregados.length}: ${nombreArchivo}`);
-          
-          // Crear File con nombre renombrado para que Julia lo reconozca
-          const archivoRenombrado = new File([archivoOriginal], nombreArchivo, { 
-            type: archivoOriginal.type 
-          });
-          
-          // Subir a TEMP_DIR para que Julia pueda procesarlo
-          await uploadFileToServer(archivoRenombrado);
-        }
+        // Los File originales, por la ruta con la que quedan en el proyecto ("Grupo/Base_1.nii.gz")
+        const archivosLocales = Object.fromEntries(result.archivos_agregados.map((nombreArchivo, i) => [
+          `${toPosixPath(carpetaDestino)}/${nombreArchivo}`, fileList[i]
+        ]));
+        const subidos = await syncServerFiles(estructura, archivosLocales);
         
-        console.log(`✅ ${result.archivos_agregados.length} archivos sincronizados con TEMP_DIR`);
+        console.log(`✅ ${subidos} archivos sincronizados con TEMP_DIR`);
       } else {
         alert(`❌ Error: ${result.error}`);
       }
@@ -429,6 +814,19 @@ console.log('🔌 Backend Julia:', JULIA_API);
     }
   };
 
+  // Sube a TEMP_DIR los archivos de una estructura re-escaneada que el servidor no tiene con
+  // su nombre actual (ver serverNameChanges). Los que no están en localFiles se leen del disco
+  const syncServerFiles = async (estructura, localFiles = {}) => {
+    const pendientes = serverNameChanges(projectStructure, estructura);
+    for (let i = 0; i < pendientes.length; i++) {
+      const fileNode = pendientes[i];
+      setLoadingMessage(`Subiendo ${i + 1}/${pendientes.length}: ${fileNode.name}`);
+      const blob = localFiles[toPosixPath(fileNode.path)] || await (await fetch(fileNode.fullPath)).blob();
+      await uploadFileToServer(new File([blob], fileNode.serverName));
+    }
+    return pendientes.length;
+  };
+
   const fileToBase64 = (file) => {
     return new Promise((resolve, reject) => {
       const reader = new FileReader();
@@ -533,6 +931,7 @@ console.log('🔌 Backend Julia:', JULIA_API);
 
     if (node.type === 'file') {
       const compatible = isCompatibleFile(node.name, activeTab);
+      const pairing = maskPairing && compatible ? maskPairingStatus(node) : null;
       
       return (
         <div 
@@ -551,10 +950,16 @@ console.log('🔌 Backend Julia:', JULIA_API);
             />
           )}
           <div className="flex items-center gap-2 flex-1" onClick={() => handleFileClick(node)}>
-            {compatible ? (
-              <span className="text-blue-600">📄</span>
-            ) : (
+            {!compatible ? (
               <span className="text-red-500">❌</span>
+            ) : pairing === 'mascara' ? (
+              <span title="Máscara de segmentación">🎭</span>
+            ) : pairing === 'sin_mascara' ? (
+              <span title="Sin máscara emparejada: se analizarán los voxels > 0">⚠️</span>
+            ) : pairing ? (
+              <span className="text-blue-600" title={`Máscara: ${pairing}`}>🔗</span>
+            ) : (
+              <span className="text-blue-600">📄</span>
             )}
             <span className={`text-sm truncate ${!compatible ? 'text-gray-400 line-through' : ''}`}>
               {node.name}
@@ -647,36 +1052,119 @@ console.log('🔌 Backend Julia:', JULIA_API);
     return files;
   };
 
+  // Proyecto del historial radiómico (clave_proyecto_historial en server.jl): su ruta o, en modo
+  // navegador, donde el servidor no la conoce, el nombre de la carpeta abierta
+  const historyProject = projectPath || projectStructure?.name || '';
+
+  // Emparejamiento imagen/máscara del proyecto (solo en la pestaña de radiómica)
+  const maskPairing = activeTab === 'radiomics' && projectStructure
+    ? pairImagesWithMasks(extractAllCompatibleFiles(projectStructure), pairingRule)
+    : null;
+
+  // En las listas de archivos, los de nombre repetido se distinguen por su ruta
+  const fileOptionLabel = (fileNode) => fileNode.serverName === fileNode.name ? fileNode.name : fileNode.path;
+
+  // Nombre de la máscara que se usará para una imagen: ROI guardada en esta sesión o la de la regla
+  const pairedMaskName = (fileNode) =>
+    roiStatus[fileNode.serverName]?.guardada || maskPairing?.pairs.get(fileNode.path)?.name || null;
+
+  // El mismo, tal como está en el servidor
+  const pairedMaskServerName = (fileNode) => {
+    if (roiStatus[fileNode.serverName]?.guardada) return roiStatus[fileNode.serverName].guardada;
+    return maskPairing?.pairs.get(fileNode.path)?.serverName || null;
+  };
+
+  // 'mascara' si el archivo es una máscara, 'sin_mascara' si es una imagen sin pareja,
+  // o el nombre de su máscara
+  const maskPairingStatus = (fileNode) => {
+    if (maskPairing.masks.has(fileNode.path)) return 'mascara';
+    return pairedMaskName(fileNode) || 'sin_mascara';
+  };
+
+  const unpairedCount = maskPairing
+    ? extractAllCompatibleFiles(projectStructure)
+      .filter(f => maskPairing.pairs.has(f.path) && !pairedMaskServerName(f)).length
+    : 0;
+
+  const updatePairingRule = (changes) => {
+    setPairingRule(prev => ({ ...prev, ...changes }));
+  };
+
+  const setManualPair = (imagePath, maskPath) => {
+    setPairingRule(prev => {
+      const manual = { ...prev.manual };
+      if (maskPath) {
+        manual[imagePath] = maskPath;
+      } else {
+        delete manual[imagePath];
+      }
+      return { ...prev, manual };
+    });
+  };
+
   const autoLoadFirstImage = async (fileNode) => {
     if (!fileNode || !isCompatibleFile(fileNode.name, 'visualization')) return;
     
     setSelectedFile(fileNode);
     setImageLoaded(false);
+    setVolumeData(null);
+    setCinePlaying({ sagittal: false, coronal: false, axial: false });
+    setProjectionSlices({});
+    projectionRequestRef.current = {};
+    // Solo el volumen del último archivo seleccionado llega al visor
+    const requestId = ++volumeRequestRef.current;
 
     try {
       const response = await fetch(`${JULIA_API}/api/load-image`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          filename: fileNode.name
+          filename: fileNode.serverName
         })
       });
 
       const result = await response.json();
       
       if (result.success) {
-        setImageDimensions(result.dimensions);
+        // El visor trabaja en 3D; la 4ª dimensión se recorre con el control de volumen
+        setImageDimensions(result.dimensions.slice(0, 3));
+        setSeriesInfo(result.num_volumenes > 1
+          ? { volumenes: result.num_volumenes, intervalo: result.header?.intervalo_volumenes || 0 }
+          : null);
+        setTimepoint(1);
+        setTimeCourse(null);
+        setIntensityRange(result.intensity_range);
+        setImageGeometry({
+          voxelSize: result.header?.voxel_size || [1, 1, 1],
+          affine: result.header?.affine || null
+        });
+        setImageMetadata(result.header?.metadatos || []);
+        setCursorInfo(null);
+        setRoiPolygon(null);
+        // Una máscara de otro volumen no tiene por qué coincidir con el nuevo
+        setOverlayInfo(null);
+        setOverlayVolume(null);
+        setOverlayHiddenLabels([]);
         setImageLoaded(true);
         
-        const midSagittal = Math.floor(result.dimensions[0] / 2);
-        const midCoronal = Math.floor(result.dimensions[1] / 2);
-        const midAxial = Math.floor(result.dimensions[2] / 2);
+        // La ventana inicial cubre todo el volumen para que el contraste
+        // sea el mismo en todos los cortes
+        const initialPreset = WINDOW_PRESETS.find(p => p.id === 'completo');
+        const initialWindow = windowFromPreset(initialPreset, result.intensity_range);
+        setWindowPreset(initialPreset.id);
+        setWindowLevel(initialWindow);
         
-        await Promise.all([
-          loadSlice('sagittal', midSagittal),
-          loadSlice('coronal', midCoronal),
-          loadSlice('axial', midAxial)
-        ]);
+        setSlices({
+          sagittal: { num: Math.max(Math.floor(result.dimensions[0] / 2), 1) },
+          coronal: { num: Math.max(Math.floor(result.dimensions[1] / 2), 1) },
+          axial: { num: Math.max(Math.floor(result.dimensions[2] / 2), 1) }
+        });
+
+        // A partir de aquí cortes, ventana y cursor se resuelven en el navegador
+        const volume = await fetchVolume(fileNode.serverName);
+        if (requestId === volumeRequestRef.current) {
+          setVolumeData(volume);
+        }
       }
     } catch (error) {
       console.error('Error cargando imagen:', error);
@@ -712,18 +1200,38 @@ console.log('🔌 Backend Julia:', JULIA_API);
     });
   };
 
-  const saveImage = async (orientation, sliceNum, imageData) => {
-    if (!imageData || !selectedFile) {
+  // Guarda el corte tal como se ve: imagen base y máscara con su opacidad
+  const saveImage = async (orientation, sliceNum) => {
+    const baseCanvas = baseCanvasRef.current[orientation];
+    if (!baseCanvas || !volumeData || !selectedFile) {
       alert('No hay imagen para guardar');
       return;
     }
 
+    const output = document.createElement('canvas');
+    output.width = baseCanvas.width;
+    output.height = baseCanvas.height;
+    const ctx = output.getContext('2d');
+    ctx.drawImage(baseCanvas, 0, 0);
+    if (overlayVolume && overlayCanvasRef.current[orientation]) {
+      ctx.globalAlpha = overlayOpacity;
+      ctx.drawImage(overlayCanvasRef.current[orientation], 0, 0);
+    }
+    const imageData = output.toDataURL('image/png');
+
+    const { modo, grosor } = projections[orientation];
+    const sufijo = modo === 'ninguna'
+      ? `corte${sliceNum}`
+      : grosor > 0 ? `${modo}_slab${grosor}_corte${sliceNum}` : modo;
+    const sufijoColor = colormap === 'gris' ? '' : `_${colormap}`;
+    const sufijoVolumen = seriesInfo ? `_vol${timepoint}` : '';
+
     try {
       const response = await fetch(`${JULIA_API}/api/guardar-imagen`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          nombre_archivo: `${selectedFile.name.split('.')[0]}_${orientation}_corte${sliceNum}.png`,
+          nombre_archivo: `${selectedFile.name.split('.')[0]}_${orientation}${sufijoVolumen}_${sufijo}${sufijoColor}.png`,
           imagen_base64: imageData.split(',')[1]
         })
       });
@@ -741,153 +1249,1171 @@ console.log('🔌 Backend Julia:', JULIA_API);
     }
   };
 
-  const loadSlice = async (orientation, sliceNum) => {
-    if (!selectedFile) return;
+  // ============================================================================
+  // VOLUMEN EN EL CLIENTE
+  // ============================================================================
 
+  // Descarga el volumen completo en binario (una sola transferencia por archivo).
+  // En series 4D se pide un volumen cada vez
+  const fetchVolume = async (filename, volumen = 1) => {
     try {
-      const response = await fetch(`${JULIA_API}/api/get-slice`, {
+      const response = await fetch(`${JULIA_API}/api/get-volume`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filename, volumen })
+      });
+
+      const volume = await readBinaryResponse(response);
+      return {
+        ...volume,
+        spacing: response.headers.get('X-Spacing').split(',').map(Number)
+      };
+    } catch (error) {
+      console.error('Error descargando volumen:', error);
+      alert(`❌ Error cargando volumen: ${error.message}`);
+      return null;
+    }
+  };
+
+  // ============================================================================
+  // SERIES 4D
+  // ============================================================================
+
+  // Cambia el volumen mostrado; el anterior sigue en pantalla hasta que llega el nuevo
+  const goToTimepoint = async (num) => {
+    if (!seriesInfo || !selectedFile || Number.isNaN(num)) return;
+    const volumen = Math.min(Math.max(num, 1), seriesInfo.volumenes);
+    if (volumen === timepoint) return;
+
+    setTimepoint(volumen);
+    const requestId = ++volumeRequestRef.current;
+    const volume = await fetchVolume(selectedFile.serverName, volumen);
+    if (volume && requestId === volumeRequestRef.current) {
+      setVolumeData(volume);
+    }
+  };
+
+  // Curva temporal de un voxel (el navegador solo tiene el volumen actual)
+  const loadTimeCourse = async (voxel) => {
+    try {
+      const response = await fetch(`${JULIA_API}/api/get-voxel`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          filename: selectedFile.name,
-          orientation: orientation,
-          slice: sliceNum
+          filename: selectedFile.serverName,
+          x: voxel[0],
+          y: voxel[1],
+          z: voxel[2],
+          volumen: timepoint
         })
       });
 
       const result = await response.json();
-      
-      if (result.success) {
-        setSlices(prev => ({
-          ...prev,
-          [orientation]: {
-            num: sliceNum,
-            image: result.image
-          }
-        }));
+      if (result.success && result.serie_temporal) {
+        setTimeCourse({ voxel, valores: result.serie_temporal });
       }
     } catch (error) {
-      console.error('Error cargando corte:', error);
+      console.error('Error cargando curva temporal:', error);
     }
   };
 
-  const handleBack = () => {
-    setCurrentView('home');
-    setProjectStructure(null);
-    setSelectedFile(null);
-    setImageLoaded(false);
-    setProjectPath('');
-    setSelectedFiles([]);
-    setSelectedFolders([]);
-  };
+  const goToSlice = (orientation, sliceNum) => {
+    if (!selectedFile || Number.isNaN(sliceNum)) return;
 
-  const testJuliaConnection = async () => {
-    await checkJuliaConnection();
+    const maxSlices = imageDimensions?.[ORIENTATIONS[orientation].eje] || 1;
+    const num = Math.min(Math.max(sliceNum, 1), maxSlices);
+
+    setSlices(prev => ({
+      ...prev,
+      [orientation]: { num }
+    }));
+
+    if (compareMode && compareLinked && compareFile) {
+      const eje = ORIENTATIONS[orientation].eje;
+      setCompareSlices(prev => ({
+        ...prev,
+        [orientation]: mapSliceNum(num, maxSlices, compareFile.dimensions[eje])
+      }));
+    }
   };
 
-  const handleTabChange = (tab) => {
-    setActiveTab(tab);
-    setSelectedFiles([]);
-    setSelectedFolders([]);
-    if (tab === 'radiomics') {
-      setMultipleFilesMode(true);
+  // ============================================================================
+  // PROYECCIONES (MIP / MinIP / MEDIA)
+  // ============================================================================
+
+  // Identifica la proyección que debe mostrar una vista (null = corte normal).
+  // Sobre todo el eje la proyección no depende del corte actual
+  const projectionKey = useCallback((orientation) => {
+    const { modo, grosor } = projections[orientation];
+    if (modo === 'ninguna' || !selectedFile) return null;
+    return `${selectedFile.serverName}|${timepoint}|${modo}|${grosor}|${grosor > 0 ? slices[orientation].num : ''}`;
+  }, [projections, selectedFile, timepoint, slices]);
+
+  const loadProjection = useCallback(async (orientation, key) => {
+    const { modo, grosor } = projections[orientation];
+    projectionRequestRef.current[orientation] = key;
+
+    try {
+      const response = await fetch(`${JULIA_API}/api/get-slice`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filename: selectedFile.serverName,
+          orientation: orientation,
+          slice: slices[orientation].num,
+          proyeccion: modo,
+          grosor: grosor,
+          volumen: timepoint,
+          formato: 'binario'
+        })
+      });
+
+      const { data, dims: [width, height] } = await readBinaryResponse(response);
+      if (projectionRequestRef.current[orientation] !== key) return;
+
+      setProjectionSlices(prev => ({
+        ...prev,
+        [orientation]: { key, width, height, values: data }
+      }));
+    } catch (error) {
+      console.error('Error cargando proyección:', error);
     }
-    if (tab === 'statistics') {
-      // En estadísticas, pre-seleccionar carpetas de primer nivel si existen
-      if (projectStructure && projectStructure.children) {
-        const firstLevelFolders = projectStructure.children.filter(child => child.type === 'folder');
-        setSelectedFolders(firstLevelFolders);
+  }, [JULIA_API, projections, selectedFile, slices, timepoint]);
+
+  const updateProjection = (orientation, changes) => {
+    setProjections(prev => ({
+      ...prev,
+      [orientation]: { ...prev[orientation], ...changes }
+    }));
+  };
+
+  // Pide las proyecciones cuya clave cambió
+  useEffect(() => {
+    if (!volumeData) return;
+    Object.keys(ORIENTATIONS).forEach(orientation => {
+      const key = projectionKey(orientation);
+      if (key && key !== projectionRequestRef.current[orientation]) {
+        loadProjection(orientation, key);
       }
+    });
+  }, [volumeData, projectionKey, loadProjection]);
+
+  // Datos que muestra una vista: el corte del volumen o su proyección.
+  // En modo proyección es null hasta que llega la del backend
+  const displayedSliceData = useCallback((orientation) => {
+    const key = projectionKey(orientation);
+    if (key) {
+      const projection = projectionSlices[orientation];
+      return projection?.key === key ? projection : null;
     }
-  };
+    return extractSliceData(volumeData, orientation, slices[orientation].num);
+  }, [projectionKey, projectionSlices, volumeData, slices]);
 
-  const handleStartStatistics = async () => {
-  // Validación inicial: debe haber archivos seleccionados
-  if (selectedFiles.length === 0) {
-    alert('⚠️  Debes seleccionar archivos de al menos 2 grupos diferentes');
-    return;
-  }
+  const drawSlice = useCallback((orientation) => {
+    const canvas = baseCanvasRef.current[orientation];
+    if (!canvas || !volumeData || !windowLevel) return;
 
-  setStatisticsRunning(true);
-  setStatisticsResults(null);
+    const sliceData = displayedSliceData(orientation);
+    if (!sliceData) return;
+    paintWindowedSlice(canvas, sliceData, windowLevel, colormapLut);
 
-  try {
-    // NUEVA LÓGICA: Extraer grupos DIRECTAMENTE de los paths de selectedFiles
-    const grupos = {};
-    
-    // Contadores para validación
-    let archivosIgnorados = 0;
-    let archivosIncorrectos = 0;
-    
-    for (const file of selectedFiles) {
-      // Normalizar separadores (Windows usa \ y web usa /)
-      const normalizedPath = file.path.replace(/\\/g, '/');
-      const pathParts = normalizedPath.split('/');
-      
-      // DEBUG: Mostrar estructura de path
-      console.log(`🔍 Analizando: ${file.name}`);
-      console.log(`   Path: ${normalizedPath}`);
-      console.log(`   Niveles: ${pathParts.length}`);
-      
-      // VALIDACIÓN: Estructura debe ser Grupo/archivo (2 niveles)
-      if (pathParts.length < 2) {
-        // Estructura incorrecta: archivo en raíz sin grupo
-        console.warn(`   ⚠️ ESTRUCTURA INCORRECTA: Archivo sin carpeta de grupo`);
-        archivosIncorrectos++;
-        continue; // Saltar este archivo
-      }
-      
-      if (pathParts.length > 2) {
-        // Estructura con subcarpetas adicionales (más de 2 niveles)
-        console.warn(`   ⚠️ IGNORADO: Archivo anidado en subcarpetas (${pathParts.length} niveles)`);
-        console.warn(`   → Se esperaba: Grupo/archivo`);
-        console.warn(`   → Se recibió: ${pathParts.join('/')}`);
-        archivosIgnorados++;
-        continue; // Saltar este archivo
-      }
-      
-      // ESTRUCTURA CORRECTA: Exactamente 2 niveles
-      // pathParts = ["Grupo", "archivo.nii.gz"]
-      // Tomar penúltimo elemento (índice length-2) = primer elemento (índice 0)
-      const nombreGrupo = pathParts[pathParts.length - 2];
-      
-      console.log(`   ✅ Grupo asignado: "${nombreGrupo}"`);
-      
-      // Inicializar array si no existe
-      if (!grupos[nombreGrupo]) {
-        grupos[nombreGrupo] = [];
-      }
-      
-      // Agregar el archivo al grupo
-      grupos[nombreGrupo].push(file.name);
+    const roi = selectedFile ? roiMasksRef.current[selectedFile.serverName] : null;
+    const roiCanvas = roiCanvasRef.current[orientation];
+    if (roi && roiCanvas) {
+      paintLabelSlice(roiCanvas, extractSliceData(roi, orientation, slices[orientation].num), ROI_COLORS);
     }
-    
-    // Advertencias al usuario si hubo problemas
-    if (archivosIncorrectos > 0) {
-      console.warn(`\n⚠️ ${archivosIncorrectos} archivo(s) con estructura incorrecta (menos de 3 niveles)`);
-      alert(`⚠️ Advertencia:\n\n${archivosIncorrectos} archivo(s) no siguen la estructura correcta.\n\nEstructura esperada:\n  Proyecto/Grupo/archivo.nii.gz\n\nEstos archivos fueron ignorados. Revisa la consola (F12) para detalles.`);
+
+    const overlayCanvas = overlayCanvasRef.current[orientation];
+    if (!overlayCanvas || !overlayVolume || !overlayInfo) return;
+
+    paintLabelSlice(overlayCanvas, extractSliceData(overlayVolume, orientation, slices[orientation].num),
+      labelColors(overlayInfo.etiquetas, overlayHiddenLabels));
+  }, [volumeData, windowLevel, colormapLut, displayedSliceData, selectedFile, slices,
+    overlayVolume, overlayInfo, overlayHiddenLabels]);
+
+  // Redibujar los tres cortes. La ROI se edita en sitio (roiVersion, roiStatus) y los
+  // lienzos se vuelven a montar al volver a la pestaña o al cambiar la comparación
+  useEffect(() => {
+    Object.keys(ORIENTATIONS).forEach(drawSlice);
+  }, [drawSlice, roiVersion, roiStatus, activeTab, compareMode, compareOrientation]);
+
+  // ============================================================================
+  // REPRODUCCIÓN CINE Y EXPORTACIÓN ANIMADA
+  // ============================================================================
+
+  const toggleCine = (orientation) => {
+    setCinePlaying(prev => ({ ...prev, [orientation]: !prev[orientation] }));
+  };
+
+  // Avanza un corte; en rebote cambia de sentido en los extremos
+  cineTickRef.current = (orientation) => {
+    const maxSlices = imageDimensions?.[ORIENTATIONS[orientation].eje] || 1;
+    const num = slices[orientation].num;
+    let direction = cineDirectionRef.current[orientation] || 1;
+    let next = num + direction;
+
+    if (next < 1 || next > maxSlices) {
+      if (cineMode === 'rebote') {
+        direction = -direction;
+        next = num + direction;
+      } else {
+        next = direction > 0 ? 1 : maxSlices;
+      }
     }
-    
-    if (archivosIgnorados > 0) {
-      console.warn(`\n⚠️ ${archivosIgnorados} archivo(s) ignorados (más de 3 niveles - subcarpetas)`);
-      alert(`⚠️ ${archivosIgnorados} archivo(s) fueron ignorados.\n\nMotivo: Están dentro de subcarpetas adicionales.\n\nEstructura esperada:\n  Proyecto/Grupo/archivo.nii.gz\n\nNo use:\n  Proyecto/Grupo/Subcarpeta/archivo.nii.gz`);
+
+    cineDirectionRef.current[orientation] = direction;
+    goToSlice(orientation, next);
+  };
+
+  useEffect(() => {
+    const playing = Object.keys(cinePlaying).filter(orientation => cinePlaying[orientation]);
+    if (playing.length === 0) return;
+    const timer = setInterval(() => {
+      playing.forEach(orientation => cineTickRef.current?.(orientation));
+    }, 1000 / cineFps);
+    return () => clearInterval(timer);
+  }, [cinePlaying, cineFps]);
+
+  // Cortes de la animación exportada: toda la pila, ida y vuelta en rebote
+  const cineFrameOrder = (maxSlices) => {
+    const forward = Array.from({ length: maxSlices }, (_, i) => i + 1);
+    return cineMode === 'rebote' ? [...forward, ...forward.slice(1, -1).reverse()] : forward;
+  };
+
+  // Cuadro de un corte tal como se ve en el visor: imagen base y máscara
+  const renderSliceFrame = (orientation, num) => {
+    const canvas = document.createElement('canvas');
+    paintWindowedSlice(canvas, extractSliceData(volumeData, orientation, num), windowLevel, colormapLut);
+
+    if (overlayVolume && overlayInfo) {
+      const overlay = document.createElement('canvas');
+      paintLabelSlice(overlay, extractSliceData(overlayVolume, orientation, num), overlayColors());
+      const ctx = canvas.getContext('2d');
+      ctx.globalAlpha = overlayOpacity;
+      ctx.drawImage(overlay, 0, 0);
     }
+    return canvas;
+  };
 
-    // Validar que tengamos al menos 2 grupos
-    const numGrupos = Object.keys(grupos).length;
-    
-    if (numGrupos < 2) {
-      alert(`⚠️  Solo se detectó ${numGrupos} grupo.\n\nPara análisis estadístico necesitas seleccionar archivos de al menos 2 carpetas diferentes.\n\nGrupo encontrado: ${Object.keys(grupos)[0]}`);
-      setStatisticsRunning(false);
+  // MediaRecorder graba en tiempo real: los cuadros se dibujan al fps elegido
+  const recordWebm = (orientation, order) => new Promise((resolve, reject) => {
+    if (typeof MediaRecorder === 'undefined') {
+      reject(new Error('El navegador no permite grabar vídeo'));
       return;
     }
 
-    // Debug: Mostrar estructura de grupos en consola
-    console.log('📊 Grupos detectados:', grupos);
-    console.log(`   Total de grupos: ${numGrupos}`);
-    for (const [nombre, archivos] of Object.entries(grupos)) {
-      console.log(`   - ${nombre}: ${archivos.length} archivos`);
-    }
+    const first = renderSliceFrame(orientation, order[0]);
+    const canvas = document.createElement('canvas');
+    canvas.width = first.width;
+    canvas.height = first.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(first, 0, 0);
+
+    const mimeType = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+      .find(type => MediaRecorder.isTypeSupported(type));
+    const recorder = new MediaRecorder(canvas.captureStream(cineFps), mimeType ? { mimeType } : undefined);
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.onstop = () => resolve(new Blob(chunks, { type: 'video/webm' }));
+    recorder.onerror = (event) => reject(event.error);
+    recorder.start();
+
+    let frame = 0;
+    const timer = setInterval(() => {
+      frame++;
+      if (frame >= order.length) {
+        clearInterval(timer);
+        recorder.stop();
+        return;
+      }
+      ctx.drawImage(renderSliceFrame(orientation, order[frame]), 0, 0);
+    }, 1000 / cineFps);
+  });
+
+  const exportCine = async (orientation, formato) => {
+    if (!volumeData || !windowLevel || cineExporting) return;
+
+    const order = cineFrameOrder(imageDimensions[ORIENTATIONS[orientation].eje]);
+    const nombre = `${selectedFile.name.split('.')[0]}_${orientation}_cine.${formato}`;
+    setCineExporting(orientation);
+
+    try {
+      if (formato === 'gif') {
+        const frames = [];
+        for (const num of order) {
+          const canvas = renderSliceFrame(orientation, num);
+          frames.push(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+          // Ceder el hilo de vez en cuando para que la interfaz siga respondiendo
+          if (frames.length % 10 === 0) {
+            await new Promise(resolve => setTimeout(resolve, 0));
+          }
+        }
+        downloadBlob(encodeGif(frames, frames[0].width, frames[0].height, 1000 / cineFps), nombre);
+      } else {
+        downloadBlob(await recordWebm(orientation, order), nombre);
+      }
+    } catch (error) {
+      console.error('Error exportando animación:', error);
+      alert(`❌ Error exportando animación: ${error.message}`);
+    } finally {
+      setCineExporting(null);
+    }
+  };
+
+  // ============================================================================
+  // MÁSCARA SUPERPUESTA (SEGMENTACIÓN)
+  // ============================================================================
+
+  const overlayColors = () => labelColors(overlayInfo.etiquetas, overlayHiddenLabels);
+
+  const loadOverlay = async (filename) => {
+    if (!filename) {
+      setOverlayInfo(null);
+      setOverlayVolume(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${JULIA_API}/api/load-overlay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filename: filename,
+          base_filename: selectedFile.serverName
+        })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        const volume = await fetchVolume(filename);
+        if (!volume) return;
+        setOverlayHiddenLabels([]);
+        setOverlayVolume(volume);
+        setOverlayInfo({ filename, etiquetas: result.etiquetas });
+      } else {
+        alert(`❌ Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error cargando máscara:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  const toggleOverlayLabel = (valor) => {
+    setOverlayHiddenLabels(prev => prev.includes(valor)
+      ? prev.filter(v => v !== valor)
+      : [...prev, valor].sort((a, b) => a - b));
+  };
+
+  // ============================================================================
+  // CRUZ DE NAVEGACIÓN Y CONSULTA DE VOXELS
+  // ============================================================================
+
+  // La cruz siempre marca el voxel donde se cruzan los tres cortes actuales
+  const crosshairVoxel = [slices.sagittal.num, slices.coronal.num, slices.axial.num];
+
+  // Posición del ratón en coordenadas del corte (píxeles del viewBox)
+  const eventToSlicePoint = (event) => {
+    const svg = event.currentTarget;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    return point.matrixTransform(svg.getScreenCTM().inverse());
+  };
+
+  const eventToVoxel = (orientation, event, dims = imageDimensions, sliceNum = slices[orientation].num) => {
+    if (!dims) return null;
+    const local = eventToSlicePoint(event);
+
+    const [width, height] = sliceDisplaySize(orientation, dims);
+    const col = Math.floor(local.x) + 1;
+    const row = Math.floor(local.y) + 1;
+    if (col < 1 || row < 1 || col > width || row > height) return null;
+
+    return displayToVoxel(orientation, dims, sliceNum, col, row);
+  };
+
+  const inspectVoxel = (voxel) => {
+    if (!volumeData) return;
+    setCursorInfo({
+      voxel,
+      valor: volumeData.data[voxelIndex(volumeData.dims, voxel)],
+      coordenada_mm: voxelToPhysical(imageGeometry, voxel)
+    });
+  };
+
+  // Clic izquierdo: llevar las otras dos vistas al voxel seleccionado
+  const handleSliceClick = (orientation, event) => {
+    if (measureTool !== 'navegar' || roiTool) return;
+    const voxel = eventToVoxel(orientation, event);
+    if (!voxel) return;
+
+    Object.entries(ORIENTATIONS).forEach(([other, { eje }]) => {
+      if (other !== orientation) {
+        goToSlice(other, voxel[eje]);
+      }
+    });
+    inspectVoxel(voxel);
+    if (seriesInfo) loadTimeCourse(voxel);
+  };
+
+  const handleSliceHover = (orientation, event) => {
+    if (windowDragRef.current) return;
+    const voxel = eventToVoxel(orientation, event);
+    if (!voxel) return;
+
+    inspectVoxel(voxel);
+  };
+
+  const handleSliceWheel = (orientation, event) => {
+    if (event.deltaY === 0) return;
+    goToSlice(orientation, slices[orientation].num + (event.deltaY > 0 ? 1 : -1));
+  };
+
+  // Flechas / RePág / AvPág mueven el corte de la vista activa (la última bajo el cursor)
+  sliceKeyHandlerRef.current = (event) => {
+    if (activeTab !== 'visualization' || !imageLoaded) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    if (event.key === 'Escape' && measureDraft) {
+      setMeasureDraft(null);
+      return;
+    }
+
+    if (event.key === 'Escape' && roiPolygon) {
+      setRoiPolygon(null);
+      return;
+    }
+
+    if (event.key in ZOOM_KEYS) {
+      event.preventDefault();
+      zoomView(activeView === 'comparacion' ? 'comparacion' : 'principal', ZOOM_KEYS[event.key]);
+      return;
+    }
+
+    const step = SLICE_KEY_STEPS[event.key];
+    if (!step) return;
+
+    event.preventDefault();
+    if (activeView === 'comparacion') {
+      goToCompareSlice(compareOrientation, compareSlices[compareOrientation] + step);
+    } else {
+      goToSlice(activeView, slices[activeView].num + step);
+    }
+  };
+
+  useEffect(() => {
+    const handleKeyDown = (event) => sliceKeyHandlerRef.current?.(event);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // ============================================================================
+  // MEDICIONES (REGLA, ÁNGULO, ELIPSE, ROI LIBRE)
+  // ============================================================================
+
+  const fileMeasurements = selectedFile ? measurements[selectedFile.serverName] || [] : [];
+
+  const selectMeasureTool = (toolId) => {
+    setMeasureTool(toolId);
+    setMeasureDraft(null);
+    if (toolId !== 'navegar') selectRoiTool(null);
+  };
+
+  const finishMeasurement = (orientation, tipo, puntos) => {
+    setMeasureDraft(null);
+
+    const spacing = displaySpacing(orientation, imageGeometry?.voxelSize || [1, 1, 1]);
+    const medicion = {
+      id: ++measureIdRef.current,
+      tipo,
+      orientation,
+      slice: slices[orientation].num,
+      proyeccion: projections[orientation].modo,
+      puntos,
+      ...computeMeasurement(tipo, puntos, spacing, displayedSliceData(orientation))
+    };
+
+    setMeasurements(prev => ({
+      ...prev,
+      [selectedFile.serverName]: [...(prev[selectedFile.serverName] || []), medicion]
+    }));
+  };
+
+  // Regla, elipse y ROI libre se dibujan arrastrando; el ángulo con tres clics
+  const handleMeasureMouseDown = (orientation, event) => {
+    if (measureTool === 'navegar' || event.button !== 0) return;
+    const { x, y } = eventToSlicePoint(event);
+    const point = [x, y];
+    const tool = MEASURE_TOOLS.find(t => t.id === measureTool);
+
+    if (!tool.puntos) {
+      setMeasureDraft({ tipo: tool.id, orientation, puntos: [point, point], arrastre: true });
+      return;
+    }
+
+    if (measureDraft?.orientation !== orientation) {
+      setMeasureDraft({ tipo: tool.id, orientation, puntos: [point, point] });
+      return;
+    }
+
+    // El último punto del borrador sigue al ratón: se fija y se añade uno nuevo
+    const puntos = [...measureDraft.puntos.slice(0, -1), point, point];
+    if (puntos.length > tool.puntos) {
+      finishMeasurement(orientation, tool.id, puntos.slice(0, tool.puntos));
+    } else {
+      setMeasureDraft({ ...measureDraft, puntos });
+    }
+  };
+
+  const handleMeasureMouseMove = (orientation, event) => {
+    if (measureDraft?.orientation !== orientation) return;
+    const { x, y } = eventToSlicePoint(event);
+    const { puntos } = measureDraft;
+
+    if (measureDraft.tipo === 'libre') {
+      const [lastX, lastY] = puntos[puntos.length - 1];
+      if (Math.hypot(x - lastX, y - lastY) < 0.5) return;
+      setMeasureDraft({ ...measureDraft, puntos: [...puntos, [x, y]] });
+    } else {
+      setMeasureDraft({ ...measureDraft, puntos: [...puntos.slice(0, -1), [x, y]] });
+    }
+  };
+
+  const handleMeasureMouseUp = (orientation) => {
+    if (!measureDraft?.arrastre || measureDraft.orientation !== orientation) return;
+    const { tipo, puntos } = measureDraft;
+
+    // Un clic sin arrastre no genera medición
+    const valid = tipo === 'libre'
+      ? puntos.length >= 3
+      : Math.hypot(puntos[1][0] - puntos[0][0], puntos[1][1] - puntos[0][1]) >= 1;
+    if (valid) {
+      finishMeasurement(orientation, tipo, puntos);
+    } else {
+      setMeasureDraft(null);
+    }
+  };
+
+  const deleteMeasurement = (id) => {
+    setMeasurements(prev => ({
+      ...prev,
+      [selectedFile.serverName]: (prev[selectedFile.serverName] || []).filter(m => m.id !== id)
+    }));
+  };
+
+  const clearMeasurements = () => {
+    setMeasurements(prev => ({ ...prev, [selectedFile.serverName]: [] }));
+  };
+
+  const exportMeasurementsCsv = () => {
+    if (fileMeasurements.length === 0) return;
+
+    const rows = [
+      'Archivo,ID,Herramienta,Vista,Corte,Proyeccion,Valor,Unidad,Media,Desv,Min,Max,Pixeles',
+      ...fileMeasurements.map(m => {
+        const tool = MEASURE_TOOLS.find(t => t.id === m.tipo);
+        const stats = m.estadisticas;
+        return [
+          selectedFile.name,
+          m.id,
+          tool.nombre,
+          ORIENTATIONS[m.orientation].alt,
+          m.slice,
+          m.proyeccion,
+          m.valor.toFixed(3),
+          tool.unidad,
+          stats ? stats.media.toFixed(3) : '',
+          stats ? stats.std.toFixed(3) : '',
+          stats ? stats.min : '',
+          stats ? stats.max : '',
+          stats ? stats.n : ''
+        ].join(',');
+      })
+    ];
+
+    downloadBlob(new Blob([rows.join('\n') + '\n'], { type: 'text/csv;charset=utf-8' }),
+      `${selectedFile.name.split('.')[0]}_mediciones.csv`);
+  };
+
+  // ============================================================================
+  // ROI DIBUJADA (PINCEL, BORRADOR, POLÍGONO)
+  // ============================================================================
+
+  const currentRoi = () => (selectedFile ? roiMasksRef.current[selectedFile.serverName] : null);
+  const currentRoiStatus = selectedFile ? roiStatus[selectedFile.serverName] : null;
+
+  // La máscara del archivo se crea vacía la primera vez que se dibuja
+  const ensureRoi = () => {
+    const existing = currentRoi();
+    if (existing) return existing;
+
+    const dims = [...imageDimensions];
+    const roi = { data: new Uint8Array(dims[0] * dims[1] * dims[2]), dims };
+    roiMasksRef.current[selectedFile.serverName] = roi;
+    return roi;
+  };
+
+  const updateRoiStatus = (changes) => {
+    setRoiStatus(prev => ({
+      ...prev,
+      [selectedFile.serverName]: { ...prev[selectedFile.serverName], ...changes }
+    }));
+  };
+
+  // Tras cada trazo: recuento de voxels y ROI pendiente de guardar
+  const commitRoiEdit = () => {
+    const { data } = currentRoi();
+    let voxeles = 0;
+    for (let i = 0; i < data.length; i++) {
+      if (data[i]) voxeles++;
+    }
+    updateRoiStatus({ voxeles, modificada: true });
+  };
+
+  const selectRoiTool = (toolId) => {
+    setRoiTool(toolId);
+    setRoiPolygon(null);
+    setRoiCursor(null);
+    if (toolId) {
+      setMeasureTool('navegar');
+      setMeasureDraft(null);
+    }
+  };
+
+  // Pone a `value` los voxels del corte actual dentro del círculo del pincel
+  const stampRoi = (roi, orientation, [x, y], value) => {
+    const [width, height] = sliceDisplaySize(orientation, roi.dims);
+    const sliceNum = slices[orientation].num;
+    const centerCol = Math.floor(x) + 1;
+    const centerRow = Math.floor(y) + 1;
+
+    for (let dr = -brushRadius; dr <= brushRadius; dr++) {
+      for (let dc = -brushRadius; dc <= brushRadius; dc++) {
+        const col = centerCol + dc;
+        const row = centerRow + dr;
+        if (dc * dc + dr * dr > brushRadius * brushRadius) continue;
+        if (col < 1 || row < 1 || col > width || row > height) continue;
+        roi.data[voxelIndex(roi.dims, displayToVoxel(orientation, roi.dims, sliceNum, col, row))] = value;
+      }
+    }
+  };
+
+  // Trazo continuo: se estampa a lo largo del segmento desde el punto anterior
+  const strokeRoi = (orientation, point) => {
+    const stroke = roiStrokeRef.current;
+    const roi = ensureRoi();
+    const [lastX, lastY] = stroke.last || point;
+    const steps = Math.max(Math.ceil(Math.hypot(point[0] - lastX, point[1] - lastY) * 2), 1);
+
+    for (let i = 1; i <= steps; i++) {
+      stampRoi(roi, orientation, [
+        lastX + (point[0] - lastX) * i / steps,
+        lastY + (point[1] - lastY) * i / steps
+      ], stroke.value);
+    }
+    stroke.last = point;
+    setRoiVersion(v => v + 1);
+  };
+
+  // Rellena los píxeles del corte cuyo centro cae dentro del polígono
+  const fillRoiPolygon = (orientation, puntos) => {
+    const roi = ensureRoi();
+    const [width, height] = sliceDisplaySize(orientation, roi.dims);
+    const sliceNum = slices[orientation].num;
+    const xs = puntos.map(p => p[0]);
+    const ys = puntos.map(p => p[1]);
+
+    for (let row = Math.max(Math.floor(Math.min(...ys)), 0) + 1; row <= Math.min(Math.ceil(Math.max(...ys)), height); row++) {
+      for (let col = Math.max(Math.floor(Math.min(...xs)), 0) + 1; col <= Math.min(Math.ceil(Math.max(...xs)), width); col++) {
+        if (pointInPolygon(col - 0.5, row - 0.5, puntos)) {
+          roi.data[voxelIndex(roi.dims, displayToVoxel(orientation, roi.dims, sliceNum, col, row))] = 1;
+        }
+      }
+    }
+
+    setRoiPolygon(null);
+    setRoiVersion(v => v + 1);
+    commitRoiEdit();
+  };
+
+  // Solo se dibuja sobre cortes normales: una proyección no corresponde a un único corte
+  const handleRoiMouseDown = (orientation, event) => {
+    if (!roiTool || event.button !== 0 || projections[orientation].modo !== 'ninguna') return;
+    const { x, y } = eventToSlicePoint(event);
+
+    if (roiTool === 'poligono') {
+      const puntos = roiPolygon?.orientation === orientation ? roiPolygon.puntos : [];
+      // Clic sobre el primer vértice: cerrar el polígono
+      if (puntos.length >= 3 && Math.hypot(x - puntos[0][0], y - puntos[0][1]) < 1.5) {
+        fillRoiPolygon(orientation, puntos);
+      } else {
+        setRoiPolygon({ orientation, puntos: [...puntos, [x, y]] });
+      }
+      return;
+    }
+
+    roiStrokeRef.current = { orientation, value: roiTool === 'pincel' ? 1 : 0, last: null };
+    strokeRoi(orientation, [x, y]);
+  };
+
+  const handleRoiMouseMove = (orientation, event) => {
+    if (!roiTool) return;
+    const { x, y } = eventToSlicePoint(event);
+    setRoiCursor({ orientation, x, y });
+
+    if (roiStrokeRef.current?.orientation === orientation) {
+      strokeRoi(orientation, [x, y]);
+    }
+  };
+
+  const handleRoiMouseUp = () => {
+    if (!roiStrokeRef.current) return;
+    roiStrokeRef.current = null;
+    commitRoiEdit();
+  };
+
+  const handleRoiDoubleClick = (orientation) => {
+    if (roiTool !== 'poligono' || roiPolygon?.orientation !== orientation) return;
+    if (roiPolygon.puntos.length >= 3) {
+      fillRoiPolygon(orientation, roiPolygon.puntos);
+    }
+  };
+
+  const clearRoi = () => {
+    const roi = currentRoi();
+    if (!roi) return;
+    roi.data.fill(0);
+    setRoiVersion(v => v + 1);
+    commitRoiEdit();
+  };
+
+  // Añade a la ROI las etiquetas visibles de la máscara superpuesta
+  const roiFromOverlay = () => {
+    const roi = ensureRoi();
+    const labels = overlayVolume.data;
+    const hidden = new Set(overlayHiddenLabels);
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] !== 0 && !hidden.has(labels[i])) roi.data[i] = 1;
+    }
+    setRoiVersion(v => v + 1);
+    commitRoiEdit();
+  };
+
+  // Guarda la ROI como máscara NIfTI junto a la imagen (y en la caché del servidor)
+  const saveRoi = async () => {
+    const roi = currentRoi();
+    if (!roi) return;
+
+    try {
+      const response = await fetch(`${JULIA_API}/api/guardar-roi`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filename: selectedFile.serverName,
+          nombre_archivo: selectedFile.name,
+          ruta_relativa: selectedFile.path || '',
+          mascara: bytesToBase64(roi.data)
+        })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        updateRoiStatus({ guardada: result.nombre_mascara, voxeles: result.num_voxels, modificada: false });
+        if (result.estructura) {
+          const estructura = withServerNames(result.estructura);
+          await syncServerFiles(estructura);
+          setProjectStructure(estructura);
+        }
+        alert(`✅ ROI guardada (${result.num_voxels} voxels):\n${result.ruta_completa || result.nombre_mascara}`);
+      } else {
+        alert(`❌ Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error guardando ROI:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  // ============================================================================
+  // HISTOGRAMA DE INTENSIDADES
+  // ============================================================================
+
+  useEffect(() => {
+    if (!volumeData || !intensityRange) {
+      setHistogram(null);
+      return;
+    }
+    setHistogram(computeHistogram(volumeData.data, histogramBins,
+      intensityRange.min, intensityRange.max, histogramExcludeZero));
+  }, [volumeData, intensityRange, histogramBins, histogramExcludeZero]);
+
+  // Intensidad bajo el ratón según la posición horizontal en el histograma
+  const histogramValueAt = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - rect.left) / rect.width, 0), 1);
+    return histogram.min + fraction * (histogram.max - histogram.min);
+  };
+
+  // Arrastrar sobre el histograma define el rango visible: ventana = [inicio, fin]
+  const handleHistogramMouseDown = (event) => {
+    if (event.button !== 0 || !histogram) return;
+    event.preventDefault();
+    histogramDragRef.current = histogramValueAt(event);
+  };
+
+  const handleHistogramMouseMove = (event) => {
+    if (histogramDragRef.current === null || !histogram) return;
+    const start = histogramDragRef.current;
+    const end = histogramValueAt(event);
+    updateWindowLevel({
+      center: (start + end) / 2,
+      width: Math.max(Math.abs(end - start), 1e-3)
+    });
+  };
+
+  const handleHistogramMouseUp = () => {
+    histogramDragRef.current = null;
+  };
+
+  // ============================================================================
+  // METADATOS (CABECERA NIfTI / TAGS DICOM)
+  // ============================================================================
+
+  const filteredMetadata = (() => {
+    const query = metadataQuery.trim().toLowerCase();
+    if (!query) return imageMetadata;
+    return imageMetadata.filter(m =>
+      [m.grupo, m.tag, m.campo, metadataValueText(m.valor)]
+        .some(text => text?.toLowerCase().includes(query)));
+  })();
+
+  const copyToClipboard = async (text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      console.error('Error copiando al portapapeles:', error);
+      alert('❌ No se pudo copiar al portapapeles');
+    }
+  };
+
+  // Copia las filas visibles separadas por tabuladores (se pegan bien en Excel)
+  const copyMetadata = () => {
+    const rows = filteredMetadata.map(m =>
+      [m.grupo, m.tag || '', m.campo, metadataValueText(m.valor)].join('\t'));
+    copyToClipboard(['Grupo\tTag\tCampo\tValor', ...rows].join('\n'));
+  };
+
+  // ============================================================================
+  // VENTANA / NIVEL
+  // ============================================================================
+
+  const applyWindowPreset = (presetId) => {
+    const preset = WINDOW_PRESETS.find(p => p.id === presetId);
+    if (!preset) return;
+    const newWindow = windowFromPreset(preset, intensityRange);
+    if (newWindow) {
+      setWindowPreset(presetId);
+      setWindowLevel(newWindow);
+    }
+  };
+
+  const updateWindowLevel = (changes) => {
+    setWindowPreset('manual');
+    setWindowLevel(prev => ({ ...prev, ...changes }));
+  };
+
+  // Arrastre con botón derecho: horizontal = ancho, vertical = centro
+  // En comparación sin sincronizar, el visor de comparación tiene su propia ventana
+  const handleWindowDragStart = (event, side = 'principal') => {
+    const comparing = side === 'comparacion' && !compareLinked;
+    const start = comparing ? compareWindowLevel : windowLevel;
+    if (event.button !== 2 || !start) return;
+    event.preventDefault();
+    windowDragRef.current = {
+      x: event.clientX,
+      y: event.clientY,
+      start,
+      comparing
+    };
+  };
+
+  const handleWindowDragMove = (event) => {
+    const drag = windowDragRef.current;
+    if (!drag) return;
+    const range = drag.comparing ? compareFile?.intensityRange : intensityRange;
+    const span = range ? Math.max(range.max - range.min, 1) : 1000;
+    const sensitivity = span / 500;
+    const changes = {
+      center: drag.start.center - (event.clientY - drag.y) * sensitivity,
+      width: Math.max(1, drag.start.width + (event.clientX - drag.x) * sensitivity)
+    };
+    if (drag.comparing) {
+      setCompareWindowLevel(prev => ({ ...prev, ...changes }));
+    } else {
+      updateWindowLevel(changes);
+    }
+  };
+
+  const handleWindowDragEnd = () => {
+    windowDragRef.current = null;
+  };
+
+  // ============================================================================
+  // ZOOM Y COMPARACIÓN DE DOS VOLÚMENES
+  // ============================================================================
+
+  // Con la comparación sincronizada ambos lados comparten ventana y zoom
+  const compareWindow = compareLinked ? windowLevel : compareWindowLevel;
+  const compareZoomLevel = compareLinked ? viewZoom : compareZoom;
+
+  // factor null = restablecer
+  const zoomView = (side, factor) => {
+    const setZoom = side === 'comparacion' && !compareLinked ? setCompareZoom : setViewZoom;
+    setZoom(prev => factor === null
+      ? 1
+      : Math.min(Math.max(prev * factor, ZOOM_LIMITS.min), ZOOM_LIMITS.max));
+  };
+
+  const goToCompareSlice = (orientation, sliceNum) => {
+    if (!compareFile || Number.isNaN(sliceNum)) return;
+
+    const eje = ORIENTATIONS[orientation].eje;
+    const maxSlices = compareFile.dimensions[eje];
+    const num = Math.min(Math.max(sliceNum, 1), maxSlices);
+
+    setCompareSlices(prev => ({ ...prev, [orientation]: num }));
+
+    if (compareLinked && imageDimensions) {
+      setSlices(prev => ({
+        ...prev,
+        [orientation]: { num: mapSliceNum(num, maxSlices, imageDimensions[eje]) }
+      }));
+    }
+  };
+
+  // Cortes de la comparación equivalentes a los actuales del volumen principal
+  const linkedCompareSlices = (dims) => Object.fromEntries(
+    Object.entries(ORIENTATIONS).map(([orientation, { eje }]) => [
+      orientation,
+      mapSliceNum(slices[orientation].num, imageDimensions[eje], dims[eje])
+    ])
+  );
+
+  const loadCompareFile = async (filename) => {
+    // Solo el último archivo elegido llega al visor
+    const requestId = ++compareRequestRef.current;
+    setCompareVolume(null);
+
+    if (!filename) {
+      setCompareFile(null);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${JULIA_API}/api/load-image`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ filename })
+      });
+
+      const result = await response.json();
+      if (requestId !== compareRequestRef.current) return;
+
+      if (!result.success) {
+        alert(`❌ Error: ${result.error}`);
+        return;
+      }
+
+      const dims = result.dimensions.slice(0, 3);
+      setCompareFile({ name: filename, dimensions: dims, intensityRange: result.intensity_range });
+      setCompareWindowLevel(windowFromPreset(
+        WINDOW_PRESETS.find(p => p.id === 'completo'), result.intensity_range));
+      setCompareSlices(compareLinked && imageDimensions
+        ? linkedCompareSlices(dims)
+        : Object.fromEntries(Object.entries(ORIENTATIONS).map(([orientation, { eje }]) => [
+          orientation, Math.max(Math.floor(dims[eje] / 2), 1)
+        ])));
+
+      const volume = await fetchVolume(filename);
+      if (volume && requestId === compareRequestRef.current) {
+        setCompareVolume(volume);
+      }
+    } catch (error) {
+      console.error('Error cargando imagen de comparación:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  const toggleCompareLinked = (linked) => {
+    setCompareLinked(linked);
+    if (linked) {
+      if (compareFile && imageDimensions) {
+        setCompareSlices(linkedCompareSlices(compareFile.dimensions));
+      }
+    } else {
+      // Al separar, la comparación parte de la ventana y el zoom actuales
+      setCompareWindowLevel(windowLevel);
+      setCompareZoom(viewZoom);
+    }
+  };
+
+  const closeCompare = () => {
+    compareRequestRef.current++;
+    setCompareMode(false);
+    setCompareFile(null);
+    setCompareVolume(null);
+    if (activeView === 'comparacion') setActiveView(compareOrientation);
+  };
+
+  const handleCompareClick = (event) => {
+    const voxel = eventToVoxel(compareOrientation, event,
+      compareFile.dimensions, compareSlices[compareOrientation]);
+    if (!voxel) return;
+
+    Object.entries(ORIENTATIONS).forEach(([other, { eje }]) => {
+      if (other !== compareOrientation) {
+        goToCompareSlice(other, voxel[eje]);
+      }
+    });
+  };
+
+  useEffect(() => {
+    const canvas = compareCanvasRef.current;
+    if (!canvas || !compareVolume || !compareWindow) return;
+    paintWindowedSlice(canvas,
+      extractSliceData(compareVolume, compareOrientation, compareSlices[compareOrientation]),
+      compareWindow, colormapLut);
+  }, [compareVolume, compareOrientation, compareSlices, compareWindow, colormapLut, activeTab]);
+
+  const handleBack = () => {
+    setCurrentView('home');
+    setProjectStructure(null);
+    setSelectedFile(null);
+    setImageLoaded(false);
+    closeCompare();
+    setProjectPath('');
+    setSelectedFiles([]);
+    setSelectedFolders([]);
+    // Los resultados siguen en el historial del proyecto
+    setRadiomicsResults(null);
+    setRadiomicsRunId(null);
+    setRadiomicsRunLabels(null);
+    setRunComparison(null);
+    setRadiomicsHistory([]);
+  };
+
+  const testJuliaConnection = async () => {
+    await checkJuliaConnection();
+  };
+
+  const handleTabChange = (tab) => {
+    setActiveTab(tab);
+    setSelectedFiles([]);
+    setSelectedFolders([]);
+    if (tab === 'radiomics') {
+      setMultipleFilesMode(true);
+    }
+    if (tab === 'statistics') {
+      // En estadísticas, pre-seleccionar carpetas de primer nivel si existen
+      if (projectStructure && projectStructure.children) {
+        const firstLevelFolders = projectStructure.children.filter(child => child.type === 'folder');
+        setSelectedFolders(firstLevelFolders);
+      }
+    }
+  };
+
+  const handleStartStatistics = async () => {
+  // Validación inicial: debe haber archivos seleccionados
+  if (selectedFiles.length === 0) {
+    alert('⚠️  Debes seleccionar archivos de al menos 2 grupos diferentes');
+    return;
+  }
+
+  setStatisticsRunning(true);
+  setStatisticsResults(null);
+
+  try {
+    // NUEVA LÓGICA: Extraer grupos DIRECTAMENTE de los paths de selectedFiles
+    const grupos = {};
+    
+    // Contadores para validación
+    let archivosIgnorados = 0;
+    let archivosIncorrectos = 0;
+    
+    for (const file of selectedFiles) {
+      // Normalizar separadores (Windows usa \ y web usa /)
+      const normalizedPath = file.path.replace(/\\/g, '/');
+      const pathParts = normalizedPath.split('/');
+      
+      // DEBUG: Mostrar estructura de path
+      console.log(`🔍 Analizando: ${file.name}`);
+      console.log(`   Path: ${normalizedPath}`);
+      console.log(`   Niveles: ${pathParts.length}`);
+      
+      // VALIDACIÓN: Estructura debe ser Grupo/archivo (2 niveles)
+      if (pathParts.length < 2) {
+        // Estructura incorrecta: archivo en raíz sin grupo
+        console.warn(`   ⚠️ ESTRUCTURA INCORRECTA: Archivo sin carpeta de grupo`);
+        archivosIncorrectos++;
+        continue; // Saltar este archivo
+      }
+      
+      if (pathParts.length > 2) {
+        // Estructura con subcarpetas adicionales (más de 2 niveles)
+        console.warn(`   ⚠️ IGNORADO: Archivo anidado en subcarpetas (${pathParts.length} niveles)`);
+        console.warn(`   → Se esperaba: Grupo/archivo`);
+        console.warn(`   → Se recibió: ${pathParts.join('/')}`);
+        archivosIgnorados++;
+        continue; // Saltar este archivo
+      }
+      
+      // ESTRUCTURA CORRECTA: Exactamente 2 niveles
+      // pathParts = ["Grupo", "archivo.nii.gz"]
+      // Tomar penúltimo elemento (índice length-2) = primer elemento (índice 0)
+      const nombreGrupo = pathParts[pathParts.length - 2];
+      
+      console.log(`   ✅ Grupo asignado: "${nombreGrupo}"`);
+      
+      // Inicializar array si no existe
+      if (!grupos[nombreGrupo]) {
+        grupos[nombreGrupo] = [];
+      }
+      
+      // Agregar el archivo al grupo
+      grupos[nombreGrupo].push(file.serverName);
+    }
+    
+    // Advertencias al usuario si hubo problemas
+    if (archivosIncorrectos > 0) {
+      console.warn(`\n⚠️ ${archivosIncorrectos} archivo(s) con estructura incorrecta (menos de 3 niveles)`);
+      alert(`⚠️ Advertencia:\n\n${archivosIncorrectos} archivo(s) no siguen la estructura correcta.\n\nEstructura esperada:\n  Proyecto/Grupo/archivo.nii.gz\n\nEstos archivos fueron ignorados. Revisa la consola (F12) para detalles.`);
+    }
+    
+    if (archivosIgnorados > 0) {
+      console.warn(`\n⚠️ ${archivosIgnorados} archivo(s) ignorados (más de 3 niveles - subcarpetas)`);
+      alert(`⚠️ ${archivosIgnorados} archivo(s) fueron ignorados.\n\nMotivo: Están dentro de subcarpetas adicionales.\n\nEstructura esperada:\n  Proyecto/Grupo/archivo.nii.gz\n\nNo use:\n  Proyecto/Grupo/Subcarpeta/archivo.nii.gz`);
+    }
+
+    // Validar que tengamos al menos 2 grupos
+    const numGrupos = Object.keys(grupos).length;
+    
+    if (numGrupos < 2) {
+      alert(`⚠️  Solo se detectó ${numGrupos} grupo.\n\nPara análisis estadístico necesitas seleccionar archivos de al menos 2 carpetas diferentes.\n\nGrupo encontrado: ${Object.keys(grupos)[0]}`);
+      setStatisticsRunning(false);
+      return;
+    }
+
+    // Debug: Mostrar estructura de grupos en consola
+    console.log('📊 Grupos detectados:', grupos);
+    console.log(`   Total de grupos: ${numGrupos}`);
+    for (const [nombre, archivos] of Object.entries(grupos)) {
+      console.log(`   - ${nombre}: ${archivos.length} archivos`);
+    }
 
       // Preparar pruebas seleccionadas
   
@@ -903,126 +2429,2290 @@ console.log('🔌 Backend Julia:', JULIA_API);
 	  zVariance: { minGrupos: 2, nombre: "Prueba Z de Varianzas" }
 	};
 
-	// Filtrar pruebas según requisitos
-	const pruebasSeleccionadas = Object.keys(selectedTests).filter(key => selectedTests[key]);
-	const pruebasValidas = [];
-	const pruebasRechazadas = [];
+	// Filtrar pruebas según requisitos
+	const pruebasSeleccionadas = Object.keys(selectedTests).filter(key => selectedTests[key]);
+	const pruebasValidas = [];
+	const pruebasRechazadas = [];
+
+	for (const prueba of pruebasSeleccionadas) {
+	  const req = requisitos[prueba];
+	  if (req && numGrupos < req.minGrupos) {
+	    pruebasRechazadas.push({
+	      nombre: req.nombre,
+	      requiere: req.minGrupos,
+	      actual: numGrupos
+	    });
+	  } else {
+	    pruebasValidas.push(prueba);
+	  }
+	}
+
+	// Mostrar advertencia si hay pruebas rechazadas
+	if (pruebasRechazadas.length > 0) {
+	  const mensajeRechazadas = pruebasRechazadas.map(p => 
+	    `• ${p.nombre}: requiere ${p.requiere} grupos (tienes ${p.actual})`
+	  ).join('\n');
+  
+	  alert(`⚠️ Algunas pruebas no se pueden realizar:\n\n${mensajeRechazadas}\n\nLas demás pruebas se ejecutarán normalmente.`);
+	  
+	  console.warn('⚠️ Pruebas rechazadas por falta de grupos:');
+	  pruebasRechazadas.forEach(p => {
+	    console.warn(`   • ${p.nombre}: necesita ${p.requiere} grupos, tiene ${p.actual}`);
+  	  });
+	}
+
+	// Si no hay pruebas válidas, cancelar
+	if (pruebasValidas.length === 0) {
+  	  alert('❌ Ninguna de las pruebas seleccionadas puede realizarse con el número actual de grupos.');
+  	  setStatisticsRunning(false);
+  	  return;
+	}
+
+	console.log(`✅ Pruebas que se ejecutarán: ${pruebasValidas.length}`);
+	console.log(`   ${pruebasValidas.map(p => requisitos[p]?.nombre || p).join(', ')}`);
+
+	// Siempre incluir normalityTest (obligatorio)
+	const pruebasFinales = ['normalityTest', ...pruebasValidas];
+
+      const response = await fetch(`${JULIA_API}/api/analisis-estadistico`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          grupos: grupos,
+          pruebas: pruebasFinales,
+          comparar_por_archivos: compareByFiles,
+          volumen: analysisVolume,
+          tipo_datos: selectedFiles.some(f => f.name.match(/\.(xlsx|xls)$/i)) ? 'excel' : 'imagenes'
+        })
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        setStatisticsJob(null);
+        watchJob('estadistica', result.trabajo_id);
+      } else {
+        alert(`❌ Error: ${result.error}`);
+        setStatisticsRunning(false);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error de conexión con el servidor');
+      setStatisticsRunning(false);
+    }
+  };
+
+  const toggleTest = (testKey) => {
+    setSelectedTests(prev => ({
+      ...prev,
+      [testKey]: !prev[testKey]
+    }));
+  };
+
+  // Los nombres de etiqueta se aplican también a resultados ya calculados, salvo a los
+  // reabiertos del historial, que usan los suyos
+  const radiomicsRows = useMemo(() => (radiomicsResults
+    ? expandRadiomicsResults(radiomicsResults, radiomicsRunLabels || labelNames)
+    : []), [radiomicsResults, radiomicsRunLabels, labelNames]);
+
+  // La matriz, sus z-scores y el agrupamiento (O(n³)) se recalculan solo cuando cambian
+  // los resultados, el filtro o la opción de agrupar, no en cada render del componente
+  const featureMatrix = useMemo(() => {
+    if (resultsView !== 'matriz') return null;
+    const rows = radiomicsRows.filter(row => row.success);
+    const { columns, values } = buildFeatureMatrix(rows);
+    return { rows, columns, values, zScores: zScoreColumns(values) };
+  }, [radiomicsRows, resultsView]);
+
+  const matrixColumns = useMemo(() => {
+    if (!featureMatrix) return [];
+    const { columns } = featureMatrix;
+    const filtro = matrixOptions.filtro.trim().toLowerCase();
+    return columns
+      .map((column, j) => j)
+      .filter(j => matrixOptions.clase === 'todas' || columns[j].categoria === matrixOptions.clase)
+      .filter(j => !filtro || columns[j].nombre.toLowerCase().includes(filtro));
+  }, [featureMatrix, matrixOptions.clase, matrixOptions.filtro]);
+
+  const matrixClusters = useMemo(() => {
+    if (!featureMatrix || !matrixOptions.agrupar || matrixColumns.length === 0) return null;
+    const { rows, zScores } = featureMatrix;
+    const rowVectors = rows.map((row, i) => matrixColumns.map(j => zScores[i][j]));
+    const rowOrder = hierarchicalOrder(rowVectors);
+    const colVectors = matrixColumns.map(j => rowOrder.map(i => zScores[i][j]));
+    return { rowOrder, colOrder: hierarchicalOrder(colVectors).map(k => matrixColumns[k]) };
+  }, [featureMatrix, matrixColumns, matrixOptions.agrupar]);
+  const hasLabelRows = radiomicsRows.some(row => row.etiqueta);
+
+  const handleStartRadiomics = async () => {
+    const filesToAnalyze = multipleFilesMode 
+      ? selectedFiles.length > 0 
+        ? selectedFiles 
+        : extractAllCompatibleFiles(projectStructure || {})
+      : selectedFile 
+        ? [selectedFile] 
+        : [];
+
+    // Las máscaras no se analizan como imágenes
+    const images = maskPairing
+      ? filesToAnalyze.filter(f => !maskPairing.masks.has(f.path))
+      : filesToAnalyze;
+
+    if (images.length === 0) {
+      alert('No hay archivos seleccionados');
+      return;
+    }
+
+    const unpaired = images.filter(f => !pairedMaskName(f));
+    if (unpaired.length > 0 && !window.confirm(
+      `⚠️ ${unpaired.length} imagen(es) sin máscara emparejada se analizarán con los voxels > 0:\n` +
+      `${unpaired.slice(0, 10).map(f => f.name).join('\n')}${unpaired.length > 10 ? '\n...' : ''}\n\n¿Continuar?`
+    )) {
+      return;
+    }
+
+    setRadiomicsRunning(true);
+    setRadiomicsResults(null);
+    setRadiomicsRunId(null);
+    setRadiomicsRunLabels(null);
+    setRunComparison(null);
+    setRadiomicsJob(null);
+
+    try {
+      const response = await fetch(`${JULIA_API}/api/analisis-radiomico`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          archivos: images.map(f => f.serverName),
+          modo_paralelo: parallelMode,
+          volumen: analysisVolume,
+          // Imágenes sin máscara: el backend usa los voxels > 0
+          mascaras: Object.fromEntries(images
+            .filter(f => pairedMaskServerName(f))
+            .map(f => [f.serverName, pairedMaskServerName(f)])),
+          etiquetas: labelNames,
+          parametros: extractionParams,
+          proyecto: historyProject
+        })
+      });
+
+      const result = await response.json();
+      
+      if (result.success) {
+        watchJob('radiomica', result.trabajo_id);
+      } else {
+        alert(`❌ Error: ${result.error}`);
+        setRadiomicsRunning(false);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error de conexión');
+      setRadiomicsRunning(false);
+    }
+  };
+
+  // ============================================================================
+  // TRABAJOS EN SEGUNDO PLANO (progreso, cancelación, reanudación)
+  // ============================================================================
+
+  const jobSetters = { radiomica: setRadiomicsJob, estadistica: setStatisticsJob };
+
+  const finishRadiomicsJob = (job) => {
+    setRadiomicsRunning(false);
+    if (job.resultado?.resultados) {
+      setRadiomicsResults(job.resultado.resultados);
+      setRadiomicsRunId(job.id);
+      setRadiomicsRunLabels(null);
+      setResultDownloads(prev => ({ ...prev, radiomica: { id: job.id, formatos: job.resultado.exportaciones || [] } }));
+      loadRadiomicsHistory();
+    }
+    if (job.estado === 'completado') {
+      alert(`✅ Análisis completado en ${formatDuration(job.transcurrido)}\n` +
+        `${job.resultado.archivos_exitosos} de ${job.archivos.length} archivo(s) procesado(s)` +
+        (job.resultado.archivos_en_cache ? `, ${job.resultado.archivos_en_cache} desde la caché` : ''));
+    } else if (job.estado === 'cancelado') {
+      alert(`⏹️ Análisis cancelado\n${job.resultado?.archivos_procesados || 0} de ${job.archivos.length} archivo(s) terminados.\n` +
+        'Puedes reanudarlo desde la lista de análisis pendientes.');
+    } else {
+      alert(`❌ Error: ${job.error}`);
+    }
+  };
+
+  const finishStatisticsJob = (job) => {
+    setStatisticsRunning(false);
+    // Si se cancela durante las pruebas, las ya terminadas vienen en el resultado
+    if (job.resultado?.resultados) {
+      setStatisticsResults(job.resultado.resultados);
+      setResultDownloads(prev => ({ ...prev, estadistica: { id: job.id, formatos: job.resultado.exportaciones || [] } }));
+    }
+    if (job.estado === 'completado') {
+      alert(`✅ Análisis estadístico completado`);
+    } else if (job.estado === 'cancelado') {
+      const done = Object.keys(job.resultado?.resultados || {}).length;
+      alert('⏹️ Análisis estadístico cancelado.\n' +
+        (done > 0 ? `${done} prueba(s) terminadas.\n` : '') +
+        'Puedes reanudarlo desde la lista de análisis pendientes.');
+    } else {
+      alert(`❌ Error: ${job.error}`);
+    }
+  };
+
+  // Consulta el trabajo hasta que termina. Cada consulta espera a la anterior
+  const watchJob = (tipo, jobId) => {
+    const poll = async () => {
+      try {
+        const response = await fetch(`${JULIA_API}/api/trabajo/${jobId}`);
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error);
+
+        const job = data.trabajo;
+        jobSetters[tipo](job);
+
+        if (ACTIVE_JOB_STATES.includes(job.estado)) {
+          progressIntervalRef.current[tipo] = setTimeout(poll, JOB_POLL_MS);
+          return;
+        }
+
+        delete progressIntervalRef.current[tipo];
+        if (tipo === 'radiomica') {
+          finishRadiomicsJob(job);
+        } else {
+          finishStatisticsJob(job);
+        }
+        loadResumableJobs();
+      } catch (error) {
+        console.error('Error:', error);
+        delete progressIntervalRef.current[tipo];
+        if (tipo === 'radiomica') {
+          setRadiomicsRunning(false);
+        } else {
+          setStatisticsRunning(false);
+        }
+        alert('❌ Se perdió el seguimiento del análisis');
+      }
+    };
+
+    progressIntervalRef.current[tipo] = setTimeout(poll, JOB_POLL_MS);
+  };
+
+  // El backend termina el paso en curso y guarda lo ya calculado
+  const cancelJob = async (job) => {
+    try {
+      const response = await fetch(`${JULIA_API}/api/cancelar-trabajo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ trabajo_id: job.id })
+      });
+      const result = await response.json();
+      if (!result.success) {
+        alert(`❌ Error: ${result.error}`);
+      }
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  const loadResumableJobs = useCallback(async () => {
+    try {
+      const response = await fetch(`${JULIA_API}/api/trabajos-reanudables`);
+      const result = await response.json();
+      if (result.success) {
+        setResumableJobs(result.trabajos);
+      }
+    } catch (error) {
+      console.error('Error cargando análisis pendientes:', error);
+    }
+  }, [JULIA_API]);
+
+  // Al entrar en radiómica o estadística se ofrecen los análisis que quedaron a medias
+  useEffect(() => {
+    if (juliaStatus === 'connected' && (activeTab === 'radiomics' || activeTab === 'statistics')) {
+      loadResumableJobs();
+    }
+  }, [activeTab, juliaStatus, loadResumableJobs]);
+
+  const loadFeatureNaming = useCallback(async () => {
+    try {
+      const response = await fetch(`${JULIA_API}/api/nomenclatura-radiomica`);
+      const result = await response.json();
+      if (result.success) {
+        setFeatureNaming(result);
+      }
+    } catch (error) {
+      console.error('Error cargando la nomenclatura radiómica:', error);
+    }
+  }, [JULIA_API]);
+
+  // La nomenclatura no cambia mientras el servidor sigue en marcha: se pide una vez
+  useEffect(() => {
+    if (juliaStatus === 'connected' && activeTab === 'radiomics' && !featureNaming) {
+      loadFeatureNaming();
+    }
+  }, [activeTab, juliaStatus, featureNaming, loadFeatureNaming]);
+
+  const resumeJob = async (job) => {
+    const running = job.tipo === 'radiomica' ? radiomicsRunning : statisticsRunning;
+    if (running) {
+      alert('⚠️ Ya hay un análisis en curso');
+      return;
+    }
+
+    try {
+      const response = await fetch(`${JULIA_API}/api/reanudar-trabajo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ trabajo_id: job.id })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        alert(`❌ Error: ${result.error}`);
+        return;
+      }
+
+      setResumableJobs(prev => prev.filter(j => j.id !== job.id));
+      if (job.tipo === 'radiomica') {
+        setRadiomicsRunning(true);
+        setRadiomicsResults(null);
+        setRadiomicsRunId(null);
+        setRadiomicsRunLabels(null);
+        setRunComparison(null);
+        setRadiomicsJob(null);
+      } else {
+        setStatisticsRunning(true);
+        setStatisticsResults(null);
+        setStatisticsJob(null);
+      }
+      watchJob(job.tipo, job.id);
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  const discardJob = async (job) => {
+    if (!window.confirm(`¿Descartar el análisis del ${new Date(job.fecha).toLocaleString()}? Se perderán sus resultados parciales.`)) {
+      return;
+    }
+
+    try {
+      await fetch(`${JULIA_API}/api/descartar-trabajo`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ trabajo_id: job.id })
+      });
+      setResumableJobs(prev => prev.filter(j => j.id !== job.id));
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  // Los archivos se generan en el servidor al terminar el análisis
+  const downloadResults = async (tipo, formato) => {
+    const { id } = resultDownloads[tipo];
+    try {
+      const response = await fetch(
+        `${JULIA_API}/api/descargar/${id}/${formato}?proyecto=${encodeURIComponent(historyProject)}`);
+      if (!response.ok) {
+        const result = await response.json();
+        alert(`❌ Error: ${result.error}`);
+        return;
+      }
+      // El nombre lo da el servidor (p. ej. <id>_pyradiomics.csv)
+      const disposition = response.headers.get('Content-Disposition') || '';
+      downloadBlob(await response.blob(), disposition.match(/filename="([^"]+)"/)?.[1] || `${id}.${formato}`);
+    } catch (error) {
+      console.error('Error:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  const updateExtractionParams = (changes) => {
+    setExtractionParams(prev => ({ ...prev, ...changes }));
+  };
+
+  const updatePreprocessing = (changes) => {
+    setExtractionParams(prev => ({ ...prev, preprocesamiento: { ...prev.preprocesamiento, ...changes } }));
+  };
+
+  const handleLogSigmasChange = (text) => {
+    setLogSigmasText(text);
+    updatePreprocessing({ log_sigmas: parseSigmaList(text) });
+  };
+
+  const resetPreprocessing = () => {
+    setLogSigmasText('');
+    updatePreprocessing(DEFAULT_PREPROCESSING);
+  };
+
+  // Siempre queda al menos una clase activada
+  const toggleFeatureClass = (id) => {
+    setExtractionParams(prev => {
+      const clases = prev.clases.includes(id)
+        ? prev.clases.filter(c => c !== id)
+        : FEATURE_CLASSES.map(c => c.id).filter(c => c === id || prev.clases.includes(c));
+      return clases.length > 0 ? { ...prev, clases } : prev;
+    });
+  };
+
+  const setLabelName = (valor, nombre) => {
+    setLabelNames(prev => ({ ...prev, [valor]: nombre }));
+  };
+
+  const removeLabelName = (valor) => {
+    setLabelNames(prev => {
+      const { [valor]: _, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const addLabelName = () => {
+    const next = Math.max(0, ...Object.keys(labelNames).map(Number)) + 1;
+    setLabelName(next, '');
+  };
+
+  const handleLabelTableFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const names = parseLabelTable(await file.text());
+    if (Object.keys(names).length === 0) {
+      alert('❌ No se encontraron etiquetas en el archivo');
+      return;
+    }
+    setLabelNames(names);
+  };
+
+  // ============================================================================
+  // HISTORIAL DE ANÁLISIS RADIÓMICOS
+  // ============================================================================
+
+  const loadRadiomicsHistory = useCallback(async () => {
+    try {
+      const response = await fetch(`${JULIA_API}/api/historial-radiomico?proyecto=${encodeURIComponent(historyProject)}`);
+      const result = await response.json();
+      if (result.success) {
+        setRadiomicsHistory(result.ejecuciones);
+      }
+    } catch (error) {
+      console.error('Error cargando el historial radiómico:', error);
+    }
+  }, [JULIA_API, historyProject]);
+
+  // El historial es del proyecto abierto: se recarga al cambiar de proyecto
+  useEffect(() => {
+    if (juliaStatus === 'connected' && activeTab === 'radiomics' && historyProject) {
+      loadRadiomicsHistory();
+    }
+  }, [activeTab, juliaStatus, historyProject, loadRadiomicsHistory]);
+
+  const historyRunUrl = (run) =>
+    `${JULIA_API}/api/historial-radiomico/${run.id}?proyecto=${encodeURIComponent(historyProject)}`;
+
+  const fetchHistoryRun = async (run) => {
+    const response = await fetch(historyRunUrl(run));
+    const result = await response.json();
+    if (!result.success) throw new Error(result.error);
+    return result.ejecucion;
+  };
+
+  const openHistoryRun = async (run) => {
+    try {
+      const ejecucion = await fetchHistoryRun(run);
+      setRadiomicsResults(ejecucion.resultado.resultados);
+      setRadiomicsRunId(run.id);
+      setRadiomicsRunLabels(ejecucion.etiquetas || {});
+      setRunComparison(null);
+      setExpandedResult(null);
+      setResultDownloads(prev => ({ ...prev, radiomica: { id: run.id, formatos: ejecucion.resultado.exportaciones || [] } }));
+    } catch (error) {
+      console.error('Error abriendo análisis:', error);
+      alert(`❌ Error abriendo el análisis: ${error.message}`);
+    }
+  };
+
+  // Compara el análisis mostrado con otro del historial
+  const compareWithRun = async (run) => {
+    try {
+      const ejecucion = await fetchHistoryRun(run);
+      const base = radiomicsHistory.find(r => r.id === radiomicsRunId);
+      setRunComparison({
+        base,
+        otro: run,
+        filas: compareRadiomicsRuns(
+          radiomicsRows,
+          expandRadiomicsResults(ejecucion.resultado.resultados, ejecucion.etiquetas || {}))
+      });
+    } catch (error) {
+      console.error('Error comparando análisis:', error);
+      alert(`❌ Error abriendo el análisis: ${error.message}`);
+    }
+  };
+
+  const deleteHistoryRun = async (run) => {
+    if (!window.confirm(`¿Borrar del historial el análisis del ${new Date(run.fecha).toLocaleString()}?`)) {
+      return;
+    }
+
+    try {
+      const response = await fetch(historyRunUrl(run), { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) {
+        alert(`❌ Error: ${result.error}`);
+        return;
+      }
+
+      setRadiomicsHistory(prev => prev.filter(r => r.id !== run.id));
+      if (runComparison && [runComparison.base?.id, runComparison.otro.id].includes(run.id)) {
+        setRunComparison(null);
+      }
+      // Los resultados mostrados siguen en pantalla aunque ya no estén guardados
+      if (radiomicsRunId === run.id) {
+        setRadiomicsRunId(null);
+      }
+    } catch (error) {
+      console.error('Error borrando análisis:', error);
+      alert('Error de conexión');
+    }
+  };
+
+  // ============================================================================
+  // VISORES DE CORTES
+  // ============================================================================
+
+  // Dibuja una medición (o el borrador en curso, sin etiqueta) sobre el SVG del corte
+  const renderMeasurementShape = (medicion, width, height) => {
+    const { tipo, puntos, valor } = medicion;
+    const fontSize = Math.max(width, height) / 30;
+    const stroke = {
+      stroke: MEASURE_COLOR,
+      strokeWidth: 1.5,
+      vectorEffect: 'non-scaling-stroke'
+    };
+    const tool = MEASURE_TOOLS.find(t => t.id === tipo);
+    const pointList = puntos.map(p => p.join(',')).join(' ');
 
-	for (const prueba of pruebasSeleccionadas) {
-	  const req = requisitos[prueba];
-	  if (req && numGrupos < req.minGrupos) {
-	    pruebasRechazadas.push({
-	      nombre: req.nombre,
-	      requiere: req.minGrupos,
-	      actual: numGrupos
-	    });
-	  } else {
-	    pruebasValidas.push(prueba);
-	  }
-	}
+    let shape;
+    let anchor = puntos[puntos.length - 1];
+    if (tipo === 'regla' || tipo === 'angulo') {
+      shape = <polyline points={pointList} fill="none" {...stroke} />;
+      if (tipo === 'angulo') anchor = puntos[1];
+    } else if (tipo === 'elipse') {
+      const { cx, cy, rx, ry } = ellipseFromCorners(puntos[0], puntos[1]);
+      shape = <ellipse cx={cx} cy={cy} rx={rx} ry={ry} fill={MEASURE_COLOR} fillOpacity="0.15" {...stroke} />;
+      anchor = [cx + rx, cy - ry];
+    } else {
+      shape = <polygon points={pointList} fill={MEASURE_COLOR} fillOpacity="0.15" {...stroke} />;
+    }
 
-	// Mostrar advertencia si hay pruebas rechazadas
-	if (pruebasRechazadas.length > 0) {
-	  const mensajeRechazadas = pruebasRechazadas.map(p => 
-	    `• ${p.nombre}: requiere ${p.requiere} grupos (tienes ${p.actual})`
-	  ).join('\n');
-  
-	  alert(`⚠️ Algunas pruebas no se pueden realizar:\n\n${mensajeRechazadas}\n\nLas demás pruebas se ejecutarán normalmente.`);
-	  
-	  console.warn('⚠️ Pruebas rechazadas por falta de grupos:');
-	  pruebasRechazadas.forEach(p => {
-	    console.warn(`   • ${p.nombre}: necesita ${p.requiere} grupos, tiene ${p.actual}`);
-  	  });
-	}
+    return (
+      <g key={medicion.id ?? 'borrador'} pointerEvents="none">
+        {shape}
+        {valor !== undefined && (
+          <text
+            x={anchor[0] + fontSize / 3}
+            y={anchor[1] - fontSize / 3}
+            fontSize={fontSize}
+            fill={MEASURE_COLOR}
+            stroke="black"
+            strokeWidth={fontSize / 8}
+            paintOrder="stroke">
+            {formatNumber(valor, 1)} {tool.unidad}
+          </text>
+        )}
+      </g>
+    );
+  };
 
-	// Si no hay pruebas válidas, cancelar
-	if (pruebasValidas.length === 0) {
-  	  alert('❌ Ninguna de las pruebas seleccionadas puede realizarse con el número actual de grupos.');
-  	  setStatisticsRunning(false);
-  	  return;
-	}
+  const renderZoomControls = (side, zoom) => (
+    <div className="ml-auto flex items-center gap-1" title="Zoom (teclas + / - / 0)">
+      <button
+        onClick={() => zoomView(side, 1 / ZOOM_LIMITS.step)}
+        className="w-5 h-5 leading-none border border-gray-300 rounded hover:bg-gray-100">
+        −
+      </button>
+      <button
+        onClick={() => zoomView(side, null)}
+        className="w-12 px-1 py-0.5 border border-gray-300 rounded hover:bg-gray-100">
+        {Math.round(zoom * 100)}%
+      </button>
+      <button
+        onClick={() => zoomView(side, ZOOM_LIMITS.step)}
+        className="w-5 h-5 leading-none border border-gray-300 rounded hover:bg-gray-100">
+        +
+      </button>
+    </div>
+  );
+
+  // Barra de color con las intensidades reales de los extremos de la ventana
+  const renderColorBar = (viewWindow) => {
+    if (!showColorBar || !viewWindow) return null;
+    const cmap = COLORMAPS.find(c => c.id === colormap);
+    return (
+      <div className="absolute right-1 top-2 bottom-2 flex flex-col items-end pointer-events-none text-[10px] text-white">
+        <span className="mb-0.5">{formatNumber(viewWindow.center + viewWindow.width / 2)}</span>
+        <div
+          className="flex-1 w-3 border border-gray-500 rounded-sm"
+          style={{ background: colormapGradient(cmap) }}
+        />
+        <span className="mt-0.5">{formatNumber(viewWindow.center - viewWindow.width / 2)}</span>
+      </div>
+    );
+  };
+
+  const renderSliceView = (orientation) => {
+    const { titulo, alt, eje } = ORIENTATIONS[orientation];
+    const maxSlices = imageDimensions?.[eje] || 1;
+    const slice = slices[orientation];
+    const projection = projections[orientation];
+    const [width, height] = sliceDisplaySize(orientation, imageDimensions || [1, 1, 1]);
+    const [crossCol, crossRow] = voxelToDisplay(orientation, imageDimensions || [1, 1, 1], crosshairVoxel);
+
+    return (
+      <div
+        className={`bg-gray-50 rounded-lg p-4 flex flex-col ${
+          activeView === orientation ? 'ring-2 ring-blue-200' : ''
+        }`}
+        onMouseEnter={() => setActiveView(orientation)}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-700">{titulo}</h3>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              max={maxSlices}
+              value={slice.num}
+              onChange={(e) => goToSlice(orientation, parseInt(e.target.value))}
+              className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+            <span className="text-sm text-gray-500">/ {maxSlices}</span>
+            <button
+              onClick={() => saveImage(orientation, slice.num)}
+              className="ml-2 p-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded transition-colors"
+              title="Guardar imagen">
+              💾
+            </button>
+            {['gif', 'webm'].map(formato => (
+              <button
+                key={formato}
+                onClick={() => exportCine(orientation, formato)}
+                disabled={!volumeData || cineExporting !== null}
+                className="px-1.5 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition-colors disabled:opacity-50"
+                title={`Exportar todos los cortes como ${formato.toUpperCase()} animado`}>
+                {cineExporting === orientation ? '…' : formato.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        </div>
+        <div className="flex items-center gap-2 mb-2 text-xs text-gray-600">
+          <button
+            onClick={() => toggleCine(orientation)}
+            disabled={!volumeData}
+            className={`w-6 h-5 leading-none rounded border transition-colors ${
+              cinePlaying[orientation]
+                ? 'bg-blue-500 border-blue-500 text-white'
+                : 'border-gray-300 hover:bg-gray-100'
+            }`}
+            title="Reproducir cortes (cine)">
+            {cinePlaying[orientation] ? '⏸' : '▶'}
+          </button>
+          <select
+            value={projection.modo}
+            onChange={(e) => updateProjection(orientation, { modo: e.target.value })}
+            className="px-1 py-0.5 border border-gray-300 rounded"
+            title="Modo de proyección">
+            {PROJECTION_MODES.map(m => (
+              <option key={m.id} value={m.id}>{m.nombre}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1" title="Cortes alrededor del actual (0 = todo el volumen)">
+            Slab
+            <input
+              type="number"
+              min="0"
+              max={maxSlices}
+              value={projection.grosor}
+              disabled={projection.modo === 'ninguna'}
+              onChange={(e) => updateProjection(orientation, {
+                grosor: Math.min(Math.max(parseInt(e.target.value) || 0, 0), maxSlices)
+              })}
+              className="w-14 px-1 py-0.5 border border-gray-300 rounded disabled:bg-gray-100"
+            />
+          </label>
+          {renderZoomControls('principal', viewZoom)}
+        </div>
+        <div
+          className="relative flex-1 min-h-0 flex items-center justify-center bg-black rounded select-none overflow-hidden"
+          ref={sliceWheelRef((e) => handleSliceWheel(orientation, e))}
+          onMouseDown={(e) => handleWindowDragStart(e)}
+          onMouseMove={handleWindowDragMove}
+          onMouseUp={handleWindowDragEnd}
+          onMouseLeave={handleWindowDragEnd}
+          onContextMenu={(e) => e.preventDefault()}>
+          {volumeData ? (
+            <div className="absolute inset-0" style={{ transform: `scale(${viewZoom})` }}>
+              {/* Los lienzos tienen el tamaño del corte en píxeles y se escalan como el SVG */}
+              <canvas
+                ref={(el) => { baseCanvasRef.current[orientation] = el; }}
+                className="absolute inset-0 w-full h-full object-contain"
+                aria-label={alt}
+              />
+              {overlayVolume && projection.modo === 'ninguna' && (
+                <canvas
+                  ref={(el) => { overlayCanvasRef.current[orientation] = el; }}
+                  className="absolute inset-0 w-full h-full object-contain"
+                  style={{ opacity: overlayOpacity, imageRendering: 'pixelated' }}
+                />
+              )}
+              {currentRoi() && projection.modo === 'ninguna' && (
+                <canvas
+                  ref={(el) => { roiCanvasRef.current[orientation] = el; }}
+                  className="absolute inset-0 w-full h-full object-contain"
+                  style={{ opacity: 0.5, imageRendering: 'pixelated' }}
+                />
+              )}
+              {/* viewBox en píxeles del corte: todo lo que se dibuja encima usa esas coordenadas */}
+              <svg
+                viewBox={`0 0 ${width} ${height}`}
+                className="absolute inset-0 w-full h-full cursor-crosshair"
+                onClick={(e) => handleSliceClick(orientation, e)}
+                onDoubleClick={() => handleRoiDoubleClick(orientation)}
+                onMouseDown={(e) => {
+                  handleMeasureMouseDown(orientation, e);
+                  handleRoiMouseDown(orientation, e);
+                }}
+                onMouseUp={() => {
+                  handleMeasureMouseUp(orientation);
+                  handleRoiMouseUp();
+                }}
+                onMouseMove={(e) => {
+                  handleMeasureMouseMove(orientation, e);
+                  handleRoiMouseMove(orientation, e);
+                  handleSliceHover(orientation, e);
+                }}
+                onMouseLeave={() => {
+                  handleRoiMouseUp();
+                  setRoiCursor(null);
+                }}>
+                {showCrosshair && (
+                  <g stroke="#facc15" strokeWidth="1" opacity="0.8">
+                    <line x1={crossCol - 0.5} y1="0" x2={crossCol - 0.5} y2={height} vectorEffect="non-scaling-stroke" />
+                    <line x1="0" y1={crossRow - 0.5} x2={width} y2={crossRow - 0.5} vectorEffect="non-scaling-stroke" />
+                  </g>
+                )}
+                {fileMeasurements
+                  .filter(m => m.orientation === orientation && m.slice === slice.num && m.proyeccion === projection.modo)
+                  .map(m => renderMeasurementShape(m, width, height))}
+                {measureDraft?.orientation === orientation && renderMeasurementShape(measureDraft, width, height)}
+                {roiCursor?.orientation === orientation && roiTool !== 'poligono' && (
+                  <circle
+                    cx={Math.floor(roiCursor.x) + 0.5}
+                    cy={Math.floor(roiCursor.y) + 0.5}
+                    r={brushRadius + 0.5}
+                    fill="none"
+                    stroke={ROI_COLOR}
+                    strokeWidth="1"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+                {roiPolygon?.orientation === orientation && (
+                  <polyline
+                    points={[...roiPolygon.puntos, ...(roiCursor?.orientation === orientation ? [[roiCursor.x, roiCursor.y]] : [])]
+                      .map(p => p.join(',')).join(' ')}
+                    fill="none"
+                    stroke={ROI_COLOR}
+                    strokeWidth="1.5"
+                    vectorEffect="non-scaling-stroke"
+                  />
+                )}
+              </svg>
+            </div>
+          ) : (
+            <p className="text-gray-500">Cargando...</p>
+          )}
+          {volumeData && renderColorBar(windowLevel)}
+        </div>
+        <input
+          type="range"
+          min="1"
+          max={maxSlices}
+          value={slice.num}
+          onChange={(e) => goToSlice(orientation, parseInt(e.target.value))}
+          className="w-full mt-2"
+          title="Rueda del ratón o flechas/RePág/AvPág para navegar"
+        />
+      </div>
+    );
+  };
+
+  const renderInfoPanel = () => (
+    <div className="bg-gray-50 rounded-lg p-4 flex flex-col min-h-0 overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-700">Información</h3>
+        <div className="flex gap-1">
+          <button
+            onClick={() => setShowMetadata(true)}
+            disabled={imageMetadata.length === 0}
+            className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition-colors disabled:opacity-50"
+            title="Cabecera NIfTI o tags DICOM completos">
+            Metadatos
+          </button>
+          {!compareMode && (
+            <button
+              onClick={() => setCompareMode(true)}
+              className="px-2 py-1 text-xs bg-blue-500 hover:bg-blue-600 text-white rounded transition-colors"
+              title="Ver otro archivo del proyecto junto a este">
+              Comparar
+            </button>
+          )}
+        </div>
+      </div>
+      <div className="space-y-2 text-sm">
+        <div className="flex justify-between">
+          <span className="text-gray-600">Archivo:</span>
+          <span className="font-medium text-gray-800 truncate ml-2">{selectedFile?.name}</span>
+        </div>
+        <div className="flex justify-between">
+          <span className="text-gray-600">Dimensiones:</span>
+          <span className="font-medium text-gray-800">
+            {imageDimensions?.join(' × ')}
+            {seriesInfo && ` × ${seriesInfo.volumenes} vol.`}
+          </span>
+        </div>
+        {imageGeometry && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Voxel (mm):</span>
+            <span className="font-medium text-gray-800">
+              {imageGeometry.voxelSize.map(v => Number(v).toFixed(2)).join(' × ')}
+            </span>
+          </div>
+        )}
+        <div className="mt-4 pt-4 border-t border-gray-300 space-y-1">
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">Cursor</span>
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={showCrosshair}
+                onChange={(e) => setShowCrosshair(e.target.checked)}
+                className="w-3 h-3"
+              />
+              Mostrar cruz
+            </label>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Voxel:</span>
+            <span className="font-medium text-gray-800">
+              {cursorInfo ? `(${cursorInfo.voxel.join(', ')})` : '-'}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Posición (mm):</span>
+            <span className="font-medium text-gray-800">
+              {cursorInfo ? `(${cursorInfo.coordenada_mm.map(v => v.toFixed(1)).join(', ')})` : '-'}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Intensidad:</span>
+            <span className="font-medium text-gray-800">
+              {cursorInfo
+                ? (Number.isInteger(cursorInfo.valor) ? cursorInfo.valor : cursorInfo.valor.toFixed(3))
+                : '-'}
+            </span>
+          </div>
+        </div>
+        {seriesInfo && renderTimeSeries()}
+        {windowLevel && (
+          <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Ventana:</span>
+              <select
+                value={windowPreset}
+                onChange={(e) => applyWindowPreset(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm">
+                {windowPreset === 'manual' && <option value="manual">Manual</option>}
+                {WINDOW_PRESETS.map(preset => (
+                  <option key={preset.id} value={preset.id}>{preset.nombre}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Mapa de color:</span>
+              <select
+                value={colormap}
+                onChange={(e) => setColormap(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded text-sm">
+                {COLORMAPS.map(cmap => (
+                  <option key={cmap.id} value={cmap.id}>{cmap.nombre}</option>
+                ))}
+              </select>
+            </div>
+            <label className="flex items-center gap-1 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={showColorBar}
+                onChange={(e) => setShowColorBar(e.target.checked)}
+              />
+              Mostrar barra de color
+            </label>
+            <div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span>Centro (nivel)</span>
+                <span className="font-medium text-gray-800">{Math.round(windowLevel.center)}</span>
+              </div>
+              <input
+                type="range"
+                min={intensityRange?.min ?? -1024}
+                max={intensityRange?.max ?? 3071}
+                step="any"
+                value={windowLevel.center}
+                onChange={(e) => updateWindowLevel({ center: parseFloat(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span>Ancho</span>
+                <span className="font-medium text-gray-800">{Math.round(windowLevel.width)}</span>
+              </div>
+              <input
+                type="range"
+                min="1"
+                max={intensityRange ? Math.max((intensityRange.max - intensityRange.min) * 2, 1) : 4096}
+                step="any"
+                value={windowLevel.width}
+                onChange={(e) => updateWindowLevel({ width: parseFloat(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+            <p className="text-xs text-gray-400">
+              Clic derecho + arrastrar sobre un corte para ajustar la ventana
+            </p>
+          </div>
+        )}
+        {histogram && renderHistogram()}
+        <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-gray-600">Máscara:</span>
+            <select
+              value={overlayInfo?.filename || ''}
+              onChange={(e) => loadOverlay(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded text-sm max-w-[60%]">
+              <option value="">Ninguna</option>
+              {projectStructure && extractAllCompatibleFiles(projectStructure)
+                .filter(f => f.path !== selectedFile?.path)
+                .map(f => (
+                  <option key={f.path} value={f.serverName}>{fileOptionLabel(f)}</option>
+                ))}
+            </select>
+          </div>
+          {overlayInfo && (
+            <>
+              <div>
+                <div className="flex justify-between text-xs text-gray-600">
+                  <span>Opacidad</span>
+                  <span className="font-medium text-gray-800">{Math.round(overlayOpacity * 100)}%</span>
+                </div>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={overlayOpacity}
+                  onChange={(e) => setOverlayOpacity(parseFloat(e.target.value))}
+                  className="w-full"
+                />
+              </div>
+              <div className="max-h-24 overflow-y-auto space-y-1">
+                {overlayInfo.etiquetas.map(({ valor, color }) => (
+                  <label key={valor} className="flex items-center gap-2 text-xs text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={!overlayHiddenLabels.includes(valor)}
+                      onChange={() => toggleOverlayLabel(valor)}
+                      className="w-3 h-3"
+                    />
+                    <span className="w-3 h-3 rounded-sm inline-block" style={{ backgroundColor: color }} />
+                    Etiqueta {valor}
+                  </label>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+        <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+          <div className="flex items-center justify-between gap-2">
+            <span className="text-gray-600">Cine:</span>
+            <select
+              value={cineMode}
+              onChange={(e) => setCineMode(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded text-sm">
+              {CINE_MODES.map(m => (
+                <option key={m.id} value={m.id}>{m.nombre}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <div className="flex justify-between text-xs text-gray-600">
+              <span>Velocidad</span>
+              <span className="font-medium text-gray-800">{cineFps} fps</span>
+            </div>
+            <input
+              type="range"
+              min={CINE_FPS.min}
+              max={CINE_FPS.max}
+              value={cineFps}
+              onChange={(e) => setCineFps(parseInt(e.target.value))}
+              className="w-full"
+            />
+          </div>
+          <p className="text-xs text-gray-400">
+            ▶ en cada corte para reproducir; GIF/WebM exportan la pila completa con esta velocidad y modo
+          </p>
+        </div>
+        <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">Mediciones</span>
+            {fileMeasurements.length > 0 && (
+              <div className="flex gap-1">
+                <button
+                  onClick={exportMeasurementsCsv}
+                  className="px-2 py-0.5 text-xs bg-blue-500 hover:bg-blue-600 text-white rounded transition-colors">
+                  CSV
+                </button>
+                <button
+                  onClick={clearMeasurements}
+                  className="px-2 py-0.5 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition-colors">
+                  Borrar
+                </button>
+              </div>
+            )}
+          </div>
+          <div className="grid grid-cols-5 gap-1">
+            {MEASURE_TOOLS.map(tool => (
+              <button
+                key={tool.id}
+                onClick={() => selectMeasureTool(tool.id)}
+                className={`py-1 text-xs rounded border transition-colors ${
+                  measureTool === tool.id
+                    ? 'bg-blue-500 border-blue-500 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+                title={tool.nombre}>
+                {tool.icono}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-400">
+            {measureTool === 'angulo'
+              ? 'Tres clics: extremo, vértice y extremo (Esc cancela)'
+              : measureTool === 'navegar'
+                ? 'Clic en un corte para mover la cruz'
+                : 'Arrastra sobre un corte para medir (Esc cancela)'}
+          </p>
+          {fileMeasurements.length > 0 && (
+            <div className="max-h-40 overflow-y-auto space-y-1">
+              {fileMeasurements.map(m => {
+                const tool = MEASURE_TOOLS.find(t => t.id === m.tipo);
+                return (
+                  <div
+                    key={m.id}
+                    onClick={() => goToSlice(m.orientation, m.slice)}
+                    className="flex items-start justify-between gap-2 p-1.5 bg-white rounded border border-gray-200 text-xs cursor-pointer hover:bg-blue-50">
+                    <div>
+                      <div className="text-gray-700">
+                        {tool.icono} {tool.nombre} · {ORIENTATIONS[m.orientation].alt} {m.slice}
+                      </div>
+                      <div className="font-medium text-gray-800">
+                        {formatNumber(m.valor)} {tool.unidad}
+                      </div>
+                      {m.estadisticas && (
+                        <div className="text-gray-500">
+                          μ {formatNumber(m.estadisticas.media)} · σ {formatNumber(m.estadisticas.std)}
+                          {' '}· [{formatNumber(m.estadisticas.min)}, {formatNumber(m.estadisticas.max)}]
+                        </div>
+                      )}
+                    </div>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        deleteMeasurement(m.id);
+                      }}
+                      className="text-gray-400 hover:text-red-500"
+                      title="Eliminar medición">
+                      ✕
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+        <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">ROI</span>
+            {currentRoiStatus && (
+              <span className={`text-xs ${currentRoiStatus.modificada ? 'text-orange-600' : 'text-gray-500'}`}>
+                {currentRoiStatus.voxeles} voxels
+                {currentRoiStatus.modificada ? ' · sin guardar' : currentRoiStatus.guardada ? ' · guardada' : ''}
+              </span>
+            )}
+          </div>
+          <div className="grid grid-cols-3 gap-1">
+            {ROI_TOOLS.map(tool => (
+              <button
+                key={tool.id}
+                onClick={() => selectRoiTool(roiTool === tool.id ? null : tool.id)}
+                className={`py-1 text-xs rounded border transition-colors ${
+                  roiTool === tool.id
+                    ? 'bg-red-500 border-red-500 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-100'
+                }`}
+                title={tool.nombre}>
+                {tool.icono} {tool.nombre}
+              </button>
+            ))}
+          </div>
+          {(roiTool === 'pincel' || roiTool === 'borrador') && (
+            <div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span>Radio</span>
+                <span className="font-medium text-gray-800">{brushRadius} px</span>
+              </div>
+              <input
+                type="range"
+                min={BRUSH_RADIUS.min}
+                max={BRUSH_RADIUS.max}
+                value={brushRadius}
+                onChange={(e) => setBrushRadius(parseInt(e.target.value))}
+                className="w-full"
+              />
+            </div>
+          )}
+          <p className="text-xs text-gray-400">
+            {roiTool === 'poligono'
+              ? 'Clic para añadir vértices; doble clic o clic en el primero para cerrar (Esc cancela)'
+              : roiTool
+                ? `Arrastra sobre un corte para ${roiTool === 'pincel' ? 'pintar' : 'borrar'}`
+                : 'Elige una herramienta para dibujar la ROI corte a corte'}
+          </p>
+          <div className="flex gap-1">
+            <button
+              onClick={saveRoi}
+              disabled={!currentRoiStatus?.voxeles}
+              className="flex-1 px-2 py-1 text-xs bg-red-500 hover:bg-red-600 text-white rounded transition-colors disabled:opacity-50"
+              title="Guardar como máscara NIfTI junto a la imagen">
+              Guardar
+            </button>
+            {overlayVolume && (
+              <button
+                onClick={roiFromOverlay}
+                className="flex-1 px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition-colors"
+                title="Añadir a la ROI las etiquetas visibles de la máscara">
+                Desde máscara
+              </button>
+            )}
+            <button
+              onClick={clearRoi}
+              disabled={!currentRoiStatus?.voxeles}
+              className="flex-1 px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition-colors disabled:opacity-50">
+              Vaciar
+            </button>
+          </div>
+        </div>
+        {projectPath && (
+          <div className="mt-4 pt-4 border-t border-gray-300">
+            <span className="text-gray-600 text-xs">Proyecto:</span>
+            <p className="font-medium text-gray-800 text-xs mt-1 break-all">
+              {projectPath}
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderCompareView = () => {
+    const { titulo, alt, eje } = ORIENTATIONS[compareOrientation];
+    const dims = compareFile?.dimensions || [1, 1, 1];
+    const maxSlices = dims[eje];
+    const sliceNum = compareSlices[compareOrientation];
+    const [width, height] = sliceDisplaySize(compareOrientation, dims);
+    const [crossCol, crossRow] = voxelToDisplay(compareOrientation, dims,
+      [compareSlices.sagittal, compareSlices.coronal, compareSlices.axial]);
+
+    return (
+      <div
+        className={`bg-gray-50 rounded-lg p-4 flex flex-col ${
+          activeView === 'comparacion' ? 'ring-2 ring-blue-200' : ''
+        }`}
+        onMouseEnter={() => setActiveView('comparacion')}>
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-semibold text-gray-700 truncate" title={compareFile?.name}>
+            {titulo} · {compareFile ? compareFile.name : 'Comparación'}
+          </h3>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              max={maxSlices}
+              value={sliceNum}
+              disabled={!compareFile}
+              onChange={(e) => goToCompareSlice(compareOrientation, parseInt(e.target.value))}
+              className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
+            />
+            <span className="text-sm text-gray-500">/ {maxSlices}</span>
+          </div>
+        </div>
+        <div className="flex items-center gap-2 mb-2 text-xs text-gray-600">
+          <span>{compareLinked ? '🔗 Sincronizado' : 'Independiente'}</span>
+          {renderZoomControls('comparacion', compareZoomLevel)}
+        </div>
+        <div
+          className="relative flex-1 min-h-0 flex items-center justify-center bg-black rounded select-none overflow-hidden"
+          ref={sliceWheelRef((e) => e.deltaY !== 0 && goToCompareSlice(compareOrientation, sliceNum + (e.deltaY > 0 ? 1 : -1)))}
+          onMouseDown={(e) => handleWindowDragStart(e, 'comparacion')}
+          onMouseMove={handleWindowDragMove}
+          onMouseUp={handleWindowDragEnd}
+          onMouseLeave={handleWindowDragEnd}
+          onContextMenu={(e) => e.preventDefault()}>
+          {compareVolume ? (
+            <div className="absolute inset-0" style={{ transform: `scale(${compareZoomLevel})` }}>
+              <canvas
+                ref={compareCanvasRef}
+                className="absolute inset-0 w-full h-full object-contain"
+                aria-label={`${alt} (comparación)`}
+              />
+              <svg
+                viewBox={`0 0 ${width} ${height}`}
+                className="absolute inset-0 w-full h-full cursor-crosshair"
+                onClick={handleCompareClick}>
+                {showCrosshair && (
+                  <g stroke="#facc15" strokeWidth="1" opacity="0.8">
+                    <line x1={crossCol - 0.5} y1="0" x2={crossCol - 0.5} y2={height} vectorEffect="non-scaling-stroke" />
+                    <line x1="0" y1={crossRow - 0.5} x2={width} y2={crossRow - 0.5} vectorEffect="non-scaling-stroke" />
+                  </g>
+                )}
+              </svg>
+            </div>
+          ) : (
+            <p className="text-gray-500">
+              {compareFile ? 'Cargando...' : 'Elige un archivo para comparar'}
+            </p>
+          )}
+          {compareVolume && renderColorBar(compareWindow)}
+        </div>
+        <input
+          type="range"
+          min="1"
+          max={maxSlices}
+          value={sliceNum}
+          disabled={!compareFile}
+          onChange={(e) => goToCompareSlice(compareOrientation, parseInt(e.target.value))}
+          className="w-full mt-2"
+        />
+      </div>
+    );
+  };
+
+  const renderComparePanel = () => (
+    <div className="bg-gray-50 rounded-lg p-4 flex flex-col min-h-0 overflow-y-auto">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-700">Comparación</h3>
+        <button
+          onClick={closeCompare}
+          className="px-2 py-1 text-xs bg-gray-200 hover:bg-gray-300 text-gray-700 rounded transition-colors">
+          Cerrar
+        </button>
+      </div>
+      <div className="space-y-2 text-sm">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-gray-600">Comparar con:</span>
+          <select
+            value={compareFile?.name || ''}
+            onChange={(e) => loadCompareFile(e.target.value)}
+            className="px-2 py-1 border border-gray-300 rounded text-sm max-w-[60%]">
+            <option value="">Ninguno</option>
+            {projectStructure && extractAllCompatibleFiles(projectStructure)
+              .filter(f => f.path !== selectedFile?.path)
+              .map(f => (
+                <option key={f.path} value={f.serverName}>{fileOptionLabel(f)}</option>
+              ))}
+          </select>
+        </div>
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-gray-600">Vista:</span>
+          <select
+            value={compareOrientation}
+            onChange={(e) => {
+              setCompareOrientation(e.target.value);
+              if (activeView !== 'comparacion') setActiveView(e.target.value);
+            }}
+            className="px-2 py-1 border border-gray-300 rounded text-sm">
+            {Object.entries(ORIENTATIONS).map(([orientation, { alt }]) => (
+              <option key={orientation} value={orientation}>{alt}</option>
+            ))}
+          </select>
+        </div>
+        {compareFile && (
+          <div className="flex justify-between">
+            <span className="text-gray-600">Dimensiones:</span>
+            <span className="font-medium text-gray-800">{compareFile.dimensions.join(' × ')}</span>
+          </div>
+        )}
+        <label className="flex items-center gap-2 text-gray-700">
+          <input
+            type="checkbox"
+            checked={compareLinked}
+            onChange={(e) => toggleCompareLinked(e.target.checked)}
+            className="w-4 h-4"
+          />
+          Sincronizar corte, ventana y zoom
+        </label>
+        {compareFile && imageDimensions && compareFile.dimensions.some((d, i) => d !== imageDimensions[i]) && (
+          <p className="text-xs text-gray-400">
+            Las dimensiones difieren: los cortes se sincronizan por posición relativa
+          </p>
+        )}
+        {!compareLinked && compareWindowLevel && (
+          <div className="pt-2 border-t border-gray-300 space-y-2">
+            <div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span>Centro (nivel)</span>
+                <span className="font-medium text-gray-800">{Math.round(compareWindowLevel.center)}</span>
+              </div>
+              <input
+                type="range"
+                min={compareFile?.intensityRange?.min ?? -1024}
+                max={compareFile?.intensityRange?.max ?? 3071}
+                step="any"
+                value={compareWindowLevel.center}
+                onChange={(e) => setCompareWindowLevel(prev => ({ ...prev, center: parseFloat(e.target.value) }))}
+                className="w-full"
+              />
+            </div>
+            <div>
+              <div className="flex justify-between text-xs text-gray-600">
+                <span>Ancho</span>
+                <span className="font-medium text-gray-800">{Math.round(compareWindowLevel.width)}</span>
+              </div>
+              <input
+                type="range"
+                min="1"
+                max={compareFile?.intensityRange
+                  ? Math.max((compareFile.intensityRange.max - compareFile.intensityRange.min) * 2, 1)
+                  : 4096}
+                step="any"
+                value={compareWindowLevel.width}
+                onChange={(e) => setCompareWindowLevel(prev => ({ ...prev, width: parseFloat(e.target.value) }))}
+                className="w-full"
+              />
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderTimeSeries = () => {
+    const { volumenes, intervalo } = seriesInfo;
+    const valores = timeCourse?.valores || [];
+    const minValor = Math.min(...valores);
+    const maxValor = Math.max(...valores);
+    const toY = (v) => 100 - (v - minValor) / Math.max(maxValor - minValor, 1e-12) * 100;
+    const span = Math.max(volumenes - 1, 1);
+
+    // Clic en la gráfica: ir al volumen más cercano
+    const handleChartClick = (event) => {
+      const rect = event.currentTarget.getBoundingClientRect();
+      goToTimepoint(Math.round((event.clientX - rect.left) / rect.width * span) + 1);
+    };
+
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-gray-600">Serie temporal</span>
+          <span className="text-xs font-medium text-gray-800">
+            Volumen {timepoint} / {volumenes}
+            {intervalo > 0 && ` · ${formatNumber((timepoint - 1) * intervalo, 1)} s`}
+          </span>
+        </div>
+        <input
+          type="range"
+          min="1"
+          max={volumenes}
+          value={timepoint}
+          onChange={(e) => goToTimepoint(parseInt(e.target.value))}
+          className="w-full"
+        />
+        {timeCourse ? (
+          <>
+            <svg
+              viewBox={`0 0 ${span} 100`}
+              preserveAspectRatio="none"
+              className="w-full h-20 bg-white rounded border border-gray-200 cursor-pointer"
+              onClick={handleChartClick}>
+              <line
+                x1={timepoint - 1} y1="0" x2={timepoint - 1} y2="100"
+                stroke="#f97316" strokeWidth="1" vectorEffect="non-scaling-stroke"
+              />
+              <polyline
+                points={valores.map((v, i) => `${i},${toY(v)}`).join(' ')}
+                fill="none" stroke="#3b82f6" strokeWidth="1.5" vectorEffect="non-scaling-stroke"
+              />
+            </svg>
+            <div className="flex justify-between text-xs text-gray-500">
+              <span>({timeCourse.voxel.join(', ')})</span>
+              <span>{formatNumber(minValor, 1)} – {formatNumber(maxValor, 1)}</span>
+            </div>
+          </>
+        ) : (
+          <p className="text-xs text-gray-400">
+            Haz clic en un voxel para ver su curva temporal
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const renderHistogram = () => {
+    const { counts, min, max, total } = histogram;
+    const bins = counts.length;
+    const scaleCount = histogramLog
+      ? (c) => Math.log10(1 + c) / Math.log10(1 + Math.max(...counts))
+      : (c) => c / Math.max(...counts, 1);
+    const path = Array.from(counts, (c, i) =>
+      c > 0 ? `M${i} 100V${100 - scaleCount(c) * 100}H${i + 1}V100Z` : '').join('');
+    const toX = (v) => (v - min) / Math.max(max - min, 1e-12) * bins;
+    const windowStart = windowLevel ? toX(windowLevel.center - windowLevel.width / 2) : 0;
+    const windowEnd = windowLevel ? toX(windowLevel.center + windowLevel.width / 2) : bins;
+
+    return (
+      <div className="mt-4 pt-4 border-t border-gray-300 space-y-2">
+        <div className="flex items-center justify-between">
+          <span className="text-gray-600">Histograma</span>
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            Bins
+            <select
+              value={histogramBins}
+              onChange={(e) => setHistogramBins(parseInt(e.target.value))}
+              className="px-1 py-0.5 border border-gray-300 rounded">
+              {HISTOGRAM_BIN_OPTIONS.map(n => (
+                <option key={n} value={n}>{n}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <svg
+          viewBox={`0 0 ${bins} 100`}
+          preserveAspectRatio="none"
+          className="w-full h-20 bg-white rounded border border-gray-200 cursor-ew-resize"
+          onMouseDown={handleHistogramMouseDown}
+          onMouseMove={handleHistogramMouseMove}
+          onMouseUp={handleHistogramMouseUp}
+          onMouseLeave={handleHistogramMouseUp}>
+          <rect
+            x={Math.max(windowStart, 0)}
+            y="0"
+            width={Math.max(Math.min(windowEnd, bins) - Math.max(windowStart, 0), 0)}
+            height="100"
+            fill="#bfdbfe"
+          />
+          <path d={path} fill="#3b82f6" />
+        </svg>
+        <div className="flex justify-between text-xs text-gray-500">
+          <span>{formatNumber(min, 1)}</span>
+          <span>{total.toLocaleString()} voxels</span>
+          <span>{formatNumber(max, 1)}</span>
+        </div>
+        <div className="flex gap-4 text-xs text-gray-600">
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={histogramExcludeZero}
+              onChange={(e) => setHistogramExcludeZero(e.target.checked)}
+              className="w-3 h-3"
+            />
+            Excluir ceros
+          </label>
+          <label className="flex items-center gap-1">
+            <input
+              type="checkbox"
+              checked={histogramLog}
+              onChange={(e) => setHistogramLog(e.target.checked)}
+              className="w-3 h-3"
+            />
+            Escala log
+          </label>
+        </div>
+        <p className="text-xs text-gray-400">
+          Arrastra sobre el histograma para fijar la ventana
+        </p>
+      </div>
+    );
+  };
+
+  const renderMetadataModal = () => {
+    const grupos = [...new Set(filteredMetadata.map(m => m.grupo))];
+
+    return (
+      <div
+        className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center"
+        onClick={() => setShowMetadata(false)}>
+        <div
+          className="bg-white rounded-2xl p-6 max-w-3xl w-full max-h-[80vh] flex flex-col shadow-2xl"
+          onClick={(e) => e.stopPropagation()}>
+          <div className="flex items-center justify-between mb-4">
+            <div>
+              <h2 className="text-xl font-bold text-gray-800">Metadatos</h2>
+              <p className="text-sm text-gray-500">{selectedFile?.name}</p>
+            </div>
+            <button
+              onClick={() => setShowMetadata(false)}
+              className="text-gray-400 hover:text-gray-600 text-xl">
+              ✕
+            </button>
+          </div>
+          <div className="flex gap-2 mb-4">
+            <input
+              type="text"
+              value={metadataQuery}
+              onChange={(e) => setMetadataQuery(e.target.value)}
+              placeholder="Buscar campo, tag o valor..."
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              autoFocus
+            />
+            <button
+              onClick={copyMetadata}
+              disabled={filteredMetadata.length === 0}
+              className="px-3 py-2 text-sm bg-blue-500 hover:bg-blue-600 text-white rounded-lg transition-colors disabled:opacity-50">
+              Copiar {metadataQuery ? 'filtrados' : 'todo'}
+            </button>
+          </div>
+          <div className="flex-1 overflow-y-auto">
+            {grupos.length === 0 && (
+              <p className="text-gray-400 text-sm text-center py-8">Sin resultados</p>
+            )}
+            {grupos.map(grupo => (
+              <div key={grupo} className="mb-4">
+                <h3 className="text-sm font-semibold text-gray-700 mb-1">{grupo}</h3>
+                <table className="w-full text-xs">
+                  <tbody>
+                    {filteredMetadata.filter(m => m.grupo === grupo).map(m => (
+                      <tr key={`${m.tag || ''}${m.campo}`} className="border-b border-gray-100 hover:bg-blue-50">
+                        {m.tag !== undefined && (
+                          <td className="py-1 pr-2 font-mono text-gray-400 whitespace-nowrap">{m.tag}</td>
+                        )}
+                        <td className="py-1 pr-2 text-gray-600 whitespace-nowrap">{m.campo}</td>
+                        <td className="py-1 pr-2 font-medium text-gray-800 break-all">{metadataValueText(m.valor)}</td>
+                        <td className="py-1 text-right">
+                          <button
+                            onClick={() => copyToClipboard(metadataValueText(m.valor))}
+                            className="text-gray-400 hover:text-blue-600"
+                            title="Copiar valor">
+                            📋
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // ============================================================================
+  // EMPAREJAMIENTO IMAGEN / MÁSCARA (RADIÓMICA)
+  // ============================================================================
 
-	console.log(`✅ Pruebas que se ejecutarán: ${pruebasValidas.length}`);
-	console.log(`   ${pruebasValidas.map(p => requisitos[p]?.nombre || p).join(', ')}`);
+  const renderPairingPanel = () => {
+    const mode = PAIRING_MODES.find(m => m.id === pairingRule.modo);
+    const allFiles = projectStructure ? extractAllCompatibleFiles(projectStructure) : [];
+    // En la tabla manual: imágenes a la izquierda, cualquier otro archivo puede ser su máscara
+    const manualMasks = new Set(Object.values(pairingRule.manual));
+    const manualImages = allFiles.filter(f => !manualMasks.has(f.path) && !fileBaseName(f.name).endsWith(ROI_SUFFIX));
 
-	// Siempre incluir normalityTest (obligatorio)
-	const pruebasFinales = ['normalityTest', ...pruebasValidas];
+    return (
+      <div className="bg-gray-50 rounded-lg p-4 mb-4 space-y-3">
+        <div className="flex items-center justify-between gap-3">
+          <label htmlFor="pairingMode" className="text-sm font-medium text-gray-700">
+            Máscaras
+          </label>
+          <select
+            id="pairingMode"
+            value={pairingRule.modo}
+            onChange={(e) => updatePairingRule({ modo: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded text-sm">
+            {PAIRING_MODES.map(m => (
+              <option key={m.id} value={m.id}>{m.nombre}</option>
+            ))}
+          </select>
+        </div>
 
-      const response = await fetch(`${JULIA_API}/api/analisis-estadistico`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          grupos: grupos,
-          pruebas: pruebasFinales,
-          comparar_por_archivos: compareByFiles,
-          tipo_datos: selectedFiles.some(f => f.name.match(/\.(xlsx|xls)$/i)) ? 'excel' : 'imagenes'
-        })
-      });
+        {pairingRule.modo === 'sufijo' && (
+          <input
+            type="text"
+            value={pairingRule.sufijo}
+            onChange={(e) => updatePairingRule({ sufijo: e.target.value })}
+            placeholder="_seg"
+            className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+        )}
+        {pairingRule.modo === 'carpeta' && (
+          <input
+            type="text"
+            value={pairingRule.carpeta}
+            onChange={(e) => updatePairingRule({ carpeta: e.target.value })}
+            placeholder="mascaras"
+            className="w-full px-2 py-1 border border-gray-300 rounded text-sm"
+          />
+        )}
+        {pairingRule.modo === 'manual' && (
+          <div className="max-h-48 overflow-y-auto space-y-1">
+            {manualImages.map(image => (
+              <div key={image.path} className="flex items-center gap-2 text-xs">
+                <span className="flex-1 truncate text-gray-700" title={image.path}>{image.name}</span>
+                <select
+                  value={pairingRule.manual[image.path] || ''}
+                  onChange={(e) => setManualPair(image.path, e.target.value)}
+                  className="w-32 px-1 py-0.5 border border-gray-300 rounded">
+                  <option value="">(voxels &gt; 0)</option>
+                  {allFiles
+                    .filter(f => f.path !== image.path && !(f.path in pairingRule.manual))
+                    .map(f => (
+                      <option key={f.path} value={f.path}>{f.name}</option>
+                    ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
 
-      const result = await response.json();
+        <p className="text-xs text-gray-400">{mode.ayuda}</p>
+        {maskPairing && (
+          <p className={`text-xs ${unpairedCount > 0 ? 'text-orange-600' : 'text-green-700'}`}>
+            {maskPairing.pairs.size - unpairedCount} de {maskPairing.pairs.size} imágenes con máscara
+            {unpairedCount > 0 && ' (⚠️ en el árbol: se analizarán los voxels > 0)'}
+          </p>
+        )}
+      </div>
+    );
+  };
 
-      if (result.success) {
-        setStatisticsResults(result.resultados);
-        alert(`✅ Análisis estadístico completado`);
-      } else {
-        alert(`❌ Error: ${result.error}`);
-      }
-    } catch (error) {
-      console.error('Error:', error);
-      alert('Error de conexión con el servidor');
-    } finally {
-      setStatisticsRunning(false);
-    }
+  const updateMatrixOptions = (changes) => {
+    setMatrixOptions(prev => ({ ...prev, ...changes }));
   };
 
-  const toggleTest = (testKey) => {
-    setSelectedTests(prev => ({
+  const sortMatrixBy = (key) => {
+    setMatrixOptions(prev => ({
       ...prev,
-      [testKey]: !prev[testKey]
+      orden: prev.orden?.columna === key ? { columna: key, asc: !prev.orden.asc } : { columna: key, asc: true }
     }));
   };
 
-  const handleStartRadiomics = async () => {
-    const filesToAnalyze = multipleFilesMode 
-      ? selectedFiles.length > 0 
-        ? selectedFiles 
-        : extractAllCompatibleFiles(projectStructure || {})
-      : selectedFile 
-        ? [selectedFile] 
-        : [];
-
-    if (filesToAnalyze.length === 0) {
-      alert('No hay archivos seleccionados');
+  // Abre en el visor el archivo de una fila de resultados
+  const openResultInViewer = async (archivo) => {
+    const fileNode = projectStructure && extractAllCompatibleFiles(projectStructure)
+      .find(f => f.serverName === archivo);
+    if (!fileNode) {
+      alert(`❌ ${archivo} no está en el proyecto abierto`);
       return;
     }
+    handleTabChange('visualization');
+    setSelectedFile(fileNode);
+    await autoLoadFirstImage(fileNode);
+  };
 
-    setRadiomicsRunning(true);
-    setRadiomicsResults(null);
-
-    try {
-      const response = await fetch(`${JULIA_API}/api/analisis-radiomico`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          archivos: filesToAnalyze.map(f => f.name),
-          modo_paralelo: parallelMode
-        })
-      });
+  // Archivos (o archivo × etiqueta) × características, con z-score y agrupamiento opcionales
+  const renderFeatureMatrix = () => {
+    const { rows, columns, values, zScores } = featureMatrix;
+    let colOrder = matrixColumns;
+    let rowOrder = rows.map((row, i) => i);
 
-      const result = await response.json();
-      
-      if (result.success) {
-        setRadiomicsResults(result.resultados);
-        alert(`✅ Análisis completado\n${filesToAnalyze.length} archivo(s) procesado(s)`);
-      } else {
-        alert(`❌ Error: ${result.error}`);
+    if (matrixClusters) {
+      ({ rowOrder, colOrder } = matrixClusters);
+    } else if (matrixOptions.orden) {
+      const j = columns.findIndex(c => c.key === matrixOptions.orden.columna);
+      if (j >= 0) {
+        const sign = matrixOptions.orden.asc ? 1 : -1;
+        // Los valores que faltan van siempre al final
+        rowOrder.sort((a, b) => {
+          if (values[a][j] === null) return values[b][j] === null ? 0 : 1;
+          if (values[b][j] === null) return -1;
+          return sign * (values[a][j] - values[b][j]);
+        });
       }
-    } catch (error) {
-      console.error('Error:', error);
-      alert('Error de conexión');
-    } finally {
-      setRadiomicsRunning(false);
     }
+
+    const classes = [...new Set(columns.map(c => c.categoria))];
+
+    return (
+      <div className="flex-1 flex flex-col min-h-0 gap-2">
+        <div className="flex flex-wrap items-center gap-3 text-sm">
+          <select
+            value={matrixOptions.clase}
+            onChange={(e) => updateMatrixOptions({ clase: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded">
+            <option value="todas">Todas las clases</option>
+            {classes.map(clase => (
+              <option key={clase} value={clase}>{clase.replace(/_/g, ' ')}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={matrixOptions.filtro}
+            onChange={(e) => updateMatrixOptions({ filtro: e.target.value })}
+            placeholder="Filtrar características..."
+            className="px-2 py-1 border border-gray-300 rounded w-48"
+          />
+          <label className="flex items-center gap-1 text-gray-700">
+            <input
+              type="checkbox"
+              checked={matrixOptions.heatmap}
+              onChange={(e) => updateMatrixOptions({ heatmap: e.target.checked })}
+            />
+            Mapa de calor (z-score)
+          </label>
+          <label className="flex items-center gap-1 text-gray-700">
+            <input
+              type="checkbox"
+              checked={matrixOptions.agrupar}
+              onChange={(e) => updateMatrixOptions({ agrupar: e.target.checked })}
+            />
+            Agrupamiento jerárquico
+          </label>
+          <span className="text-xs text-gray-400">
+            {rowOrder.length} × {colOrder.length} · clic en una celda para abrir el archivo
+          </span>
+        </div>
+
+        <div className="flex-1 overflow-auto bg-white rounded-lg border border-gray-200">
+          <table className="text-xs border-collapse">
+            <thead className="sticky top-0 z-10 bg-gray-50">
+              <tr>
+                <th className="sticky left-0 z-20 bg-gray-50 px-2 py-1 text-left font-medium text-gray-500">
+                  Archivo
+                </th>
+                {colOrder.map(j => (
+                  <th
+                    key={columns[j].key}
+                    onClick={() => !matrixOptions.agrupar && sortMatrixBy(columns[j].key)}
+                    title={[
+                      `${columns[j].categoria} · ${columns[j].nombre}`,
+                      describeFeatureNaming(featureNaming, columns[j].categoria, columns[j].nombre)
+                    ].filter(Boolean).join('\n')}
+                    className={`px-2 py-1 font-medium text-gray-600 whitespace-nowrap ${matrixOptions.agrupar ? '' : 'cursor-pointer hover:text-blue-700'}`}>
+                    {columns[j].nombre}
+                    {matrixOptions.orden?.columna === columns[j].key && !matrixOptions.agrupar && (matrixOptions.orden.asc ? ' ▲' : ' ▼')}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rowOrder.map(i => (
+                <tr key={rows[i].key} className="border-t border-gray-100">
+                  <th className="sticky left-0 bg-white px-2 py-1 text-left font-medium text-gray-800 whitespace-nowrap">
+                    {rows[i].archivo}
+                    {rows[i].etiqueta && <span className="text-gray-400 font-normal"> · {rows[i].nombreEtiqueta}</span>}
+                  </th>
+                  {colOrder.map(j => (
+                    <td
+                      key={columns[j].key}
+                      onClick={() => openResultInViewer(rows[i].archivo)}
+                      title={`${rows[i].archivo} · ${columns[j].nombre}${zScores[i][j] !== null ? ` · z = ${zScores[i][j].toFixed(2)}` : ''}`}
+                      style={matrixOptions.heatmap ? { backgroundColor: zScoreColor(zScores[i][j]) } : undefined}
+                      className="px-2 py-1 text-right font-mono text-gray-700 cursor-pointer hover:outline hover:outline-1 hover:outline-blue-500">
+                      {formatFeatureValue(values[i][j])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
+  };
+
+  // Discretización, umbral de la máscara y clases de características a calcular
+  const renderExtractionParamsPanel = () => (
+    <div className="bg-gray-50 rounded-lg p-4 mb-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">Parámetros de extracción</span>
+        <button
+          onClick={() => setExtractionParams(prev => ({ ...DEFAULT_EXTRACTION_PARAMS, preprocesamiento: prev.preprocesamiento }))}
+          className="text-xs text-blue-600 hover:text-blue-800 font-medium">
+          Restablecer
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <select
+          value={extractionParams.discretizacion}
+          onChange={(e) => updateExtractionParams({ discretizacion: e.target.value })}
+          className="px-2 py-1 border border-gray-300 rounded text-sm">
+          <option value="bins">Número de bins</option>
+          <option value="ancho">Ancho de bin</option>
+        </select>
+        {extractionParams.discretizacion === 'bins' ? (
+          <input
+            type="number"
+            min="2"
+            max="256"
+            value={extractionParams.num_bins}
+            onChange={(e) => updateExtractionParams({ num_bins: Math.min(Math.max(parseInt(e.target.value) || 2, 2), 256) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            title="Niveles de gris en que se reparte el rango de intensidades de la ROI (2-256)"
+          />
+        ) : (
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={extractionParams.ancho_bin}
+            onChange={(e) => updateExtractionParams({ ancho_bin: parseFloat(e.target.value) > 0 ? parseFloat(e.target.value) : DEFAULT_EXTRACTION_PARAMS.ancho_bin })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            title="Intensidades por nivel de gris, desde el mínimo de la ROI (máximo 256 niveles)"
+          />
+        )}
+      </div>
+
+      <div className="flex items-center justify-between gap-3 text-sm">
+        <label htmlFor="maxRunLength" className="text-gray-700">Run máximo (GLRLM)</label>
+        <input
+          type="number"
+          id="maxRunLength"
+          min="1"
+          value={extractionParams.max_run_length}
+          onChange={(e) => updateExtractionParams({ max_run_length: Math.max(parseInt(e.target.value) || 1, 1) })}
+          className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+        />
+      </div>
+
+      <div className="flex items-center justify-between gap-3 text-sm">
+        <label htmlFor="maskThreshold" className="text-gray-700">Umbral de máscara</label>
+        <input
+          type="number"
+          id="maskThreshold"
+          step="any"
+          value={extractionParams.umbral_mascara}
+          onChange={(e) => updateExtractionParams({ umbral_mascara: parseFloat(e.target.value) || 0 })}
+          className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+          title="La ROI son los voxels de la máscara (o de la imagen, si no tiene máscara) por encima de este valor"
+        />
+      </div>
+
+      <div className="flex flex-wrap gap-x-3 gap-y-1">
+        {FEATURE_CLASSES.map(clase => (
+          <label key={clase.id} className="flex items-center gap-1 text-xs text-gray-700">
+            <input
+              type="checkbox"
+              checked={extractionParams.clases.includes(clase.id)}
+              onChange={() => toggleFeatureClass(clase.id)}
+              className="w-3 h-3"
+            />
+            {clase.nombre}
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+
+  // Remuestreo, normalización e imágenes filtradas sobre las que se extraen características
+  const renderPreprocessingPanel = () => {
+    const pre = extractionParams.preprocesamiento;
+    const numImages = 1 + pre.log_sigmas.length + (pre.wavelet ? 8 : 0);
+
+    return (
+      <div className="bg-gray-50 rounded-lg p-4 mb-4 space-y-3">
+        <div className="flex items-center justify-between">
+          <span className="text-sm font-medium text-gray-700">Preprocesamiento</span>
+          <button
+            onClick={resetPreprocessing}
+            className="text-xs text-blue-600 hover:text-blue-800 font-medium">
+            Restablecer
+          </button>
+        </div>
+
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <label htmlFor="isotropicVoxel" className="text-gray-700">Voxel isotrópico (mm)</label>
+          <input
+            type="number"
+            id="isotropicVoxel"
+            min="0"
+            step="any"
+            value={pre.voxel_isotropico}
+            onChange={(e) => updatePreprocessing({ voxel_isotropico: Math.max(parseFloat(e.target.value) || 0, 0) })}
+            className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+            title="Remuestrea imagen y máscara a voxels cúbicos de este tamaño (0 = sin remuestreo)"
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={pre.correccion_sesgo}
+            onChange={(e) => updatePreprocessing({ correccion_sesgo: e.target.checked })}
+          />
+          Corrección de campo de sesgo (tipo N4)
+        </label>
+
+        <div className="flex items-center justify-between gap-2 text-sm">
+          <label className="flex items-center gap-2 text-gray-700">
+            <input
+              type="checkbox"
+              checked={pre.recorte_percentiles}
+              onChange={(e) => updatePreprocessing({ recorte_percentiles: e.target.checked })}
+            />
+            Recorte por percentiles
+          </label>
+          {pre.recorte_percentiles && (
+            <div className="flex items-center gap-1">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                value={pre.percentil_inferior}
+                onChange={(e) => updatePreprocessing({ percentil_inferior: Math.min(Math.max(parseFloat(e.target.value) || 0, 0), pre.percentil_superior) })}
+                className="w-14 px-1 py-1 border border-gray-300 rounded text-sm"
+                title="Percentil inferior de la ROI"
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                step="any"
+                value={pre.percentil_superior}
+                onChange={(e) => updatePreprocessing({ percentil_superior: Math.max(Math.min(parseFloat(e.target.value) || 100, 100), pre.percentil_inferior) })}
+                className="w-14 px-1 py-1 border border-gray-300 rounded text-sm"
+                title="Percentil superior de la ROI"
+              />
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <span className="text-gray-700">Normalización</span>
+          <select
+            value={pre.normalizacion}
+            onChange={(e) => updatePreprocessing({ normalizacion: e.target.value })}
+            className="px-2 py-1 border border-gray-300 rounded text-sm">
+            <option value="ninguna">Ninguna</option>
+            <option value="zscore">z-score (imagen completa)</option>
+          </select>
+        </div>
+
+        <div className="flex items-center justify-between gap-3 text-sm">
+          <label htmlFor="logSigmas" className="text-gray-700">LoG σ (mm)</label>
+          <input
+            type="text"
+            id="logSigmas"
+            value={logSigmasText}
+            onChange={(e) => handleLogSigmasChange(e.target.value)}
+            placeholder="p. ej. 1, 2, 3"
+            className="w-28 px-2 py-1 border border-gray-300 rounded text-sm"
+            title="Un filtro Laplaciano de Gaussiana por cada sigma"
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={pre.wavelet}
+            onChange={(e) => updatePreprocessing({ wavelet: e.target.checked })}
+          />
+          Wavelet (8 subbandas Haar)
+        </label>
+
+        <p className="text-xs text-gray-500">
+          {numImages === 1
+            ? 'Características de la imagen original (prefijo original_)'
+            : `${numImages} tipos de imagen: las características llevan el prefijo del tipo (original_, log-sigma-…, wavelet-…)`}
+        </p>
+      </div>
+    );
+  };
+
+  // Tabla valor -> nombre de las etiquetas de las máscaras multi-etiqueta
+  const renderLabelNamesPanel = () => (
+    <div className="bg-gray-50 rounded-lg p-4 mb-4 space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-medium text-gray-700">Etiquetas</span>
+        <div className="flex gap-2 text-xs">
+          <button
+            onClick={addLabelName}
+            className="text-blue-600 hover:text-blue-800 font-medium">
+            + Añadir
+          </button>
+          <button
+            onClick={() => labelTableInputRef.current.click()}
+            title="Tabla de texto: valor y nombre por línea (CSV, LUT de FreeSurfer o ITK-SNAP)"
+            className="text-blue-600 hover:text-blue-800 font-medium">
+            Importar
+          </button>
+        </div>
+      </div>
+
+      {Object.keys(labelNames).length === 0 ? (
+        <p className="text-xs text-gray-400">
+          Las máscaras con varias etiquetas se analizan por etiqueta. Sin nombre se muestran como "Etiqueta N".
+        </p>
+      ) : (
+        <div className="max-h-40 overflow-y-auto space-y-1">
+          {Object.entries(labelNames)
+            .sort(([a], [b]) => Number(a) - Number(b))
+            .map(([valor, nombre]) => (
+              <div key={valor} className="flex items-center gap-2 text-xs">
+                <span className="w-8 text-right font-mono text-gray-500">{valor}</span>
+                <input
+                  type="text"
+                  value={nombre}
+                  onChange={(e) => setLabelName(valor, e.target.value)}
+                  placeholder={`Etiqueta ${valor}`}
+                  className="flex-1 px-2 py-0.5 border border-gray-300 rounded"
+                />
+                <button
+                  onClick={() => removeLabelName(valor)}
+                  className="text-gray-400 hover:text-red-600">
+                  ✕
+                </button>
+              </div>
+            ))}
+        </div>
+      )}
+
+      <input
+        ref={labelTableInputRef}
+        type="file"
+        accept=".txt,.csv,.tsv,.lut,.ctbl"
+        onChange={handleLabelTableFile}
+        style={{ display: 'none' }}
+      />
+    </div>
+  );
+
+  // Progreso real de un trabajo en segundo plano: global, tiempo y estado por archivo
+  const renderJobProgress = (job) => {
+    const remaining = remainingSeconds(job);
+
+    return (
+      <div className="mt-4 p-4 bg-blue-50 rounded-lg border border-blue-200">
+        <div className="flex items-center justify-between mb-2">
+          <span className="text-sm font-medium text-blue-800">
+            {finishedFileCount(job)} de {job.archivos.length} archivo(s)
+          </span>
+          <div className="flex items-center gap-3">
+            <span className="text-sm font-semibold text-blue-900">
+              {Math.round(job.progreso)}%
+            </span>
+            <button
+              onClick={() => cancelJob(job)}
+              disabled={job.estado === 'cancelando'}
+              className="px-2 py-0.5 text-xs rounded border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50">
+              {job.estado === 'cancelando' ? 'Cancelando...' : '⏹️ Cancelar'}
+            </button>
+          </div>
+        </div>
+        <div className="w-full h-3 bg-blue-200 rounded-full overflow-hidden">
+          <div
+            className="h-full bg-blue-600 transition-all duration-1000 ease-linear rounded-full"
+            style={{ width: `${job.progreso}%` }}
+          />
+        </div>
+        <p className="text-xs text-blue-700 mt-2">
+          Transcurrido: {formatDuration(job.transcurrido)}
+          {remaining !== null && ` · Restante: ~${formatDuration(remaining)}`}
+        </p>
+
+        <ul className="mt-3 max-h-48 overflow-y-auto space-y-1 text-xs">
+          {job.archivos.map((archivo, idx) => (
+            <li key={idx} className="flex items-center gap-2" title={archivo.error || ''}>
+              <span>{JOB_FILE_ICONS[archivo.estado]}</span>
+              <span className="flex-1 truncate text-gray-700">{archivo.archivo}</span>
+              <span className="text-gray-500 whitespace-nowrap">{jobFileDetail(archivo)}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  // Análisis cancelados o interrumpidos de un tipo, con su avance guardado
+  const renderResumableJobs = (tipo) => {
+    const jobs = resumableJobs.filter(job => job.tipo === tipo);
+    if (jobs.length === 0) return null;
+
+    return (
+      <div className="mt-4 p-3 bg-amber-50 rounded-lg border border-amber-200">
+        <p className="text-sm font-medium text-amber-800 mb-2">Análisis pendientes</p>
+        <ul className="space-y-1 text-xs">
+          {jobs.map(job => (
+            <li key={job.id} className="flex items-center gap-2">
+              <span className="flex-1 text-amber-900">
+                {new Date(job.fecha).toLocaleString()} · {job.completados} de {job.total} archivo(s)
+              </span>
+              <button
+                onClick={() => resumeJob(job)}
+                className="text-blue-600 hover:text-blue-800 font-medium">
+                ↺ Reanudar
+              </button>
+              <button
+                onClick={() => discardJob(job)}
+                className="text-gray-400 hover:text-red-600">
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+    );
+  };
+
+  // Botones de descarga del resultado mostrado, uno por formato generado por el servidor
+  const renderResultDownloads = (tipo) => {
+    const formatos = resultDownloads[tipo]?.formatos || [];
+    if (formatos.length === 0) return null;
+
+    return (
+      <div className="flex items-center gap-2">
+        {formatos.map(formato => (
+          <button
+            key={formato}
+            onClick={() => downloadResults(tipo, formato)}
+            title={`Descargar resultados en ${formato.toUpperCase()}`}
+            className="flex items-center gap-1 px-2 py-1 text-sm bg-white border border-gray-300 text-gray-700 rounded hover:bg-gray-50">
+            <Download size={14} />
+            {formato.toUpperCase()}
+          </button>
+        ))}
+      </div>
+    );
+  };
+
+  // Barra lateral con los análisis guardados en el proyecto
+  const renderRadiomicsHistory = () => (
+    <div className="w-64 flex-shrink-0 flex flex-col min-h-0">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-700">Historial</h3>
+        <button
+          onClick={loadRadiomicsHistory}
+          title="Actualizar historial"
+          className="text-sm text-gray-400 hover:text-gray-600">
+          ↻
+        </button>
+      </div>
+      {radiomicsHistory.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          Los análisis terminados se guardan en la carpeta de resultados del proyecto
+        </p>
+      ) : (
+        <ul className="flex-1 overflow-y-auto space-y-2">
+          {radiomicsHistory.map(run => {
+            const isOpen = run.id === radiomicsRunId;
+            return (
+              <li
+                key={run.id}
+                className={`p-2 rounded-lg border text-xs ${isOpen ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white'}`}>
+                <p className="font-medium text-gray-800">
+                  {new Date(run.fecha).toLocaleString()}
+                  {run.cancelado && <span className="text-amber-600"> · cancelado</span>}
+                </p>
+                <p className="text-gray-600" title={run.archivos.join('\n')}>
+                  {run.archivos_exitosos} de {run.num_archivos} archivo(s) · {formatDuration(run.tiempo_total)}
+                </p>
+                <p className="text-gray-400 truncate" title={describeExtractionParams(run.parametros_extraccion)}>
+                  {describeExtractionParams(run.parametros_extraccion)}
+                </p>
+                <div className="flex items-center gap-3 mt-1">
+                  <button
+                    onClick={() => openHistoryRun(run)}
+                    disabled={isOpen || radiomicsRunning}
+                    className="text-blue-600 hover:text-blue-800 font-medium disabled:text-gray-400">
+                    {isOpen ? 'Abierto' : 'Abrir'}
+                  </button>
+                  {radiomicsResults && !isOpen && (
+                    <button
+                      onClick={() => compareWithRun(run)}
+                      title="Comparar con los resultados mostrados"
+                      className="text-blue-600 hover:text-blue-800 font-medium">
+                      ⇄ Comparar
+                    </button>
+                  )}
+                  <button
+                    onClick={() => deleteHistoryRun(run)}
+                    title="Borrar del historial"
+                    className="ml-auto text-gray-400 hover:text-red-600">
+                    ✕
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+
+  // Diferencias por archivo entre los resultados mostrados y otro análisis del historial
+  const renderRunComparison = () => {
+    const { base, otro, filas } = runComparison;
+    const baseLabel = base ? new Date(base.fecha).toLocaleString() : 'resultados mostrados';
+    const otherLabel = new Date(otro.fecha).toLocaleString();
+    const estados = { ambos: null, base: `solo en ${baseLabel}`, otro: `solo en ${otherLabel}` };
+    const changed = filas.filter(fila => fila.distintas > 0).length;
+
+    return (
+      <div className="flex-1 flex flex-col min-h-0">
+        <div className="mb-3 p-3 bg-gray-50 rounded-lg border border-gray-200 text-xs text-gray-600 space-y-1">
+          <p><span className="font-medium text-gray-800">A · {baseLabel}:</span>{' '}
+            {base ? describeExtractionParams(base.parametros_extraccion) : '—'}</p>
+          <p><span className="font-medium text-gray-800">B · {otherLabel}:</span>{' '}
+            {describeExtractionParams(otro.parametros_extraccion)}</p>
+          <p>{changed} de {filas.length} fila(s) con valores distintos (diferencia relativa &gt; {RUN_DIFF_TOLERANCE})</p>
+        </div>
+        <div className="flex-1 overflow-auto bg-white rounded-lg border border-gray-200">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                {['Archivo', 'Etiqueta', 'Comunes', 'Distintas', 'Mayor diferencia'].map(col => (
+                  <th key={col} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {col}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {filas.map(fila => (
+                <tr key={fila.key} className={fila.distintas > 0 ? 'bg-amber-50' : ''}>
+                  <td className="px-4 py-2 text-gray-900">{fila.archivo}</td>
+                  <td className="px-4 py-2 text-gray-600">{fila.etiqueta || '—'}</td>
+                  {estados[fila.estado] ? (
+                    <td colSpan={3} className="px-4 py-2 text-gray-400 italic">{estados[fila.estado]}</td>
+                  ) : (
+                    <>
+                      <td className="px-4 py-2 text-gray-600">{fila.comunes}</td>
+                      <td className="px-4 py-2 text-gray-600">{fila.distintas}</td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {fila.mayor ? `${fila.mayor.nombre} (${(fila.mayor.rel * 100).toFixed(2)} %)` : '—'}
+                      </td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    );
   };
 
   // ============================================================================
@@ -1031,6 +4721,8 @@ console.log('🔌 Backend Julia:', JULIA_API);
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
+      {showMetadata && renderMetadataModal()}
+
       {loadingFiles && (
         <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center">
           <div className="bg-white rounded-2xl p-8 max-w-md w-full shadow-2xl">
@@ -1178,7 +4870,14 @@ console.log('🔌 Backend Julia:', JULIA_API);
               </div>
               
               {projectStructure ? (
-                <FolderTree node={projectStructure} />
+                <>
+                  <FolderTree node={projectStructure} />
+                  {maskPairing && (
+                    <p className="mt-3 pt-3 border-t border-gray-200 text-xs text-gray-500">
+                      🔗 con máscara · 🎭 máscara · ⚠️ sin máscara ({unpairedCount})
+                    </p>
+                  )}
+                </>
               ) : (
                 <p className="text-xs text-gray-400 text-center mt-8">
                   Cargando estructura...
@@ -1233,121 +4932,25 @@ console.log('🔌 Backend Julia:', JULIA_API);
                         <Activity className="text-blue-600 animate-spin mb-4" size={48} />
                         <p className="text-gray-500">Cargando imagen...</p>
                       </div>
+                    ) : compareMode ? (
+                      <div className="grid grid-cols-2 grid-rows-2 gap-4 h-full">
+                        {renderSliceView(compareOrientation)}
+
+                        {renderCompareView()}
+
+                        {renderInfoPanel()}
+
+                        {renderComparePanel()}
+                      </div>
                     ) : (
                       <div className="grid grid-cols-2 grid-rows-2 gap-4 h-full">
-                        <div className="bg-gray-50 rounded-lg p-4 flex flex-col">
-                          <div className="flex items-center justify-between mb-2">
-                            <h3 className="font-semibold text-gray-700">Corte Sagital</h3>
-                            <div className="flex items-center gap-2">
-                              <input
-                                type="number"
-                                min="1"
-                                max={imageDimensions?.[0] || 1}
-                                value={slices.sagittal.num}
-                                onChange={(e) => loadSlice('sagittal', parseInt(e.target.value))}
-                                className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
-                              />
-                              <span className="text-sm text-gray-500">/ {imageDimensions?.[0]}</span>
-                              <button
-                                onClick={() => saveImage('sagittal', slices.sagittal.num, slices.sagittal.image)}
-                                className="ml-2 p-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded transition-colors"
-                                title="Guardar imagen">
-                                💾
-                              </button>
-                            </div>
-                          </div>
-                          <div className="flex-1 flex items-center justify-center bg-black rounded">
-                            {slices.sagittal.image ? (
-                              <img src={slices.sagittal.image} alt="Sagital" className="max-h-full max-w-full object-contain" />
-                            ) : (
-                              <p className="text-gray-500">Cargando...</p>
-                            )}
-                          </div>
-                        </div>
+                        {renderSliceView('sagittal')}
 
-                        <div className="bg-gray-50 rounded-lg p-4 flex flex-col">
-                          <div className="flex items-center justify-between mb-2">
-                            <h3 className="font-semibold text-gray-700">Corte Coronal</h3>
-                            <div className="flex items-center gap-2">
-                              <input
-                                type="number"
-                                min="1"
-                                max={imageDimensions?.[1] || 1}
-                                value={slices.coronal.num}
-                                onChange={(e) => loadSlice('coronal', parseInt(e.target.value))}
-                                className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
-                              />
-                              <span className="text-sm text-gray-500">/ {imageDimensions?.[1]}</span>
-                              <button
-                                onClick={() => saveImage('coronal', slices.coronal.num, slices.coronal.image)}
-                                className="ml-2 p-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded transition-colors"
-                                title="Guardar imagen">
-                                💾
-                              </button>
-                            </div>
-                          </div>
-                          <div className="flex-1 flex items-center justify-center bg-black rounded">
-                            {slices.coronal.image ? (
-                              <img src={slices.coronal.image} alt="Coronal" className="max-h-full max-w-full object-contain" />
-                            ) : (
-                              <p className="text-gray-500">Cargando...</p>
-                            )}
-                          </div>
-                        </div>
+                        {renderSliceView('coronal')}
 
-                        <div className="bg-gray-50 rounded-lg p-4 flex flex-col">
-                          <h3 className="font-semibold text-gray-700 mb-3">Información</h3>
-                          <div className="space-y-2 text-sm">
-                            <div className="flex justify-between">
-                              <span className="text-gray-600">Archivo:</span>
-                              <span className="font-medium text-gray-800 truncate ml-2">{selectedFile?.name}</span>
-                            </div>
-                            <div className="flex justify-between">
-                              <span className="text-gray-600">Dimensiones:</span>
-                              <span className="font-medium text-gray-800">
-                                {imageDimensions?.join(' × ')}
-                              </span>
-                            </div>
-                            {projectPath && (
-                              <div className="mt-4 pt-4 border-t border-gray-300">
-                                <span className="text-gray-600 text-xs">Proyecto:</span>
-                                <p className="font-medium text-gray-800 text-xs mt-1 break-all">
-                                  {projectPath}
-                                </p>
-                              </div>
-                            )}
-                          </div>
-                        </div>
+                        {renderInfoPanel()}
 
-                        <div className="bg-gray-50 rounded-lg p-4 flex flex-col">
-                          <div className="flex items-center justify-between mb-2">
-                            <h3 className="font-semibold text-gray-700">Corte Axial</h3>
-                            <div className="flex items-center gap-2">
-                              <input
-                                type="number"
-                                min="1"
-                                max={imageDimensions?.[2] || 1}
-                                value={slices.axial.num}
-                                onChange={(e) => loadSlice('axial', parseInt(e.target.value))}
-                                className="w-16 px-2 py-1 border border-gray-300 rounded text-sm"
-                              />
-                              <span className="text-sm text-gray-500">/ {imageDimensions?.[2]}</span>
-                              <button
-                                onClick={() => saveImage('axial', slices.axial.num, slices.axial.image)}
-                                className="ml-2 p-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded transition-colors"
-                                title="Guardar imagen">
-                                💾
-                              </button>
-                            </div>
-                          </div>
-                          <div className="flex-1 flex items-center justify-center bg-black rounded">
-                            {slices.axial.image ? (
-                              <img src={slices.axial.image} alt="Axial" className="max-h-full max-w-full object-contain" />
-                            ) : (
-                              <p className="text-gray-500">Cargando...</p>
-                            )}
-                          </div>
-                        </div>
+                        {renderSliceView('axial')}
                       </div>
                     )}
                   </div>
@@ -1386,9 +4989,29 @@ console.log('🔌 Backend Julia:', JULIA_API);
                               Procesamiento en paralelo
                             </label>
                           </div>
+
+                          <div className="flex items-center justify-between gap-3">
+                            <label htmlFor="radiomicsVolume" className="text-sm font-medium text-gray-700">
+                              Volumen (series 4D)
+                            </label>
+                            <input
+                              type="number"
+                              id="radiomicsVolume"
+                              min="1"
+                              value={analysisVolume}
+                              onChange={(e) => setAnalysisVolume(Math.max(parseInt(e.target.value) || 1, 1))}
+                              className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                              title="Índice del volumen a analizar; las imágenes 3D lo ignoran"
+                            />
+                          </div>
                         </div>
                       </div>
 
+                      {renderPreprocessingPanel()}
+                      {renderExtractionParamsPanel()}
+                      {renderPairingPanel()}
+                      {renderLabelNamesPanel()}
+
                       <button
                         onClick={handleStartRadiomics}
                         disabled={radiomicsRunning}
@@ -1400,29 +5023,8 @@ console.log('🔌 Backend Julia:', JULIA_API);
                         {radiomicsRunning ? 'Analizando...' : 'Iniciar Análisis Radiómico'}
                       </button>
 
-                      {radiomicsRunning && radiomicsProgress > 0 && (
-                        <div className="mt-4 p-4 bg-blue-50 rounded-lg border border-blue-200">
-                          <div className="flex items-center justify-between mb-2">
-                            <span className="text-sm font-medium text-blue-800">
-                              Procesando archivos...
-                            </span>
-                            <span className="text-sm font-semibold text-blue-900">
-                              {Math.round(radiomicsProgress)}%
-                            </span>
-                          </div>
-                          <div className="w-full h-3 bg-blue-200 rounded-full overflow-hidden">
-                            <div 
-                              className="h-full bg-blue-600 transition-all duration-1000 ease-linear rounded-full"
-                              style={{ width: `${radiomicsProgress}%` }}
-                            />
-                          </div>
-                          <p className="text-xs text-blue-700 mt-2">
-                            {radiomicsProgress >= 95 
-                              ? 'Finalizando análisis...' 
-                              : 'Tiempo estimado restante: ~' + Math.ceil((100 - radiomicsProgress) * (parallelMode ? 15 : 30) / 100) + 's'}
-                          </p>
-                        </div>
-                      )}
+                      {radiomicsRunning && radiomicsJob && renderJobProgress(radiomicsJob)}
+                      {!radiomicsRunning && renderResumableJobs('radiomica')}
 
                       {multipleFilesMode && projectStructure && !radiomicsRunning && (
                         <div className="mt-4 p-3 bg-blue-50 rounded-lg border border-blue-200">
@@ -1439,7 +5041,32 @@ console.log('🔌 Backend Julia:', JULIA_API);
                     <div className="flex-1 flex flex-col min-w-0">
                       {radiomicsResults ? (
                         <>
-                          <h3 className="text-lg font-semibold text-gray-700 mb-3">Resultados</h3>
+                          <div className="flex items-center justify-between mb-3">
+                            <h3 className="text-lg font-semibold text-gray-700">
+                              {runComparison ? 'Comparación de análisis' : 'Resultados'}
+                            </h3>
+                            <div className="flex items-center gap-3">
+                              {runComparison && (
+                                <button
+                                  onClick={() => setRunComparison(null)}
+                                  className="text-sm text-gray-500 hover:text-gray-700">
+                                  ✕ Cerrar comparación
+                                </button>
+                              )}
+                              {renderResultDownloads('radiomica')}
+                              <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+                                {[['tabla', 'Tabla'], ['matriz', 'Matriz']].map(([view, label]) => (
+                                  <button
+                                    key={view}
+                                    onClick={() => { setResultsView(view); setRunComparison(null); }}
+                                    className={`px-3 py-1 ${resultsView === view && !runComparison ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}>
+                                    {label}
+                                  </button>
+                                ))}
+                              </div>
+                            </div>
+                          </div>
+                          {runComparison ? renderRunComparison() : resultsView === 'matriz' ? renderFeatureMatrix() : (
                           <div className="flex-1 overflow-auto bg-white rounded-lg border border-gray-200">
                             <table className="min-w-full divide-y divide-gray-200">
                               <thead className="bg-gray-50 sticky top-0">
@@ -1447,6 +5074,11 @@ console.log('🔌 Backend Julia:', JULIA_API);
                                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                     Archivo
                                   </th>
+                                  {hasLabelRows && (
+                                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                                      Etiqueta
+                                    </th>
+                                  )}
                                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                                     Características
                                   </th>
@@ -1459,12 +5091,25 @@ console.log('🔌 Backend Julia:', JULIA_API);
                                 </tr>
                               </thead>
                               <tbody className="bg-white divide-y divide-gray-200">
-                                {radiomicsResults.map((result, idx) => (
-                                  <React.Fragment key={idx}>
+                                {radiomicsRows.map(result => (
+                                  <React.Fragment key={result.key}>
                                     <tr className="hover:bg-gray-50">
                                       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                                         {result.archivo}
                                       </td>
+                                      {hasLabelRows && (
+                                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-700">
+                                          {result.etiqueta && (
+                                            <>
+                                              <span className="font-mono text-gray-400 mr-2">{result.etiqueta}</span>
+                                              {result.nombreEtiqueta}
+                                              {result.num_voxels && (
+                                                <span className="text-xs text-gray-400 ml-2">{result.num_voxels} vx</span>
+                                              )}
+                                            </>
+                                          )}
+                                        </td>
+                                      )}
                                       <td className="px-6 py-4 text-sm text-gray-500">
                                         {result.num_caracteristicas || '-'} features
                                       </td>
@@ -1476,21 +5121,36 @@ console.log('🔌 Backend Julia:', JULIA_API);
                                         }`}>
                                           {result.success ? '✓ Completado' : '✗ Error'}
                                         </span>
+                                        {result.desde_cache && (
+                                          <span
+                                            title="Resultado guardado de un análisis anterior con el mismo archivo y parámetros"
+                                            className="ml-2 px-2 inline-flex text-xs leading-5 font-semibold rounded-full bg-blue-100 text-blue-800">
+                                            💾 Caché
+                                          </span>
+                                        )}
+                                        {!result.success && result.error && (
+                                          <p className="text-xs text-red-600 mt-1">{result.error}</p>
+                                        )}
                                       </td>
                                       <td className="px-6 py-4 whitespace-nowrap text-sm">
                                         {result.success && (
                                           <button
-                                            onClick={() => setExpandedResult(expandedResult === idx ? null : idx)}
+                                            onClick={() => setExpandedResult(expandedResult === result.key ? null : result.key)}
                                             className="text-blue-600 hover:text-blue-800 font-medium">
-                                            {expandedResult === idx ? '▼ Ocultar' : '▶ Ver detalles'}
+                                            {expandedResult === result.key ? '▼ Ocultar' : '▶ Ver detalles'}
                                           </button>
                                         )}
                                       </td>
                                     </tr>
-                                    {expandedResult === idx && result.success && (
+                                    {expandedResult === result.key && result.success && (
                                       <tr>
-                                        <td colSpan="4" className="px-6 py-4 bg-gray-50">
+                                        <td colSpan={hasLabelRows ? 5 : 4} className="px-6 py-4 bg-gray-50">
                                           <div className="space-y-3">
+                                            {result.parametros && (
+                                              <p className="text-xs text-gray-500">
+                                                Parámetros: {describeExtractionParams(result.parametros)} · ROI: {result.mascara}
+                                              </p>
+                                            )}
                                             {result.caracteristicas && Object.entries(result.caracteristicas).map(([categoria, features]) => (
                                               <div key={categoria} className="border-l-4 border-blue-500 pl-4">
                                                 <h4 className="font-semibold text-gray-700 mb-2 capitalize">
@@ -1499,7 +5159,11 @@ console.log('🔌 Backend Julia:', JULIA_API);
                                                 <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-sm">
                                                   {Object.entries(features).map(([key, value]) => (
                                                     <div key={key} className="bg-white p-2 rounded">
-                                                      <span className="text-gray-600">{key}:</span>{' '}
+                                                      <span
+                                                        className="text-gray-600 cursor-help"
+                                                        title={describeFeatureNaming(featureNaming, categoria, key) || undefined}>
+                                                        {key}:
+                                                      </span>{' '}
                                                       <span className="font-medium text-gray-900">
                                                         {typeof value === 'number' ? value.toFixed(4) : value}
                                                       </span>
@@ -1517,6 +5181,7 @@ console.log('🔌 Backend Julia:', JULIA_API);
                               </tbody>
                             </table>
                           </div>
+                          )}
                         </>
                       ) : (
                         <div className="flex-1 flex items-center justify-center">
@@ -1526,6 +5191,9 @@ console.log('🔌 Backend Julia:', JULIA_API);
                         </div>
                       )}
                     </div>
+
+                    {/* PANEL LATERAL - Historial */}
+                    {renderRadiomicsHistory()}
                   </div>
                 )}
 
@@ -1646,6 +5314,26 @@ console.log('🔌 Backend Julia:', JULIA_API);
                         </div>
                       </div>
 
+                      {/* Volumen de las series 4D (solo imágenes) */}
+                      {!selectedFiles.some(f => f.name.match(/\.(xlsx|xls)$/i)) && (
+                        <div className="bg-gray-50 rounded-lg p-4 mb-4">
+                          <div className="flex items-center justify-between gap-3">
+                            <label htmlFor="statisticsVolume" className="text-sm font-medium text-gray-700">
+                              Volumen (series 4D)
+                            </label>
+                            <input
+                              type="number"
+                              id="statisticsVolume"
+                              min="1"
+                              value={analysisVolume}
+                              onChange={(e) => setAnalysisVolume(Math.max(parseInt(e.target.value) || 1, 1))}
+                              className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                              title="Índice del volumen a analizar; las imágenes 3D lo ignoran"
+                            />
+                          </div>
+                        </div>
+                      )}
+
                       {/* Opción para Excel */}
                       {selectedFiles.some(f => f.name.match(/\.(xlsx|xls)$/i)) && (
                         <div className="bg-yellow-50 rounded-lg p-4 mb-4 border border-yellow-200">
@@ -1676,6 +5364,9 @@ console.log('🔌 Backend Julia:', JULIA_API);
                         {statisticsRunning ? 'Analizando...' : 'Iniciar Análisis Estadístico'}
                       </button>
 
+                      {statisticsRunning && statisticsJob && renderJobProgress(statisticsJob)}
+                      {!statisticsRunning && renderResumableJobs('estadistica')}
+
                       {/* Info de grupos seleccionados */}
                       <div className="mt-4 p-3 bg-blue-50 rounded-lg border border-blue-200">
                         <p className="text-sm font-medium text-blue-800 mb-2">
@@ -1700,7 +5391,10 @@ console.log('🔌 Backend Julia:', JULIA_API);
                     <div className="flex-1 flex flex-col min-w-0">
                       {statisticsResults ? (
   			<>
- 			   <h3 className="text-lg font-semibold text-gray-700 mb-3">Resultados Estadísticos</h3>
+ 			   <div className="flex items-center justify-between mb-3">
+ 			     <h3 className="text-lg font-semibold text-gray-700">Resultados Estadísticos</h3>
+ 			     {renderResultDownloads('estadistica')}
+ 			   </div>
 			    <div className="flex-1 overflow-auto bg-white rounded-lg border border-gray-200">
 			      <table className="min-w-full divide-y divide-gray-200">
 			        <thead className="bg-gray-50 sticky top-0">
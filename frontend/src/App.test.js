@@ -1,8 +1,23 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+describe('LabMedicoApp', () => {
+  beforeEach(() => {
+    // Sin servidor de Julia: la comprobación de conexión falla y la app sigue en la portada
+    global.fetch = jest.fn(() => Promise.reject(new Error('sin servidor')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+  });
+
+  test('muestra la portada y marca el servidor como desconectado', async () => {
+    render(<App />);
+    expect(screen.getByText('MSL Process')).toBeInTheDocument();
+    expect(screen.getByText('Abrir Proyecto')).toBeInTheDocument();
+    expect(await screen.findByTitle('Julia: disconnected')).toBeInTheDocument();
+  });
 });
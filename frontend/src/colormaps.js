@@ -0,0 +1,59 @@
+// Mapas de color de los visores: paradas, tablas de 256 colores y degradado de la barra de color.
+
+export const hexToRgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// Mapas de color: paradas [posición 0-1, color] interpoladas linealmente
+export const COLORMAPS = [
+  { id: 'gris', nombre: 'Gris', paradas: [[0, '#000000'], [1, '#ffffff']] },
+  { id: 'gris_invertido', nombre: 'Gris invertido', paradas: [[0, '#ffffff'], [1, '#000000']] },
+  {
+    id: 'hot',
+    nombre: 'Hot',
+    paradas: [[0, '#000000'], [0.375, '#ff0000'], [0.75, '#ffff00'], [1, '#ffffff']]
+  },
+  {
+    id: 'jet',
+    nombre: 'Jet',
+    paradas: [
+      [0, '#000080'], [0.125, '#0000ff'], [0.375, '#00ffff'],
+      [0.625, '#ffff00'], [0.875, '#ff0000'], [1, '#800000']
+    ]
+  },
+  {
+    id: 'viridis',
+    nombre: 'Viridis',
+    paradas: ['#440154', '#482878', '#3e4a89', '#31688e', '#26828e',
+      '#1f9e89', '#35b779', '#6dcd59', '#b4de2c', '#fde725'].map((c, i) => [i / 9, c])
+  },
+  {
+    id: 'inferno',
+    nombre: 'Inferno',
+    paradas: ['#000004', '#1b0c41', '#4a0c6b', '#781c6d', '#a52c60',
+      '#cf4446', '#ed6925', '#fb9b06', '#f7d13d', '#fcffa4'].map((c, i) => [i / 9, c])
+  }
+];
+
+// Tabla de 256 colores RGB (r, g, b consecutivos) de un mapa de color
+export const buildColormapLut = ({ paradas }) => {
+  const lut = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    const next = paradas.findIndex(([pos]) => pos >= t);
+    const [pos1, color1] = paradas[Math.max(next - 1, 0)];
+    const [pos2, color2] = paradas[Math.max(next, 0)];
+    const f = pos2 > pos1 ? (t - pos1) / (pos2 - pos1) : 0;
+    const rgb1 = hexToRgb(color1);
+    const rgb2 = hexToRgb(color2);
+    for (let c = 0; c < 3; c++) {
+      lut[i * 3 + c] = Math.round(rgb1[c] + (rgb2[c] - rgb1[c]) * f);
+    }
+  }
+  return lut;
+};
+
+// Degradado CSS (de abajo a arriba) para la barra de color
+export const colormapGradient = ({ paradas }) =>
+  `linear-gradient(to top, ${paradas.map(([pos, color]) => `${color} ${pos * 100}%`).join(', ')})`;
+
+// Tablas precalculadas por id de mapa de color
+export const COLORMAP_LUTS = Object.fromEntries(COLORMAPS.map(cmap => [cmap.id, buildColormapLut(cmap)]));
@@ -0,0 +1,31 @@
+import { hexToRgb, COLORMAPS, buildColormapLut, colormapGradient, COLORMAP_LUTS } from './colormaps';
+
+const lutColor = (lut, i) => Array.from(lut.subarray(i * 3, i * 3 + 3));
+
+describe('colormaps', () => {
+  test('hexToRgb', () => {
+    expect(hexToRgb('#ff8000')).toEqual([255, 128, 0]);
+  });
+
+  test('los extremos de cada tabla son la primera y la última parada', () => {
+    COLORMAPS.forEach(cmap => {
+      const lut = COLORMAP_LUTS[cmap.id];
+      expect(lut).toHaveLength(256 * 3);
+      expect(lutColor(lut, 0)).toEqual(hexToRgb(cmap.paradas[0][1]));
+      expect(lutColor(lut, 255)).toEqual(hexToRgb(cmap.paradas[cmap.paradas.length - 1][1]));
+    });
+  });
+
+  test('interpola linealmente entre paradas', () => {
+    const lut = buildColormapLut({ paradas: [[0, '#000000'], [1, '#ff0000']] });
+    expect(lutColor(lut, 51)).toEqual([51, 0, 0]);
+
+    const hot = buildColormapLut(COLORMAPS.find(c => c.id === 'hot'));
+    expect(lutColor(hot, Math.round(0.375 * 255))).toEqual([255, 1, 0]);
+  });
+
+  test('degradado de la barra de color de abajo a arriba', () => {
+    expect(colormapGradient({ paradas: [[0, '#000000'], [1, '#ffffff']] }))
+      .toBe('linear-gradient(to top, #000000 0%, #ffffff 100%)');
+  });
+});
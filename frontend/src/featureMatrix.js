@@ -0,0 +1,119 @@
+// Utilidades de la matriz archivos × características de los resultados radiómicos:
+// construcción de la matriz, z-score por característica y agrupamiento jerárquico
+// (enlace promedio, distancia euclídea) para ordenar filas y columnas del mapa de calor.
+
+/**
+ * Matriz de valores a partir de filas de resultados con { caracteristicas: { clase: { nombre: valor } } }.
+ * Devuelve { columns: [{ key, categoria, nombre }], values: filas × columnas (null si falta el valor) }.
+ */
+export const buildFeatureMatrix = (rows) => {
+  const columns = [];
+  const seen = new Set();
+  rows.forEach(row => {
+    Object.entries(row.caracteristicas || {}).forEach(([categoria, features]) => {
+      Object.keys(features).forEach(nombre => {
+        const key = `${categoria}/${nombre}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          columns.push({ key, categoria, nombre });
+        }
+      });
+    });
+  });
+
+  const values = rows.map(row => columns.map(({ categoria, nombre }) => {
+    const value = row.caracteristicas?.[categoria]?.[nombre];
+    return typeof value === 'number' && Number.isFinite(value) ? value : null;
+  }));
+
+  return { columns, values };
+};
+
+// z-score de cada columna; las constantes quedan en 0 y los huecos en null
+export const zScoreColumns = (values) => {
+  if (values.length === 0) return [];
+  const numColumns = values[0].length;
+  const stats = Array.from({ length: numColumns }, (_, j) => {
+    const column = values.map(row => row[j]).filter(v => v !== null);
+    const mean = column.reduce((a, b) => a + b, 0) / (column.length || 1);
+    const variance = column.reduce((a, b) => a + (b - mean) ** 2, 0) / (column.length || 1);
+    return { mean, std: Math.sqrt(variance) };
+  });
+
+  return values.map(row => row.map((v, j) => {
+    if (v === null) return null;
+    return stats[j].std > 0 ? (v - stats[j].mean) / stats[j].std : 0;
+  }));
+};
+
+// Distancia euclídea ignorando los huecos (reescalada a todas las dimensiones)
+const distance = (a, b) => {
+  let sum = 0;
+  let shared = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== null && b[i] !== null) {
+      sum += (a[i] - b[i]) ** 2;
+      shared++;
+    }
+  }
+  return shared > 0 ? Math.sqrt(sum * a.length / shared) : Infinity;
+};
+
+/**
+ * Orden de las hojas del agrupamiento jerárquico aglomerativo de los vectores.
+ * Enlace promedio con la actualización de Lance-Williams: O(n³), suficiente para
+ * los cientos de archivos o características de un proyecto.
+ */
+export const hierarchicalOrder = (vectors) => {
+  const n = vectors.length;
+  if (n <= 2) return vectors.map((_, i) => i);
+
+  const dist = vectors.map(a => vectors.map(b => distance(a, b)));
+  const clusters = vectors.map((_, i) => ({ order: [i], size: 1 }));
+  const active = new Set(clusters.keys());
+
+  while (active.size > 1) {
+    const ids = [...active];
+    let best = Infinity;
+    let pair = [ids[0], ids[1]];
+    for (let x = 0; x < ids.length; x++) {
+      for (let y = x + 1; y < ids.length; y++) {
+        if (dist[ids[x]][ids[y]] < best) {
+          best = dist[ids[x]][ids[y]];
+          pair = [ids[x], ids[y]];
+        }
+      }
+    }
+
+    // El grupo fusionado ocupa el hueco de a
+    const [a, b] = pair;
+    const sizeA = clusters[a].size;
+    const sizeB = clusters[b].size;
+    active.delete(b);
+    active.forEach(c => {
+      if (c === a) return;
+      const d = (sizeA * dist[a][c] + sizeB * dist[b][c]) / (sizeA + sizeB);
+      dist[a][c] = d;
+      dist[c][a] = d;
+    });
+    clusters[a] = { order: [...clusters[a].order, ...clusters[b].order], size: sizeA + sizeB };
+  }
+
+  return clusters[[...active][0]].order;
+};
+
+// Color divergente azul-blanco-rojo para un z-score (saturado en ±3)
+export const zScoreColor = (z) => {
+  if (z === null) return '#f3f4f6';
+  const t = Math.max(-1, Math.min(1, z / 3));
+  const fade = Math.round(255 * (1 - Math.abs(t)));
+  return t >= 0 ? `rgb(255, ${fade}, ${fade})` : `rgb(${fade}, ${fade}, 255)`;
+};
+
+// Valor de una característica con 4 cifras significativas
+export const formatFeatureValue = (value) => {
+  if (value === null) return '–';
+  const magnitude = Math.abs(value);
+  if (magnitude !== 0 && (magnitude >= 1e5 || magnitude < 1e-3)) return value.toExponential(2);
+  return String(Number(value.toPrecision(4)));
+};
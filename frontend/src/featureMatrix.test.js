@@ -0,0 +1,81 @@
+import { buildFeatureMatrix, zScoreColumns, hierarchicalOrder, zScoreColor, formatFeatureValue } from './featureMatrix';
+
+describe('buildFeatureMatrix', () => {
+  test('una columna por característica y null donde falta o no es un número finito', () => {
+    const rows = [
+      { caracteristicas: { first_order: { Mean: 1, Energy: 10 } } },
+      { caracteristicas: { first_order: { Mean: 2 }, shape: { Volume: 5 } } },
+      { caracteristicas: { first_order: { Mean: NaN, Energy: 'x' } } },
+      {}
+    ];
+    const { columns, values } = buildFeatureMatrix(rows);
+    expect(columns.map(c => c.key)).toEqual(['first_order/Mean', 'first_order/Energy', 'shape/Volume']);
+    expect(columns[2]).toEqual({ key: 'shape/Volume', categoria: 'shape', nombre: 'Volume' });
+    expect(values).toEqual([
+      [1, 10, null],
+      [2, null, 5],
+      [null, null, null],
+      [null, null, null]
+    ]);
+  });
+});
+
+describe('zScoreColumns', () => {
+  test('normaliza cada columna ignorando los huecos; las constantes quedan en 0', () => {
+    const z = zScoreColumns([
+      [1, 7, null],
+      [3, 7, 4],
+      [null, 7, 8]
+    ]);
+    expect(z[0][0]).toBeCloseTo(-1);
+    expect(z[1][0]).toBeCloseTo(1);
+    expect(z[2][0]).toBeNull();
+    expect(z.map(row => row[1])).toEqual([0, 0, 0]);
+    expect(z[1][2]).toBeCloseTo(-1);
+    expect(z[2][2]).toBeCloseTo(1);
+  });
+
+  test('una matriz vacía da una lista vacía', () => {
+    expect(zScoreColumns([])).toEqual([]);
+  });
+});
+
+describe('hierarchicalOrder', () => {
+  test('devuelve una permutación con los vectores parecidos juntos', () => {
+    const vectors = [[0, 0], [10, 10], [0.1, 0], [10.2, 9.9], [0, 0.2]];
+    const order = hierarchicalOrder(vectors);
+    expect([...order].sort()).toEqual([0, 1, 2, 3, 4]);
+
+    const position = (i) => order.indexOf(i);
+    const near = [0, 2, 4].map(position).sort();
+    expect(near[2] - near[0]).toBe(2);
+    expect(Math.abs(position(1) - position(3))).toBe(1);
+  });
+
+  test('con dos vectores o menos conserva el orden', () => {
+    expect(hierarchicalOrder([[5], [1]])).toEqual([0, 1]);
+    expect(hierarchicalOrder([])).toEqual([]);
+  });
+
+  test('agrupa aunque falten valores', () => {
+    const order = hierarchicalOrder([[0, null, 0], [9, 9, 9], [null, 0.1, 0.2], [9, null, 9]]);
+    expect(Math.abs(order.indexOf(0) - order.indexOf(2))).toBe(1);
+  });
+});
+
+describe('zScoreColor y formatFeatureValue', () => {
+  test('colores saturados en ±3 y blanco en 0', () => {
+    expect(zScoreColor(0)).toBe('rgb(255, 255, 255)');
+    expect(zScoreColor(5)).toBe('rgb(255, 0, 0)');
+    expect(zScoreColor(-3)).toBe('rgb(0, 0, 255)');
+    expect(zScoreColor(null)).toBe('#f3f4f6');
+  });
+
+  test('cuatro cifras significativas y notación exponencial en los extremos', () => {
+    expect(formatFeatureValue(3.14159)).toBe('3.142');
+    expect(formatFeatureValue(0)).toBe('0');
+    expect(formatFeatureValue(123456)).toBe('1.23e+5');
+    expect(formatFeatureValue(0.0001234)).toBe('1.23e-4');
+    expect(formatFeatureValue(null)).toBe('–');
+  });
+});
@@ -0,0 +1,170 @@
+// Codificador mínimo de GIF animado (GIF89a) para exportar secuencias de cortes
+// desde el navegador sin dependencias externas.
+// Paleta global de 256 colores elegida por popularidad sobre todos los cuadros.
+
+// Colores reducidos a 5 bits por canal para agrupar tonos casi iguales
+const colorKey = (r, g, b) => ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+
+const buildPalette = (frames) => {
+  const histogram = new Map();
+  for (const { data } of frames) {
+    for (let i = 0; i < data.length; i += 4) {
+      const key = colorKey(data[i], data[i + 1], data[i + 2]);
+      histogram.set(key, (histogram.get(key) || 0) + 1);
+    }
+  }
+
+  const palette = [...histogram.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 256)
+    .map(([key]) => [
+      (((key >> 10) & 31) << 3) | 4,
+      (((key >> 5) & 31) << 3) | 4,
+      ((key & 31) << 3) | 4
+    ]);
+
+  while (palette.length < 256) palette.push([0, 0, 0]);
+  return palette;
+};
+
+// Índice del color de la paleta más cercano (se cachea por color reducido)
+const createColorMapper = (palette) => {
+  const cache = new Map();
+  return (r, g, b) => {
+    const key = colorKey(r, g, b);
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      for (let i = 0; i < palette.length; i++) {
+        const [pr, pg, pb] = palette[i];
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < best) {
+          best = distance;
+          index = i;
+        }
+      }
+      cache.set(key, index);
+    }
+    return index;
+  };
+};
+
+// Compresión LZW de longitud de código variable (tamaño mínimo 8 bits)
+const lzwEncode = (indices) => {
+  const minCodeSize = 8;
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = endCode + 1;
+  let table = new Map();
+  let buffer = 0;
+  let bufferBits = 0;
+
+  const emit = (code) => {
+    buffer |= code << bufferBits;
+    bufferBits += codeSize;
+    while (bufferBits >= 8) {
+      output.push(buffer & 0xff);
+      buffer >>>= 8;
+      bufferBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+    if (nextCode === 4096) {
+      // Tabla llena: reiniciar el diccionario
+      emit(clearCode);
+      table = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+
+  emit(prefix);
+  emit(endCode);
+  if (bufferBits > 0) output.push(buffer & 0xff);
+
+  return output;
+};
+
+/**
+ * Codifica cuadros RGBA (ImageData o { data }) del mismo tamaño en un GIF animado.
+ * delayMs: duración de cada cuadro. Devuelve un Blob image/gif que se repite sin fin.
+ */
+export const encodeGif = (frames, width, height, delayMs) => {
+  // Cada bloque se guarda como Uint8Array para no acumular un array enorme
+  const parts = [];
+  let bytes = [];
+  const flush = () => {
+    parts.push(new Uint8Array(bytes));
+    bytes = [];
+  };
+  const word = (value) => bytes.push(value & 0xff, (value >> 8) & 0xff);
+  const text = (value) => [...value].forEach(c => bytes.push(c.charCodeAt(0)));
+
+  const palette = buildPalette(frames);
+  const mapColor = createColorMapper(palette);
+
+  text('GIF89a');
+  word(width);
+  word(height);
+  bytes.push(0xf7, 0, 0); // paleta global de 256 colores
+  palette.forEach(([r, g, b]) => bytes.push(r, g, b));
+
+  // Extensión NETSCAPE2.0: repetir indefinidamente
+  bytes.push(0x21, 0xff, 0x0b);
+  text('NETSCAPE2.0');
+  bytes.push(0x03, 0x01, 0x00, 0x00, 0x00);
+
+  const delay = Math.max(Math.round(delayMs / 10), 2);
+
+  for (const { data } of frames) {
+    bytes.push(0x21, 0xf9, 0x04, 0x00);
+    word(delay);
+    bytes.push(0x00, 0x00);
+
+    bytes.push(0x2c);
+    word(0);
+    word(0);
+    word(width);
+    word(height);
+    bytes.push(0x00);
+
+    const indices = new Uint8Array(width * height);
+    for (let i = 0; i < indices.length; i++) {
+      indices[i] = mapColor(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
+    }
+
+    bytes.push(8);
+    const compressed = lzwEncode(indices);
+    for (let i = 0; i < compressed.length; i += 255) {
+      const block = compressed.slice(i, i + 255);
+      bytes.push(block.length, ...block);
+    }
+    bytes.push(0x00);
+    flush();
+  }
+
+  bytes.push(0x3b);
+  flush();
+  return new Blob(parts, { type: 'image/gif' });
+};
@@ -0,0 +1,118 @@
+import { encodeGif } from './gifEncoder';
+
+// Blob de jsdom no tiene arrayBuffer(): se lee con FileReader
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+const solidFrame = (width, height, [r, g, b]) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([r, g, b, 255], i);
+  return { data };
+};
+
+const word = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+
+// Decodificador LZW de GIF para comprobar los índices de un cuadro
+const lzwDecode = (data, minCodeSize) => {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const output = [];
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  let previous = null;
+  let bit = 0;
+
+  const reset = () => {
+    table = Array.from({ length: clearCode }, (_, i) => [i]);
+    table.push(null, null);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (bit + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+
+    const entry = code < table.length
+      ? table[code]
+      : [...table[previous], table[previous][0]];
+    output.push(...entry);
+    if (previous !== null && table.length < 4096) {
+      table.push([...table[previous], entry[0]]);
+    }
+    if (table.length === (1 << codeSize) && codeSize < 12) codeSize++;
+    previous = code;
+  }
+  return output;
+};
+
+// Índices del primer cuadro: salta cabecera, paleta, NETSCAPE2.0 y control gráfico
+const firstFrameIndices = (bytes) => {
+  let offset = 13 + 256 * 3 + 19 + 8 + 10;
+  const minCodeSize = bytes[offset++];
+  const data = [];
+  while (bytes[offset] !== 0) {
+    data.push(...bytes.subarray(offset + 1, offset + 1 + bytes[offset]));
+    offset += bytes[offset] + 1;
+  }
+  return lzwDecode(data, minCodeSize);
+};
+
+describe('encodeGif', () => {
+  test('escribe cabecera GIF89a, tamaño, un bloque por cuadro y el terminador', async () => {
+    const frames = [solidFrame(3, 2, [255, 0, 0]), solidFrame(3, 2, [0, 0, 255])];
+    const blob = encodeGif(frames, 3, 2, 100);
+    expect(blob.type).toBe('image/gif');
+
+    const bytes = await readBytes(blob);
+    expect(String.fromCharCode(...bytes.subarray(0, 6))).toBe('GIF89a');
+    expect(word(bytes, 6)).toBe(3);
+    expect(word(bytes, 8)).toBe(2);
+    expect(String.fromCharCode(...bytes.subarray(13 + 768 + 3, 13 + 768 + 14))).toBe('NETSCAPE2.0');
+    expect(bytes[bytes.length - 1]).toBe(0x3b);
+
+    const descriptors = bytes.filter((b, i) => b === 0x21 && bytes[i + 1] === 0xf9);
+    expect(descriptors).toHaveLength(2);
+  });
+
+  test('guarda el retardo en centésimas con un mínimo de 2', async () => {
+    const delayOffset = 13 + 256 * 3 + 19 + 4;
+    const slow = await readBytes(encodeGif([solidFrame(1, 1, [0, 0, 0])], 1, 1, 250));
+    const fast = await readBytes(encodeGif([solidFrame(1, 1, [0, 0, 0])], 1, 1, 5));
+    expect(word(slow, delayOffset)).toBe(25);
+    expect(word(fast, delayOffset)).toBe(2);
+  });
+
+  test('los índices comprimidos recuperan los colores de cada píxel', async () => {
+    const width = 40;
+    const height = 30;
+    const data = new Uint8ClampedArray(width * height * 4);
+    const colors = [[255, 0, 0], [0, 255, 0], [0, 0, 255], [255, 255, 255]];
+    for (let i = 0; i < width * height; i++) {
+      data.set([...colors[(i * 7 + (i >> 3)) % colors.length], 255], i * 4);
+    }
+
+    const bytes = await readBytes(encodeGif([{ data }], width, height, 100));
+    const palette = (index) => Array.from(bytes.subarray(13 + index * 3, 16 + index * 3));
+    const indices = firstFrameIndices(bytes);
+
+    expect(indices).toHaveLength(width * height);
+    indices.forEach((index, i) => {
+      palette(index).forEach((value, c) => {
+        expect(Math.abs(value - data[i * 4 + c])).toBeLessThanOrEqual(4);
+      });
+    });
+  });
+});
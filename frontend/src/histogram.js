@@ -0,0 +1,19 @@
+// Histograma de intensidades del volumen cargado.
+
+// Números de bins que se pueden elegir para el histograma
+export const HISTOGRAM_BIN_OPTIONS = [16, 32, 64, 128, 256, 512];
+
+// Histograma de todo el volumen entre min y max (se ignoran NaN y, opcionalmente, los ceros)
+export const computeHistogram = (data, bins, min, max, excludeZero) => {
+  const counts = new Uint32Array(bins);
+  const scale = bins / Math.max(max - min, 1e-12);
+  let total = 0;
+  for (let i = 0; i < data.length; i++) {
+    const v = data[i];
+    if (Number.isNaN(v) || (excludeZero && v === 0)) continue;
+    const bin = Math.min(Math.max(Math.floor((v - min) * scale), 0), bins - 1);
+    counts[bin]++;
+    total++;
+  }
+  return { counts, min, max, total };
+};
@@ -0,0 +1,27 @@
+import { computeHistogram } from './histogram';
+
+describe('computeHistogram', () => {
+  test('bins de igual ancho cerrados por la izquierda; el máximo cae en el último', () => {
+    const { counts, total } = computeHistogram(new Float32Array([0, 2.49, 2.5, 5, 7.5, 10]), 4, 0, 10, false);
+    expect(Array.from(counts)).toEqual([2, 1, 1, 2]);
+    expect(total).toBe(6);
+  });
+
+  test('los valores fuera de rango van al primer o al último bin', () => {
+    const { counts } = computeHistogram([-5, 15], 2, 0, 10, false);
+    expect(Array.from(counts)).toEqual([1, 1]);
+  });
+
+  test('ignora NaN y, si se pide, los ceros', () => {
+    const data = new Float32Array([0, 0, NaN, 1]);
+    expect(computeHistogram(data, 2, 0, 1, false).total).toBe(3);
+    const { counts, total } = computeHistogram(data, 2, 0, 1, true);
+    expect(Array.from(counts)).toEqual([0, 1]);
+    expect(total).toBe(1);
+  });
+
+  test('un volumen constante no divide por cero', () => {
+    const { counts } = computeHistogram([3, 3, 3], 4, 3, 3, false);
+    expect(Array.from(counts)).toEqual([3, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,35 @@
+// Trabajos en segundo plano (/api/trabajo/{id}): estados, consulta del progreso y textos.
+
+// Consulta del progreso de los análisis en segundo plano
+export const JOB_POLL_MS = 1000;
+export const JOB_FILE_ICONS = { pendiente: '⏳', procesando: '🔄', completado: '✅', error: '❌' };
+export const ACTIVE_JOB_STATES = ['en_cola', 'ejecutando', 'cancelando'];
+
+export const formatDuration = (seconds) => {
+  const total = Math.round(seconds);
+  return total < 60 ? `${total} s` : `${Math.floor(total / 60)} min ${String(total % 60).padStart(2, '0')} s`;
+};
+
+// Archivos terminados, con o sin error
+export const finishedFileCount = (job) =>
+  job.archivos.filter(a => a.estado === 'completado' || a.estado === 'error').length;
+
+// Segundos restantes al ritmo actual; null sin avance o con el trabajo al 100 %
+export const remainingSeconds = (job) =>
+  job.progreso > 0 && job.progreso < 100 ? job.transcurrido * (100 - job.progreso) / job.progreso : null;
+
+// Detalle de un archivo en la lista de progreso: clase en curso, resultado, tiempo y caché
+export const jobFileDetail = (archivo) => {
+  let detail = '';
+  if (archivo.estado === 'procesando') {
+    detail = `${archivo.clase || ''} ${Math.round(archivo.progreso * 100)}%`;
+  } else if (archivo.estado === 'completado') {
+    detail = archivo.num_caracteristicas !== undefined
+      ? `${archivo.num_caracteristicas} features`
+      : `${archivo.num_valores} valores`;
+    if (archivo.tiempo != null) detail += ` · ${formatDuration(archivo.tiempo)}`;
+  } else if (archivo.estado === 'error') {
+    detail = 'Error';
+  }
+  return archivo.desde_cache ? `${detail} · caché` : detail;
+};
@@ -0,0 +1,49 @@
+import { ACTIVE_JOB_STATES, formatDuration, finishedFileCount, remainingSeconds, jobFileDetail } from './jobs';
+
+describe('formatDuration', () => {
+  test('segundos redondeados y minutos con dos cifras de segundos', () => {
+    expect(formatDuration(0.4)).toBe('0 s');
+    expect(formatDuration(59.4)).toBe('59 s');
+    expect(formatDuration(59.6)).toBe('1 min 00 s');
+    expect(formatDuration(125)).toBe('2 min 05 s');
+  });
+});
+
+describe('progreso del trabajo', () => {
+  const job = (progreso, transcurrido, estados = []) => ({
+    progreso, transcurrido, archivos: estados.map(estado => ({ estado }))
+  });
+
+  test('cuenta como terminados los completados y los fallidos', () => {
+    expect(finishedFileCount(job(50, 10, ['completado', 'error', 'procesando', 'pendiente']))).toBe(2);
+  });
+
+  test('estima el tiempo restante al ritmo actual', () => {
+    expect(remainingSeconds(job(25, 30))).toBeCloseTo(90);
+    expect(remainingSeconds(job(0, 30))).toBeNull();
+    expect(remainingSeconds(job(100, 30))).toBeNull();
+  });
+
+  test('los trabajos cancelándose se siguen consultando', () => {
+    expect(ACTIVE_JOB_STATES).toContain('cancelando');
+    expect(ACTIVE_JOB_STATES).not.toContain('cancelado');
+  });
+});
+
+describe('jobFileDetail', () => {
+  test('clase en curso y avance del archivo que se procesa', () => {
+    expect(jobFileDetail({ estado: 'procesando', clase: 'texture_glcm', progreso: 0.456 })).toBe('texture_glcm 46%');
+  });
+
+  test('características o valores, tiempo y caché de los completados', () => {
+    expect(jobFileDetail({ estado: 'completado', num_caracteristicas: 93, tiempo: 4.2 })).toBe('93 features · 4 s');
+    expect(jobFileDetail({ estado: 'completado', num_valores: 12, tiempo: null })).toBe('12 valores');
+    expect(jobFileDetail({ estado: 'completado', num_caracteristicas: 93, tiempo: 0, desde_cache: true }))
+      .toBe('93 features · 0 s · caché');
+  });
+
+  test('pendientes sin detalle y fallidos marcados como error', () => {
+    expect(jobFileDetail({ estado: 'pendiente' })).toBe('');
+    expect(jobFileDetail({ estado: 'error', error: 'sin máscara' })).toBe('Error');
+  });
+});
@@ -0,0 +1,109 @@
+// Mediciones sobre los cortes del visor: distancia, ángulo, área y estadísticas de ROI.
+
+// Tamaño en mm de un píxel del corte [columna, fila] según la orientación
+export const displaySpacing = (orientation, voxelSize) => {
+  const [sx, sy, sz] = voxelSize;
+  if (orientation === 'sagittal') return [sy, sz];
+  if (orientation === 'coronal') return [sx, sz];
+  return [sx, sy];
+};
+
+// Los puntos de las mediciones están en coordenadas del corte (píxeles, continuas)
+export const distanceMm = ([x1, y1], [x2, y2], [sx, sy]) =>
+  Math.hypot((x2 - x1) * sx, (y2 - y1) * sy);
+
+// Ángulo en el vértice v entre 0 y 180°; 0 si un lado no tiene longitud
+export const angleDegrees = ([ax, ay], [vx, vy], [cx, cy], [sx, sy]) => {
+  if ((ax === vx && ay === vy) || (cx === vx && cy === vy)) return 0;
+  const a = Math.atan2((ay - vy) * sy, (ax - vx) * sx);
+  const c = Math.atan2((cy - vy) * sy, (cx - vx) * sx);
+  const angle = Math.abs(a - c) * 180 / Math.PI;
+  return angle > 180 ? 360 - angle : angle;
+};
+
+// Elipse inscrita en el rectángulo definido por dos esquinas
+export const ellipseFromCorners = ([x1, y1], [x2, y2]) => ({
+  cx: (x1 + x2) / 2,
+  cy: (y1 + y2) / 2,
+  rx: Math.abs(x2 - x1) / 2,
+  ry: Math.abs(y2 - y1) / 2
+});
+
+export const pointInPolygon = (x, y, points) => {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, yi] = points[i];
+    const [xj, yj] = points[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Área en píxeles² de un polígono simple, convexo o no (fórmula de Gauss o shoelace)
+export const polygonArea = (puntos) => Math.abs(puntos.reduce((acc, [x1, y1], i) => {
+  const [x2, y2] = puntos[(i + 1) % puntos.length];
+  return acc + x1 * y2 - x2 * y1;
+}, 0)) / 2;
+
+// Estadísticas de los píxeles cuyo centro cae dentro de la ROI
+export const roiStatistics = ({ width, height, values }, tipo, puntos) => {
+  const xs = puntos.map(p => p[0]);
+  const ys = puntos.map(p => p[1]);
+  const inside = tipo === 'elipse'
+    ? (() => {
+      const { cx, cy, rx, ry } = ellipseFromCorners(puntos[0], puntos[1]);
+      return (x, y) => rx > 0 && ry > 0 && ((x - cx) / rx) ** 2 + ((y - cy) / ry) ** 2 <= 1;
+    })()
+    : (x, y) => pointInPolygon(x, y, puntos);
+
+  let n = 0, sum = 0, sumSq = 0, min = Infinity, max = -Infinity;
+  const colStart = Math.max(Math.floor(Math.min(...xs)), 0);
+  const colEnd = Math.min(Math.ceil(Math.max(...xs)), width);
+  const rowStart = Math.max(Math.floor(Math.min(...ys)), 0);
+  const rowEnd = Math.min(Math.ceil(Math.max(...ys)), height);
+  for (let row = rowStart; row < rowEnd; row++) {
+    for (let col = colStart; col < colEnd; col++) {
+      if (!inside(col + 0.5, row + 0.5)) continue;
+      const v = values[row * width + col];
+      n++;
+      sum += v;
+      sumSq += v * v;
+      if (v < min) min = v;
+      if (v > max) max = v;
+    }
+  }
+
+  if (n === 0) return null;
+  const media = sum / n;
+  return {
+    n,
+    media,
+    std: Math.sqrt(Math.max(sumSq / n - media * media, 0)),
+    min,
+    max
+  };
+};
+
+// Valor principal de una medición (mm, grados o mm²) y estadísticas si es una ROI
+export const computeMeasurement = (tipo, puntos, spacing, sliceData) => {
+  if (tipo === 'regla') {
+    return { valor: distanceMm(puntos[0], puntos[1], spacing) };
+  }
+  if (tipo === 'angulo') {
+    return { valor: angleDegrees(puntos[0], puntos[1], puntos[2], spacing) };
+  }
+
+  let area;
+  if (tipo === 'elipse') {
+    const { rx, ry } = ellipseFromCorners(puntos[0], puntos[1]);
+    area = Math.PI * rx * ry;
+  } else {
+    area = polygonArea(puntos);
+  }
+  return {
+    valor: area * spacing[0] * spacing[1],
+    estadisticas: sliceData ? roiStatistics(sliceData, tipo, puntos) : null
+  };
+};
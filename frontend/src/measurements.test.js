@@ -0,0 +1,85 @@
+import {
+  displaySpacing, distanceMm, angleDegrees, ellipseFromCorners, pointInPolygon,
+  polygonArea, roiStatistics, computeMeasurement
+} from './measurements';
+
+// Forma de L (cóncava): cuadrado 4×4 sin el cuadrante superior derecho 2×2
+const L_SHAPE = [[0, 0], [2, 0], [2, 2], [4, 2], [4, 4], [0, 4]];
+
+describe('displaySpacing', () => {
+  test('espaciado [columna, fila] de cada orientación', () => {
+    expect(displaySpacing('sagittal', [1, 2, 3])).toEqual([2, 3]);
+    expect(displaySpacing('coronal', [1, 2, 3])).toEqual([1, 3]);
+    expect(displaySpacing('axial', [1, 2, 3])).toEqual([1, 2]);
+  });
+});
+
+describe('distanceMm', () => {
+  test('escala cada eje con su espaciado', () => {
+    expect(distanceMm([0, 0], [3, 4], [1, 1])).toBe(5);
+    expect(distanceMm([0, 0], [3, 0], [0.5, 4])).toBe(1.5);
+    expect(distanceMm([0, 0], [0, 3], [0.5, 4])).toBe(12);
+  });
+});
+
+describe('angleDegrees', () => {
+  test('ángulo recto con espaciado isótropo y entre 0 y 180°', () => {
+    expect(angleDegrees([1, 0], [0, 0], [0, 1], [1, 1])).toBeCloseTo(90);
+    expect(angleDegrees([1, -1], [0, 0], [1, 1], [1, 1])).toBeCloseTo(90);
+    expect(angleDegrees([-1, -0.01], [0, 0], [-1, 0.01], [1, 1])).toBeLessThan(180);
+  });
+
+  test('el espaciado anisótropo cambia el ángulo en mm', () => {
+    // 45° en píxeles, pero las filas miden el doble que las columnas
+    expect(angleDegrees([1, 0], [0, 0], [1, 1], [1, 2])).toBeCloseTo(Math.atan(2) * 180 / Math.PI);
+  });
+
+  test('casos degenerados: colineales y lados de longitud 0', () => {
+    expect(angleDegrees([1, 0], [0, 0], [2, 0], [1, 1])).toBeCloseTo(0);
+    expect(angleDegrees([1, 0], [0, 0], [-1, 0], [1, 1])).toBeCloseTo(180);
+    expect(angleDegrees([0, 0], [0, 0], [1, 1], [1, 1])).toBe(0);
+    expect(angleDegrees([1, 1], [0, 0], [0, 0], [1, 1])).toBe(0);
+  });
+});
+
+describe('áreas', () => {
+  test('polígono cóncavo, en cualquier sentido de recorrido', () => {
+    expect(polygonArea(L_SHAPE)).toBe(12);
+    expect(polygonArea([...L_SHAPE].reverse())).toBe(12);
+  });
+
+  test('pointInPolygon excluye la muesca del polígono cóncavo', () => {
+    expect(pointInPolygon(1, 1, L_SHAPE)).toBe(true);
+    expect(pointInPolygon(3, 3, L_SHAPE)).toBe(true);
+    expect(pointInPolygon(3, 1, L_SHAPE)).toBe(false);
+  });
+
+  test('elipse a partir de dos esquinas en cualquier orden', () => {
+    expect(ellipseFromCorners([4, 6], [0, 2])).toEqual({ cx: 2, cy: 4, rx: 2, ry: 2 });
+  });
+
+  test('computeMeasurement pasa el área a mm² con espaciado anisótropo', () => {
+    expect(computeMeasurement('libre', L_SHAPE, [0.5, 2], null)).toEqual({ valor: 12, estadisticas: null });
+    expect(computeMeasurement('elipse', [[0, 0], [4, 2]], [1, 3], null).valor).toBeCloseTo(Math.PI * 2 * 1 * 3);
+    expect(computeMeasurement('regla', [[0, 0], [0, 2]], [1, 3]).valor).toBe(6);
+  });
+});
+
+describe('roiStatistics', () => {
+  // Corte 4×4 con el valor de cada píxel igual a su índice
+  const slice = { width: 4, height: 4, values: Float32Array.from({ length: 16 }, (_, i) => i) };
+
+  test('solo cuenta los píxeles con el centro dentro del polígono cóncavo', () => {
+    const stats = roiStatistics(slice, 'libre', L_SHAPE);
+    const inside = [0, 1, 4, 5, 8, 9, 10, 11, 12, 13, 14, 15];
+    const media = inside.reduce((a, b) => a + b, 0) / inside.length;
+    expect(stats.n).toBe(12);
+    expect(stats.media).toBeCloseTo(media);
+    expect(stats.min).toBe(0);
+    expect(stats.max).toBe(15);
+  });
+
+  test('una elipse sin área no tiene píxeles', () => {
+    expect(roiStatistics(slice, 'elipse', [[1, 1], [1, 3]])).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+// Archivos del proyecto: nombres en el servidor y emparejamiento de imágenes con sus máscaras.
+
+// Sufijo de las ROI guardadas desde el visor (SUFIJO_ROI en ProcesamientoImagenes.jl)
+export const ROI_SUFFIX = '_roi';
+
+// En Windows el backend devuelve las rutas del proyecto con "\"; las reglas usan "/"
+export const toPosixPath = (path) => path.replace(/\\/g, '/');
+
+export const fileBaseName = (name) => name.replace(/\.(nii\.gz|nii|dcm|dicom|ima)$/i, '');
+
+// Los archivos se suben a TEMP_DIR por nombre, así que dos archivos del proyecto con el
+// mismo nombre (imagenes/p01.nii.gz y mascaras/p01.nii.gz) se pisarían. Esos se suben
+// solo con su ruta en el nombre (imagenes__p01.nii.gz) y es el que se envía al servidor
+export const uniqueServerName = (path) => toPosixPath(path).replace(/\//g, '__');
+
+export const projectFileNodes = (node) => node.type === 'file'
+  ? [node]
+  : (node.children || []).flatMap(projectFileNodes);
+
+export const duplicatedNames = (files) => {
+  const seen = new Set();
+  const duplicated = new Set();
+  files.forEach(f => (seen.has(f.name) ? duplicated : seen).add(f.name));
+  return duplicated;
+};
+
+// Copia del árbol del proyecto con el nombre en el servidor de cada archivo (serverName)
+export const withServerNames = (tree) => {
+  const duplicated = duplicatedNames(projectFileNodes(tree));
+  const annotate = (node) => node.type === 'file'
+    ? { ...node, serverName: duplicated.has(node.name) ? uniqueServerName(node.path) : node.name }
+    : { ...node, children: (node.children || []).map(annotate) };
+  return annotate(tree);
+};
+
+// Archivos de un árbol re-escaneado que el servidor no tiene con su nombre actual:
+// los nuevos y los que han pasado a tener un nombre repetido
+export const serverNameChanges = (previous, tree) => {
+  const known = new Map(previous ? projectFileNodes(previous).map(f => [f.path, f.serverName]) : []);
+  return projectFileNodes(tree).filter(f => known.get(f.path) !== f.serverName);
+};
+
+export const parentPath = (path) => {
+  const posix = toPosixPath(path);
+  return posix.includes('/') ? posix.slice(0, posix.lastIndexOf('/')) : '';
+};
+
+// Separa las máscaras del resto de archivos y busca la máscara de cada imagen.
+// Las ROI dibujadas en el visor (sufijo _roi) se emparejan siempre que la regla no dé otra.
+// Devuelve { masks: Set de rutas de máscaras, pairs: Map ruta imagen -> nodo máscara | null }
+export const pairImagesWithMasks = (files, rule) => {
+  const isMask = (f) => {
+    const base = fileBaseName(f.name);
+    if (base.endsWith(ROI_SUFFIX)) return true;
+    if (rule.modo === 'sufijo') return rule.sufijo !== '' && base.endsWith(rule.sufijo);
+    if (rule.modo === 'carpeta') return parentPath(f.path).split('/').pop() === rule.carpeta;
+    return Object.values(rule.manual).includes(f.path);
+  };
+
+  const masks = files.filter(isMask);
+  const findMask = (dir, base) => masks.find(m => parentPath(m.path) === dir && fileBaseName(m.name) === base);
+  const pairs = new Map();
+
+  files.filter(f => !isMask(f)).forEach(image => {
+    const base = fileBaseName(image.name);
+    const dir = parentPath(image.path);
+    let mask;
+    if (rule.modo === 'sufijo') {
+      mask = findMask(dir, base + rule.sufijo);
+    } else if (rule.modo === 'carpeta') {
+      mask = findMask([parentPath(dir), rule.carpeta].filter(Boolean).join('/'), base);
+    } else {
+      mask = masks.find(m => m.path === rule.manual[image.path]);
+    }
+    pairs.set(image.path, mask || findMask(dir, base + ROI_SUFFIX) || null);
+  });
+
+  return { masks: new Set(masks.map(m => m.path)), pairs };
+};
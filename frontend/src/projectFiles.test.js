@@ -0,0 +1,91 @@
+import {
+  pairImagesWithMasks, duplicatedNames, uniqueServerName, withServerNames, serverNameChanges, projectFileNodes,
+  parentPath, toPosixPath
+} from './projectFiles';
+
+const file = (path) => ({ type: 'file', path, name: path.split(/[\\/]/).pop() });
+const pairedPaths = ({ pairs }) => Object.fromEntries([...pairs].map(([image, mask]) => [image, mask?.path ?? null]));
+const RULE = { modo: 'sufijo', sufijo: '_seg', carpeta: 'mascaras', manual: {} };
+
+describe('pairImagesWithMasks', () => {
+  test('sufijo: empareja en la misma carpeta y deja sin máscara las imágenes sin pareja', () => {
+    const files = ['p01.nii.gz', 'p01_seg.nii.gz', 'p02.nii', 'otra/p02_seg.nii'].map(file);
+    const result = pairImagesWithMasks(files, RULE);
+    expect([...result.masks]).toEqual(['p01_seg.nii.gz', 'otra/p02_seg.nii']);
+    expect(pairedPaths(result)).toEqual({ 'p01.nii.gz': 'p01_seg.nii.gz', 'p02.nii': null });
+  });
+
+  test('carpeta hermana: la máscara tiene el mismo nombre que la imagen', () => {
+    const files = ['imagenes/p01.nii.gz', 'mascaras/p01.nii.gz', 'imagenes/p02.nii.gz'].map(file);
+    const result = pairImagesWithMasks(files, { ...RULE, modo: 'carpeta' });
+    expect([...result.masks]).toEqual(['mascaras/p01.nii.gz']);
+    expect(pairedPaths(result)).toEqual({ 'imagenes/p01.nii.gz': 'mascaras/p01.nii.gz', 'imagenes/p02.nii.gz': null });
+  });
+
+  test('tabla manual: usa la máscara elegida para cada imagen', () => {
+    const files = ['a.nii', 'b.nii', 'seg/x.nii'].map(file);
+    const result = pairImagesWithMasks(files, { ...RULE, modo: 'manual', manual: { 'b.nii': 'seg/x.nii' } });
+    expect(pairedPaths(result)).toEqual({ 'a.nii': null, 'b.nii': 'seg/x.nii' });
+  });
+
+  test('una ROI dibujada en el visor se usa si la regla no da otra máscara', () => {
+    const files = ['p01.nii.gz', 'p01_roi.nii.gz', 'p02.nii.gz', 'p02_seg.nii.gz', 'p02_roi.nii.gz'].map(file);
+    const result = pairImagesWithMasks(files, RULE);
+    expect(pairedPaths(result)).toEqual({ 'p01.nii.gz': 'p01_roi.nii.gz', 'p02.nii.gz': 'p02_seg.nii.gz' });
+  });
+});
+
+describe('nombres en el servidor', () => {
+  test('detecta archivos del proyecto con el mismo nombre', () => {
+    const files = ['imagenes/p01.nii.gz', 'mascaras/p01.nii.gz', 'imagenes/p02.nii.gz'].map(file);
+    expect([...duplicatedNames(files)]).toEqual(['p01.nii.gz']);
+  });
+
+  test('incluye la ruta en el nombre para que no se pisen', () => {
+    expect(uniqueServerName('imagenes/p01.nii.gz')).toBe('imagenes__p01.nii.gz');
+    expect(uniqueServerName('mascaras/p01.nii.gz')).not.toBe(uniqueServerName('imagenes/p01.nii.gz'));
+  });
+
+  const folder = (path, children) => ({ type: 'folder', path, name: path.split('/').pop(), children });
+  const serverNames = (tree) => Object.fromEntries(projectFileNodes(tree).map(f => [f.path, f.serverName]));
+
+  test('cada archivo del árbol tiene un único nombre en el servidor', () => {
+    const tree = withServerNames(folder('proyecto', [
+      folder('imagenes', ['imagenes/p01.nii.gz', 'imagenes/p02.nii.gz'].map(file)),
+      folder('mascaras', ['mascaras/p01.nii.gz'].map(file))
+    ]));
+    expect(serverNames(tree)).toEqual({
+      'imagenes/p01.nii.gz': 'imagenes__p01.nii.gz',
+      'imagenes/p02.nii.gz': 'p02.nii.gz',
+      'mascaras/p01.nii.gz': 'mascaras__p01.nii.gz'
+    });
+  });
+
+  test('tras re-escanear hay que subir los archivos nuevos y los que pasan a tener nombre repetido', () => {
+    const before = withServerNames(folder('proyecto', ['a/p01.nii', 'a/p02.nii'].map(file)));
+    const after = withServerNames(folder('proyecto', ['a/p01.nii', 'a/p02.nii', 'b/p01.nii'].map(file)));
+    expect(serverNameChanges(before, after).map(f => f.serverName)).toEqual(['a__p01.nii', 'b__p01.nii']);
+    expect(serverNameChanges(after, after)).toEqual([]);
+  });
+});
+
+describe('rutas de Windows', () => {
+  test('empareja por carpeta hermana y por sufijo con rutas separadas por "\\"', () => {
+    const files = ['imagenes\\p01.nii.gz', 'mascaras\\p01.nii.gz', 'imagenes\\p02.nii.gz'].map(file);
+    const porCarpeta = pairImagesWithMasks(files, { ...RULE, modo: 'carpeta' });
+    expect([...porCarpeta.masks]).toEqual(['mascaras\\p01.nii.gz']);
+    expect(pairedPaths(porCarpeta)).toEqual({
+      'imagenes\\p01.nii.gz': 'mascaras\\p01.nii.gz',
+      'imagenes\\p02.nii.gz': null
+    });
+
+    const conSufijo = ['grupo\\sub\\p01.nii', 'grupo\\sub\\p01_seg.nii', 'grupo\\p01_seg.nii'].map(file);
+    expect(pairedPaths(pairImagesWithMasks(conSufijo, RULE))).toEqual({ 'grupo\\sub\\p01.nii': 'grupo\\sub\\p01_seg.nii' });
+  });
+
+  test('los nombres en el servidor no contienen separadores', () => {
+    expect(uniqueServerName('imagenes\\sub\\p01.nii.gz')).toBe('imagenes__sub__p01.nii.gz');
+    expect(parentPath('imagenes\\sub\\p01.nii.gz')).toBe('imagenes/sub');
+    expect(toPosixPath('a\\b/c')).toBe('a/b/c');
+  });
+});
@@ -0,0 +1,68 @@
+// Resultados del análisis radiómico: tabla de etiquetas, filas por archivo × etiqueta
+// y comparación entre dos análisis del historial.
+
+// Tabla de etiquetas: una línea por etiqueta con el valor primero.
+// Acepta "1,Necrosis", "2 Edema" y los formatos de FreeSurfer (LUT) e ITK-SNAP
+// (nombre entre comillas al final). Devuelve { valor: nombre }
+export const parseLabelTable = (text) => {
+  const names = {};
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^\s*(\d+)\s*[,;\t ]\s*(.+)$/);
+    if (!match || line.trim().startsWith('#')) return;
+    const quoted = match[2].match(/"([^"]*)"/);
+    const name = quoted ? quoted[1] : match[2].split(/[,;\t]| {2,}/)[0].trim().split(/\s+(?=\d)/)[0];
+    if (Number(match[1]) > 0 && name) names[match[1]] = name;
+  });
+  return names;
+};
+
+// Una fila por archivo, o por archivo × etiqueta si la máscara tiene varias
+export const expandRadiomicsResults = (results, labelNames) => results.flatMap((result, idx) => {
+  if (!result.etiquetas) return [{ ...result, key: `${idx}` }];
+  return Object.entries(result.etiquetas)
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([valor, region]) => ({
+      ...region,
+      key: `${idx}:${valor}`,
+      archivo: result.archivo,
+      parametros: result.parametros,
+      desde_cache: result.desde_cache,
+      etiqueta: valor,
+      nombreEtiqueta: labelNames[valor] || region.nombre
+    }));
+});
+
+// Diferencia relativa a partir de la cual un valor cambia entre dos análisis
+export const RUN_DIFF_TOLERANCE = 1e-6;
+
+// Compara dos análisis fila a fila (archivo o archivo × etiqueta): características
+// comunes, cuántas cambian y cuál cambia más en términos relativos
+export const compareRadiomicsRuns = (rowsA, rowsB) => {
+  const rowKey = (row) => `${row.archivo}|${row.etiqueta || ''}`;
+  const byKey = new Map(rowsB.map(row => [rowKey(row), row]));
+  const comparison = rowsA.map(a => {
+    const b = byKey.get(rowKey(a));
+    byKey.delete(rowKey(a));
+    const result = { key: rowKey(a), archivo: a.archivo, etiqueta: a.etiqueta, estado: b ? 'ambos' : 'base' };
+    if (!b || !a.success || !b.success) return { ...result, comunes: 0, distintas: 0, mayor: null };
+
+    let comunes = 0;
+    let distintas = 0;
+    let mayor = null;
+    Object.entries(a.caracteristicas || {}).forEach(([categoria, features]) => {
+      Object.entries(features).forEach(([nombre, valueA]) => {
+        const valueB = b.caracteristicas?.[categoria]?.[nombre];
+        if (typeof valueA !== 'number' || typeof valueB !== 'number') return;
+        comunes++;
+        const rel = Math.abs(valueA - valueB) / Math.max(Math.abs(valueA), Math.abs(valueB), 1e-12);
+        if (rel > RUN_DIFF_TOLERANCE) distintas++;
+        if (rel > RUN_DIFF_TOLERANCE && (!mayor || rel > mayor.rel)) mayor = { nombre, rel };
+      });
+    });
+    return { ...result, comunes, distintas, mayor };
+  });
+  byKey.forEach((b, key) => comparison.push({
+    key, archivo: b.archivo, etiqueta: b.etiqueta, estado: 'otro', comunes: 0, distintas: 0, mayor: null
+  }));
+  return comparison;
+};
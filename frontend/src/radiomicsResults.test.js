@@ -0,0 +1,86 @@
+import { parseLabelTable, expandRadiomicsResults, compareRadiomicsRuns } from './radiomicsResults';
+
+describe('parseLabelTable', () => {
+  test('acepta valor y nombre separados por coma, punto y coma, tabulador o espacio', () => {
+    expect(parseLabelTable('1,Necrosis\n2;Edema\n3\tTumor realce\r\n4 Quiste')).toEqual({
+      1: 'Necrosis', 2: 'Edema', 3: 'Tumor realce', 4: 'Quiste'
+    });
+  });
+
+  test('lee tablas de FreeSurfer e ITK-SNAP', () => {
+    const freesurfer = '#No. Label Name R G B A\n  2  Left-Cerebral-White-Matter  245 245 245 0\n 4 Left-Lateral-Ventricle 120 18 134 0';
+    expect(parseLabelTable(freesurfer)).toEqual({ 2: 'Left-Cerebral-White-Matter', 4: 'Left-Lateral-Ventricle' });
+
+    const itksnap = '# ITK-SnAP Label Description File\n    0     0    0    0        0  0  0    "Clear Label"\n    1   255    0    0        1  1  1    "Label 1"';
+    expect(parseLabelTable(itksnap)).toEqual({ 1: 'Label 1' });
+  });
+
+  test('ignora comentarios, el fondo y las líneas sin valor', () => {
+    expect(parseLabelTable('# 1,Comentario\n0,Fondo\nNecrosis\n\n5,Edema')).toEqual({ 5: 'Edema' });
+  });
+});
+
+describe('expandRadiomicsResults', () => {
+  test('una fila por etiqueta con el nombre de la tabla del análisis', () => {
+    const results = [
+      { archivo: 'p01.nii', success: true, caracteristicas: { shape: { Volume: 1 } } },
+      {
+        archivo: 'p02.nii',
+        etiquetas: {
+          2: { success: true, nombre: 'Etiqueta 2', caracteristicas: {} },
+          1: { success: true, nombre: 'Etiqueta 1', caracteristicas: {} }
+        }
+      }
+    ];
+    const rows = expandRadiomicsResults(results, { 1: 'Necrosis' });
+    expect(rows.map(r => [r.key, r.archivo, r.etiqueta, r.nombreEtiqueta])).toEqual([
+      ['0', 'p01.nii', undefined, undefined],
+      ['1:1', 'p02.nii', '1', 'Necrosis'],
+      ['1:2', 'p02.nii', '2', 'Etiqueta 2']
+    ]);
+  });
+});
+
+describe('compareRadiomicsRuns', () => {
+  const row = (archivo, caracteristicas, extra = {}) => ({ archivo, success: true, caracteristicas, ...extra });
+
+  test('cuenta las características comunes y las que cambian, con la de mayor cambio relativo', () => {
+    const [comparison] = compareRadiomicsRuns(
+      [row('p01.nii', { first_order: { Mean: 10, Energy: 100, Range: 4 }, shape: { Volume: 2 } })],
+      [row('p01.nii', { first_order: { Mean: 10, Energy: 110, Range: 5 } })]
+    );
+    expect(comparison).toEqual({
+      key: 'p01.nii|', archivo: 'p01.nii', etiqueta: undefined, estado: 'ambos',
+      comunes: 3, distintas: 2, mayor: { nombre: 'Range', rel: 0.2 }
+    });
+  });
+
+  test('diferencias por debajo de la tolerancia no cuentan como cambio', () => {
+    const [comparison] = compareRadiomicsRuns(
+      [row('p01.nii', { first_order: { Mean: 1 } })],
+      [row('p01.nii', { first_order: { Mean: 1 + 1e-9 } })]
+    );
+    expect(comparison.distintas).toBe(0);
+    expect(comparison.mayor).toBeNull();
+  });
+
+  test('empareja por archivo y etiqueta y marca las filas que solo están en un análisis', () => {
+    const comparison = compareRadiomicsRuns(
+      [row('p01.nii', {}, { etiqueta: '1' }), row('p02.nii', {})],
+      [row('p01.nii', {}, { etiqueta: '1' }), row('p01.nii', {}, { etiqueta: '2' })]
+    );
+    expect(comparison.map(c => [c.key, c.estado])).toEqual([
+      ['p01.nii|1', 'ambos'],
+      ['p02.nii|', 'base'],
+      ['p01.nii|2', 'otro']
+    ]);
+  });
+
+  test('las filas fallidas no se comparan', () => {
+    const [comparison] = compareRadiomicsRuns(
+      [row('p01.nii', { first_order: { Mean: 1 } })],
+      [{ archivo: 'p01.nii', success: false, error: 'sin máscara' }]
+    );
+    expect(comparison).toMatchObject({ estado: 'ambos', comunes: 0, distintas: 0, mayor: null });
+  });
+});
@@ -0,0 +1,49 @@
+// Geometría de los cortes ortogonales: tamaño en pantalla, conversión píxel <-> voxel
+// y copia de un corte del volumen descargado (ver extract_slice en ProcesamientoImagenes.jl).
+
+// Tamaño [ancho, alto] en píxeles del corte que devuelve extract_slice
+export const sliceDisplaySize = (orientation, dims) => {
+  const [nx, ny, nz] = dims;
+  if (orientation === 'sagittal') return [ny, nz];
+  if (orientation === 'coronal') return [nx, nz];
+  return [nx, ny];
+};
+
+// Conversión píxel del corte (columna, fila) <-> voxel (x, y, z), todo 1-indexed.
+// Replica las rotaciones de extract_slice en ProcesamientoImagenes.jl
+export const displayToVoxel = (orientation, dims, sliceNum, col, row) => {
+  const [nx, ny, nz] = dims;
+  if (orientation === 'sagittal') return [sliceNum, ny + 1 - col, nz + 1 - row];
+  if (orientation === 'coronal') return [nx + 1 - col, sliceNum, row];
+  return [nx + 1 - col, row, sliceNum];
+};
+
+export const voxelToDisplay = (orientation, dims, voxel) => {
+  const [nx, ny, nz] = dims;
+  const [x, y, z] = voxel;
+  if (orientation === 'sagittal') return [ny + 1 - y, nz + 1 - z];
+  if (orientation === 'coronal') return [nx + 1 - x, z];
+  return [nx + 1 - x, y];
+};
+
+// Índice en el array plano del volumen (column-major, x varía más rápido)
+export const voxelIndex = (dims, [x, y, z]) => (x - 1) + dims[0] * ((y - 1) + dims[1] * (z - 1));
+
+// Copia un corte del volumen en orden de pantalla (filas de arriba a abajo).
+// Como displayToVoxel es lineal en columna y fila basta con tres índices
+export const extractSliceData = (volume, orientation, sliceNum) => {
+  const { dims, data } = volume;
+  const [width, height] = sliceDisplaySize(orientation, dims);
+  const origin = voxelIndex(dims, displayToVoxel(orientation, dims, sliceNum, 1, 1));
+  const colStep = voxelIndex(dims, displayToVoxel(orientation, dims, sliceNum, 2, 1)) - origin;
+  const rowStep = voxelIndex(dims, displayToVoxel(orientation, dims, sliceNum, 1, 2)) - origin;
+
+  const values = new data.constructor(width * height);
+  for (let row = 0; row < height; row++) {
+    const rowStart = origin + row * rowStep;
+    for (let col = 0; col < width; col++) {
+      values[row * width + col] = data[rowStart + col * colStep];
+    }
+  }
+  return { width, height, values };
+};
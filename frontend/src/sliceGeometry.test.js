@@ -0,0 +1,64 @@
+import { sliceDisplaySize, displayToVoxel, voxelToDisplay, voxelIndex, extractSliceData } from './sliceGeometry';
+
+const DIMS = [2, 3, 4];
+const ORIENTATIONS = ['sagittal', 'coronal', 'axial'];
+
+// Cada voxel guarda su posición como xyz (x + 10y + 100z) para reconocerlo en el corte
+const volume = () => {
+  const data = new Int16Array(DIMS[0] * DIMS[1] * DIMS[2]);
+  for (let z = 1; z <= DIMS[2]; z++) {
+    for (let y = 1; y <= DIMS[1]; y++) {
+      for (let x = 1; x <= DIMS[0]; x++) {
+        data[voxelIndex(DIMS, [x, y, z])] = x + 10 * y + 100 * z;
+      }
+    }
+  }
+  return { dims: DIMS, data };
+};
+
+describe('sliceGeometry', () => {
+  test('el volumen es column-major con x variando más rápido', () => {
+    expect(voxelIndex(DIMS, [1, 1, 1])).toBe(0);
+    expect(voxelIndex(DIMS, [2, 1, 1])).toBe(1);
+    expect(voxelIndex(DIMS, [1, 2, 1])).toBe(2);
+    expect(voxelIndex(DIMS, [1, 1, 2])).toBe(6);
+  });
+
+  test('tamaño de cada corte en pantalla', () => {
+    expect(sliceDisplaySize('sagittal', DIMS)).toEqual([3, 4]);
+    expect(sliceDisplaySize('coronal', DIMS)).toEqual([2, 4]);
+    expect(sliceDisplaySize('axial', DIMS)).toEqual([2, 3]);
+  });
+
+  test('voxelToDisplay invierte displayToVoxel en las tres orientaciones', () => {
+    ORIENTATIONS.forEach(orientation => {
+      const [width, height] = sliceDisplaySize(orientation, DIMS);
+      for (let row = 1; row <= height; row++) {
+        for (let col = 1; col <= width; col++) {
+          const voxel = displayToVoxel(orientation, DIMS, 2, col, row);
+          expect(voxelToDisplay(orientation, DIMS, voxel)).toEqual([col, row]);
+        }
+      }
+    });
+  });
+
+  test('extractSliceData copia el corte en orden de pantalla', () => {
+    const vol = volume();
+    ORIENTATIONS.forEach(orientation => {
+      const { width, height, values } = extractSliceData(vol, orientation, 2);
+      expect([width, height]).toEqual(sliceDisplaySize(orientation, DIMS));
+      expect(values).toBeInstanceOf(Int16Array);
+      for (let row = 1; row <= height; row++) {
+        for (let col = 1; col <= width; col++) {
+          const [x, y, z] = displayToVoxel(orientation, DIMS, 2, col, row);
+          expect(values[(row - 1) * width + col - 1]).toBe(x + 10 * y + 100 * z);
+        }
+      }
+    });
+  });
+
+  test('el corte axial tiene x invertida en columnas e y en filas', () => {
+    const { values } = extractSliceData(volume(), 'axial', 3);
+    expect(Array.from(values)).toEqual([312, 311, 322, 321, 332, 331]);
+  });
+});
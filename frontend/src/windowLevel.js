@@ -0,0 +1,40 @@
+// Ventana/nivel de los visores: presets de CT/MR y aplicación de la ventana a un corte.
+
+// Presets de ventana/nivel (centro y ancho en unidades de la imagen: HU para CT)
+// Los presets 'auto' se calculan a partir del rango de intensidades del volumen
+export const WINDOW_PRESETS = [
+  { id: 'completo', nombre: 'Rango completo', auto: 'completo' },
+  { id: 'auto', nombre: 'Auto p1–p99 (MR)', auto: 'percentiles' },
+  { id: 'cerebro', nombre: 'CT Cerebro', center: 40, width: 80 },
+  { id: 'pulmon', nombre: 'CT Pulmón', center: -600, width: 1500 },
+  { id: 'hueso', nombre: 'CT Hueso', center: 400, width: 1800 },
+  { id: 'abdomen', nombre: 'CT Abdomen', center: 40, width: 400 },
+  { id: 'mediastino', nombre: 'CT Mediastino', center: 50, width: 350 }
+];
+
+// Ventana { center, width } de un preset; los automáticos usan el rango del volumen
+// ({ min, max, p1, p99 }) y dan null mientras no se conoce
+export const windowFromPreset = (preset, range) => {
+  if (!preset.auto) {
+    return { center: preset.center, width: preset.width };
+  }
+  if (!range) return null;
+  const [low, high] = preset.auto === 'percentiles'
+    ? [range.p1, range.p99]
+    : [range.min, range.max];
+  return { center: (low + high) / 2, width: Math.max(high - low, 1) };
+};
+
+// Ventana (recorte lineal entre centro ± ancho/2) y mapa de color sobre los valores del corte.
+// pixels es RGBA (ImageData.data) y lut la tabla de 256 colores de colormaps.js
+export const fillWindowedPixels = (pixels, values, viewWindow, lut) => {
+  const low = viewWindow.center - viewWindow.width / 2;
+  const scale = 255 / Math.max(viewWindow.width, 1e-6);
+  for (let i = 0; i < values.length; i++) {
+    const level = Math.round(Math.min(Math.max((values[i] - low) * scale, 0), 255)) * 3;
+    pixels[i * 4] = lut[level];
+    pixels[i * 4 + 1] = lut[level + 1];
+    pixels[i * 4 + 2] = lut[level + 2];
+    pixels[i * 4 + 3] = 255;
+  }
+};
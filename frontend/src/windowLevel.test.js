@@ -0,0 +1,36 @@
+import { WINDOW_PRESETS, windowFromPreset, fillWindowedPixels } from './windowLevel';
+import { COLORMAP_LUTS } from './colormaps';
+
+const preset = (id) => WINDOW_PRESETS.find(p => p.id === id);
+const RANGE = { min: -1024, max: 3071, p1: -900, p99: 1500 };
+
+describe('windowFromPreset', () => {
+  test('los presets de CT tienen centro y ancho fijos en HU', () => {
+    expect(windowFromPreset(preset('cerebro'), RANGE)).toEqual({ center: 40, width: 80 });
+    expect(windowFromPreset(preset('pulmon'), null)).toEqual({ center: -600, width: 1500 });
+    expect(windowFromPreset(preset('hueso'), RANGE)).toEqual({ center: 400, width: 1800 });
+  });
+
+  test('rango completo y percentiles salen del rango del volumen', () => {
+    expect(windowFromPreset(preset('completo'), RANGE)).toEqual({ center: 1023.5, width: 4095 });
+    expect(windowFromPreset(preset('auto'), RANGE)).toEqual({ center: 300, width: 2400 });
+  });
+
+  test('los automáticos esperan al rango y nunca dan ancho 0', () => {
+    expect(windowFromPreset(preset('auto'), null)).toBeNull();
+    expect(windowFromPreset(preset('completo'), { min: 5, max: 5, p1: 5, p99: 5 })).toEqual({ center: 5, width: 1 });
+  });
+});
+
+describe('fillWindowedPixels', () => {
+  test('recorta a negro y blanco fuera de la ventana y es lineal dentro', () => {
+    const pixels = new Uint8ClampedArray(4 * 4);
+    fillWindowedPixels(pixels, [-100, 0, 60, 100], { center: 50, width: 100 }, COLORMAP_LUTS.gris);
+    expect(Array.from(pixels)).toEqual([
+      0, 0, 0, 255,
+      0, 0, 0, 255,
+      153, 153, 153, 255,
+      255, 255, 255, 255
+    ]);
+  });
+});